@@ -0,0 +1,183 @@
+// ===== INDEXEDDB PRODUCT STORE =====
+// Shared by the page (script.js) and the service worker (sw.js via importScripts)
+
+const PRODUCT_DB_NAME = 'amazon-scraper';
+const PRODUCTS_STORE = 'products';
+const PENDING_SCRAPES_STORE = 'pendingScrapes';
+const PRODUCT_SYNC_STORE = 'productSync';
+const PRICE_ALERTS_STORE = 'priceAlerts';
+
+// Schema migrations, applied in order. Entry N upgrades the database from
+// version N to N + 1, so new migrations must only ever be appended.
+const PRODUCT_DB_MIGRATIONS = [
+    // v1: products keyed by id, with ASIN and brand lookups
+    (db) => {
+        const store = db.createObjectStore(PRODUCTS_STORE, { keyPath: 'id' });
+        store.createIndex('asin', 'asin', { unique: false });
+        store.createIndex('brand', 'brand', { unique: false });
+    },
+    // v2: URLs submitted while offline, replayed by the service worker
+    (db) => {
+        db.createObjectStore(PENDING_SCRAPES_STORE, { keyPath: 'id' });
+    },
+    // v3: per-product server sync state, used by ProductRepository:
+    //     { id, baseRevision, base, pending, edit, conflict } (see repository.js)
+    (db) => {
+        db.createObjectStore(PRODUCT_SYNC_STORE, { keyPath: 'id' });
+    },
+    // v4: price alerts keyed by productId. They belong to whoever set them in this
+    // browser, so they move off the shared product (`product.watch`) and never sync.
+    (db, transaction) => {
+        const alerts = db.createObjectStore(PRICE_ALERTS_STORE, { keyPath: 'productId' });
+        transaction.objectStore(PRODUCTS_STORE).openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+
+            const { watch, ...product } = cursor.value;
+            if (watch) {
+                alerts.put({ ...watch, productId: product.id });
+                cursor.update(product);
+            }
+            cursor.continue();
+        };
+    }
+];
+
+const PRODUCT_DB_VERSION = PRODUCT_DB_MIGRATIONS.length;
+
+class ProductStore {
+    constructor(dbName = PRODUCT_DB_NAME) {
+        this.dbName = dbName;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, PRODUCT_DB_VERSION);
+
+                request.onupgradeneeded = (event) => {
+                    const db = request.result;
+                    for (let version = event.oldVersion; version < PRODUCT_DB_VERSION; version++) {
+                        PRODUCT_DB_MIGRATIONS[version](db, request.transaction);
+                    }
+                };
+
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // Let a newer tab or worker upgrade the schema
+                    db.onversionchange = () => {
+                        db.close();
+                        this.dbPromise = null;
+                    };
+                    resolve(db);
+                };
+                request.onerror = () => {
+                    this.dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    // Run a callback inside a transaction and resolve with its request's result
+    // once the transaction has committed
+    async transaction(storeName, mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = callback(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request && 'result' in request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async getAll() {
+        return (await this.transaction(PRODUCTS_STORE, 'readonly', store => store.getAll())) || [];
+    }
+
+    get(id) {
+        return this.transaction(PRODUCTS_STORE, 'readonly', store => store.get(id));
+    }
+
+    getByAsin(asin) {
+        return this.transaction(PRODUCTS_STORE, 'readonly', store => store.index('asin').getAll(asin));
+    }
+
+    getByBrand(brand) {
+        return this.transaction(PRODUCTS_STORE, 'readonly', store => store.index('brand').getAll(brand));
+    }
+
+    put(product) {
+        return this.transaction(PRODUCTS_STORE, 'readwrite', store => store.put(product));
+    }
+
+    delete(id) {
+        return this.transaction(PRODUCTS_STORE, 'readwrite', store => store.delete(id));
+    }
+
+    clear() {
+        return this.transaction(PRODUCTS_STORE, 'readwrite', store => store.clear());
+    }
+
+    async getPendingScrapes() {
+        return (await this.transaction(PENDING_SCRAPES_STORE, 'readonly', store => store.getAll())) || [];
+    }
+
+    putPendingScrape(request) {
+        return this.transaction(PENDING_SCRAPES_STORE, 'readwrite', store => store.put(request));
+    }
+
+    deletePendingScrape(id) {
+        return this.transaction(PENDING_SCRAPES_STORE, 'readwrite', store => store.delete(id));
+    }
+
+    async getSyncStates() {
+        return (await this.transaction(PRODUCT_SYNC_STORE, 'readonly', store => store.getAll())) || [];
+    }
+
+    putSyncStates(states) {
+        return this.transaction(PRODUCT_SYNC_STORE, 'readwrite', (store) => {
+            states.forEach(state => store.put(state));
+        });
+    }
+
+    deleteSyncStates(ids) {
+        return this.transaction(PRODUCT_SYNC_STORE, 'readwrite', (store) => {
+            ids.forEach(id => store.delete(id));
+        });
+    }
+
+    async getAlerts() {
+        return (await this.transaction(PRICE_ALERTS_STORE, 'readonly', store => store.getAll())) || [];
+    }
+
+    putAlert(alert) {
+        return this.transaction(PRICE_ALERTS_STORE, 'readwrite', store => store.put(alert));
+    }
+
+    deleteAlert(productId) {
+        return this.transaction(PRICE_ALERTS_STORE, 'readwrite', store => store.delete(productId));
+    }
+
+    // Write and delete some products in a single transaction, leaving the rest alone
+    applyChanges(products, deletedIds) {
+        return this.transaction(PRODUCTS_STORE, 'readwrite', (store) => {
+            products.forEach(product => store.put(product));
+            deletedIds.forEach(id => store.delete(id));
+        });
+    }
+
+    // Make the store hold exactly these products, in a single transaction
+    replaceAll(products) {
+        return this.transaction(PRODUCTS_STORE, 'readwrite', (store) => {
+            store.clear();
+            products.forEach(product => store.put(product));
+        });
+    }
+}
@@ -0,0 +1,358 @@
+// ===== PRODUCT REPOSITORY =====
+// The app's access point for saved products. IndexedDB (ProductStore) is the working
+// copy, so the catalog loads and edits offline; a sync engine pushes local changes
+// to the team's shared catalog (/api/products) and pulls everyone else's.
+//
+// Each product has a sync state in the productSync store:
+//   baseRevision / base  the server revision and copy this device last agreed with
+//   pending              'put' | 'delete' while a local change hasn't reached the server
+//   edit                 counter that tells a request's response apart from a newer edit
+//   conflict             set when the server changed the same product; the user resolves it
+
+const PRODUCTS_API = '/api/products';
+
+// Fields that change on every save and never count as a conflict
+const SYNC_IGNORED_FIELDS = ['id', 'revision', 'updatedAt'];
+
+// Three-way merge of a local and a remote edit of the same product: fields only one
+// side changed are taken from that side, fields both changed differently are conflicts
+function mergeProductChanges(base, local, remote) {
+    const merged = { ...remote };
+    const conflicts = [];
+    const fields = new Set([...Object.keys(base || {}), ...Object.keys(local), ...Object.keys(remote)]);
+
+    fields.forEach((field) => {
+        if (SYNC_IGNORED_FIELDS.includes(field)) return;
+
+        const baseValue = JSON.stringify(base ? base[field] : undefined);
+        const localValue = JSON.stringify(local[field]);
+        const remoteValue = JSON.stringify(remote[field]);
+
+        if (localValue === remoteValue || localValue === baseValue) return;
+        if (remoteValue === baseValue) {
+            if (local[field] === undefined) delete merged[field];
+            else merged[field] = local[field];
+            return;
+        }
+        conflicts.push(field);
+    });
+
+    merged.updatedAt = [local.updatedAt, remote.updatedAt].filter(Boolean).sort().pop();
+    return { merged, conflicts };
+}
+
+// Fields that belong to one user and never go to or come from the shared catalog.
+// Price alerts live in their own store (ProductStore.getAlerts).
+const PERSONAL_FIELDS = ['watch'];
+
+function stripPersonalFields(product) {
+    const copy = { ...product };
+    PERSONAL_FIELDS.forEach(field => delete copy[field]);
+    return copy;
+}
+
+// Server copies carry their revision; locally it lives in the sync state instead
+function stripRevision(product) {
+    const copy = stripPersonalFields(product);
+    delete copy.revision;
+    return copy;
+}
+
+class ProductRepository {
+    constructor(store = new ProductStore(), apiUrl = PRODUCTS_API) {
+        this.store = store;
+        this.apiUrl = apiUrl;
+        // JSON of each product as last saved, to work out what saveAll changed
+        this.snapshot = new Map();
+        this.flushing = null;
+        this.nextFlush = null;
+        // Called with the full product list after the server changed local products
+        this.onChange = null;
+    }
+
+    remember(products) {
+        this.snapshot = new Map(products.map(product => [product.id, JSON.stringify(product)]));
+    }
+
+    async loadLocal() {
+        const products = await this.store.getAll();
+        this.remember(products);
+        return products;
+    }
+
+    async getStates() {
+        return new Map((await this.store.getSyncStates()).map(state => [state.id, state]));
+    }
+
+    async getConflicts() {
+        const conflicted = (await this.store.getSyncStates()).filter(state => state.conflict);
+        return Promise.all(conflicted.map(async state => ({ ...state, local: (await this.store.get(state.id)) || null })));
+    }
+
+    async countPending() {
+        return (await this.store.getSyncStates()).filter(state => state.pending && !state.conflict).length;
+    }
+
+    // Save the page's product list: only products that changed since the last save or
+    // load are written or deleted, so products the service worker wrote meanwhile are
+    // left alone. What changed is queued for the server.
+    async saveAll(products) {
+        const changes = new Map();
+        const changed = [];
+        const ids = new Set();
+        products.forEach((product) => {
+            ids.add(product.id);
+            if (this.snapshot.get(product.id) !== JSON.stringify(product)) {
+                changes.set(product.id, 'put');
+                changed.push(product);
+            }
+        });
+        this.snapshot.forEach((json, id) => {
+            if (!ids.has(id)) changes.set(id, 'delete');
+        });
+        if (!changes.size) return;
+
+        await this.store.applyChanges(changed, [...changes].filter(([, operation]) => operation === 'delete').map(([id]) => id));
+        this.remember(products);
+
+        await this.queueChanges(changes);
+        this.flush();
+    }
+
+    // Write one product saved outside saveAll (the service worker's background scrapes
+    // and price checks) and send it to the server
+    async saveProduct(product) {
+        await this.store.put(product);
+        this.snapshot.set(product.id, JSON.stringify(product));
+        await this.queueChanges(new Map([[product.id, 'put']]));
+        return this.flush();
+    }
+
+    async queueChanges(changes) {
+        const states = await this.getStates();
+        const updated = [];
+        const removed = [];
+
+        changes.forEach((operation, id) => {
+            const state = states.get(id) || { id, baseRevision: 0, base: null, pending: null, edit: 0 };
+            // A product deleted before it ever reached the server needs no request
+            if (operation === 'delete' && !state.baseRevision && !state.conflict) {
+                removed.push(id);
+            } else {
+                updated.push({ ...state, pending: operation, edit: (state.edit || 0) + 1 });
+            }
+        });
+
+        if (updated.length) await this.store.putSyncStates(updated);
+        if (removed.length) await this.store.deleteSyncStates(removed);
+    }
+
+    // Send pending changes. A flush requested while one is running waits for it
+    // and then runs once more, so changes queued meanwhile are sent too.
+    flush() {
+        if (this.flushing) {
+            if (!this.nextFlush) {
+                this.nextFlush = this.flushing.then(() => {
+                    this.nextFlush = null;
+                    return this.flush();
+                });
+            }
+            return this.nextFlush;
+        }
+
+        this.flushing = this.sendPending().finally(() => {
+            this.flushing = null;
+        });
+        return this.flushing;
+    }
+
+    // Resolves with { sent, failed }. Stops at the first network failure so an
+    // unreachable server isn't hit once per product. Products merged after a
+    // conflict are sent again in a second pass.
+    async sendPending(retryMerged = true) {
+        const pending = (await this.store.getSyncStates()).filter(state => state.pending && !state.conflict);
+        let sent = 0;
+        let changed = false;
+
+        for (const state of pending) {
+            try {
+                const product = state.pending === 'put' ? await this.store.get(state.id) : null;
+                const url = `${this.apiUrl}/${encodeURIComponent(state.id)}?baseRevision=${state.baseRevision || 0}`;
+                const response = product
+                    ? await fetch(url, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(stripPersonalFields(product)) })
+                    : await fetch(url, { method: 'DELETE' });
+
+                if (response.status === 409) {
+                    const { current } = await response.json();
+                    await this.applyRemote(state, product, current);
+                    changed = true;
+                    continue;
+                }
+                if (!response.ok && !(response.status === 404 && !product)) {
+                    throw new Error(`Server error: ${response.status}`);
+                }
+
+                await this.markSent(state, product ? await response.json() : null);
+                sent++;
+            } catch (error) {
+                console.warn('Product sync paused:', error.message);
+                return { sent, failed: true };
+            }
+        }
+
+        if (!changed) return { sent, failed: false };
+
+        await this.notifyChange();
+        if (!retryMerged) return { sent, failed: false };
+        const again = await this.sendPending(false);
+        return { sent: sent + again.sent, failed: again.failed };
+    }
+
+    async markSent(sent, saved) {
+        const current = (await this.getStates()).get(sent.id);
+        const editedSince = current && current.edit !== sent.edit;
+
+        if (saved) {
+            await this.store.putSyncStates([{
+                ...(current || sent),
+                baseRevision: saved.revision,
+                base: stripRevision(saved),
+                pending: editedSince ? current.pending : null
+            }]);
+        } else if (editedSince) {
+            // Re-created while the delete was in flight
+            await this.store.putSyncStates([{ ...current, baseRevision: 0, base: null }]);
+        } else {
+            await this.store.deleteSyncStates([sent.id]);
+        }
+    }
+
+    // Fold a newer server version (or tombstone) of one product into the local copy.
+    // `local` is the local product, or null when it was deleted here.
+    async applyRemote(state, local, remote) {
+        const id = state.id;
+        const save = product => this.store.put(product);
+        const drop = () => this.store.delete(id);
+        const setState = next => this.store.putSyncStates([{ id, edit: 0, ...next }]);
+        const conflict = (type, fields = []) => setState({
+            ...state,
+            conflict: { type, fields, remote: remote && !remote.deleted ? stripRevision(remote) : null, remoteRevision: remote ? remote.revision : 0 }
+        });
+
+        if (!remote || remote.deleted) {
+            if (state.pending === 'put' && local) {
+                // Edited here, deleted by a teammate
+                return conflict('deleted');
+            }
+            await drop();
+            return this.store.deleteSyncStates([id]);
+        }
+
+        const remoteProduct = stripRevision(remote);
+        const agreed = { baseRevision: remote.revision, base: remoteProduct, conflict: null };
+
+        if (state.pending === 'delete') {
+            // Deleted here, edited by a teammate
+            return conflict('edited');
+        }
+
+        if (state.pending === 'put' && local) {
+            const { merged, conflicts } = mergeProductChanges(state.base, local, remoteProduct);
+            if (conflicts.length) {
+                return conflict('fields', conflicts);
+            }
+            await save(merged);
+            return setState({ ...state, ...agreed, pending: JSON.stringify(merged) === JSON.stringify(remoteProduct) ? null : 'put' });
+        }
+
+        await save(remoteProduct);
+        return setState({ ...state, ...agreed, pending: null });
+    }
+
+    async notifyChange() {
+        const products = await this.loadLocal();
+        if (this.onChange) this.onChange(products);
+        return products;
+    }
+
+    // Pull the shared catalog (with tombstones), merge it into the local copy, then
+    // push local changes. Resolves with { products, sent, conflicts }, or null when
+    // the server is unreachable.
+    async sync() {
+        let remote;
+        try {
+            const response = await fetch(`${this.apiUrl}?includeDeleted=true`, { cache: 'no-store' });
+            if (!response.ok) throw new Error(`Server error: ${response.status}`);
+            remote = await response.json();
+        } catch (error) {
+            console.warn('Shared catalog unavailable, using the local copy:', error.message);
+            return null;
+        }
+
+        const [local, states] = await Promise.all([this.store.getAll(), this.getStates()]);
+        const localById = new Map(local.map(product => [product.id, product]));
+        const remoteIds = new Set();
+
+        for (const item of remote) {
+            remoteIds.add(item.id);
+            const state = states.get(item.id) || { id: item.id, baseRevision: 0, base: null, pending: null, edit: 0 };
+
+            // Unchanged since we last agreed, or a known tombstone for something we don't have
+            if (state.baseRevision === item.revision || (item.deleted && !localById.has(item.id) && !states.has(item.id))) continue;
+            // An unresolved conflict is refreshed with the newest server version
+            await this.applyRemote({ ...state, conflict: null }, localById.get(item.id) || null, item);
+        }
+
+        // Local products the server has never seen: saved before the shared catalog
+        // existed, or lost from the server. Upload them as new.
+        const uploads = local
+            .filter(product => !remoteIds.has(product.id))
+            .map(product => ({ ...(states.get(product.id) || { id: product.id, edit: 0 }), baseRevision: 0, base: null, pending: 'put' }));
+        if (uploads.length) await this.store.putSyncStates(uploads);
+
+        const { sent } = await this.flush();
+        const products = await this.notifyChange();
+        return { products, sent, conflicts: (await this.getConflicts()).length };
+    }
+
+    // Apply the user's choice for a conflict:
+    //   fields:  { choices: { field: 'local' | 'remote' } }, unlisted fields keep the server value
+    //   deleted: 'keep' re-creates the local version, 'discard' accepts the delete
+    //   edited:  'delete' deletes the teammate's version too, 'keep' restores it
+    async resolveConflict(id, resolution) {
+        const state = (await this.getStates()).get(id);
+        if (!state || !state.conflict) return;
+
+        const { type, remote, remoteRevision, fields } = state.conflict;
+        const local = await this.store.get(id);
+        const next = { ...state, conflict: null, baseRevision: remoteRevision, base: remote, edit: (state.edit || 0) + 1 };
+
+        if (type === 'fields') {
+            const { merged } = mergeProductChanges(state.base, local, remote);
+            fields.forEach((field) => {
+                const source = (resolution.choices || {})[field] === 'local' ? local : remote;
+                if (source[field] === undefined) delete merged[field];
+                else merged[field] = source[field];
+            });
+            await this.store.put(merged);
+            await this.store.putSyncStates([{ ...next, pending: 'put' }]);
+        } else if (type === 'deleted') {
+            if (resolution === 'keep') {
+                await this.store.putSyncStates([{ ...next, pending: 'put' }]);
+            } else {
+                await this.store.delete(id);
+                await this.store.deleteSyncStates([id]);
+            }
+        } else if (type === 'edited') {
+            if (resolution === 'delete') {
+                await this.store.putSyncStates([{ ...next, pending: 'delete' }]);
+            } else {
+                await this.store.put(remote);
+                await this.store.putSyncStates([{ ...next, pending: null }]);
+            }
+        }
+
+        await this.notifyChange();
+        return this.flush();
+    }
+}
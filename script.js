@@ -1,13 +1,118 @@
+// ===== MERGE CONFIGURATION =====
+// Field groups offered in the duplicate merge dialog. Groups marked combinable
+// can keep the values from both products.
+const MERGE_GROUPS = [
+    { id: 'title', label: 'Title', fields: ['title'] },
+    { id: 'brand', label: 'Brand / Model', fields: ['brand', 'model'] },
+    { id: 'price', label: 'Price', fields: ['offerPrice', 'originalPrice', 'offerPercentage', 'amountSaved', 'priceDetails', 'currency'], preferIncoming: true },
+    { id: 'rating', label: 'Rating', fields: ['rating', 'ratingCount', 'ratingHistogram', 'topReviews'], preferIncoming: true },
+    { id: 'images', label: 'Images', fields: ['images'], combinable: true },
+    { id: 'tags', label: 'Tags', fields: ['tags'], combinable: true },
+    { id: 'colors', label: 'Colors/Types', fields: ['colors'], combinable: true },
+    { id: 'variations', label: 'Variants', fields: ['variations'], preferIncoming: true },
+    { id: 'availability', label: 'Availability & Seller', fields: ['availability', 'seller', 'prime', 'delivery'], preferIncoming: true },
+    { id: 'categories', label: 'Categories', fields: ['categories'], combinable: true },
+    { id: 'details', label: 'About / Specs', fields: ['aboutItem', 'technicalData', 'specs'] }
+];
+
+// ===== AVAILABILITY =====
+// Labels for the availability.status values the server extracts
+const AVAILABILITY_LABELS = {
+    in_stock: 'In Stock',
+    low_stock: 'Low Stock',
+    out_of_stock: 'Unavailable',
+    preorder: 'Pre-order',
+    unknown: 'Unknown'
+};
+
+// ===== SCRAPE ERRORS =====
+// What the user can do about each error code returned by /api/scrape
+const SCRAPE_ERROR_MESSAGES = {
+    CAPTCHA_REQUIRED: 'Amazon is showing a robot check. Open the product page in your browser, solve the CAPTCHA, then try again in a few minutes.',
+    RATE_LIMITED: 'Amazon is throttling requests. Wait a few minutes before extracting again.',
+    PRODUCT_NOT_FOUND: 'Amazon has no product at this address. Check the URL or ASIN; the listing may have been removed.',
+    SIGN_IN_REQUIRED: 'Amazon asked for a sign-in. Try the plain product link (amazon.com/dp/ASIN) instead.',
+    INVALID_URL: 'Only Amazon product links (amazon.<marketplace>/dp/ASIN or amzn.to short links) can be extracted.',
+    SCRAPE_FAILED: 'The product page could not be read. Try again later.',
+    AUTH_REQUIRED: 'Please sign in to extract products.'
+};
+
+// ===== PRODUCT SHAPE =====
+// Fields produced by getFormData, used to validate imported products
+const PRODUCT_TEXT_FIELDS = [
+    'title', 'brand', 'model', 'asin', 'rating', 'ratingCount', 'originalPrice',
+    'offerPrice', 'offerPercentage', 'amountSaved', 'aboutItem', 'technicalData'
+];
+const PRODUCT_LIST_FIELDS = ['colors', 'categories', 'tags'];
+
+// ===== CSV EXPORT CONFIGURATION =====
+// Columns offered in the CSV export dialog. `list` columns are joined with the
+// separator chosen in the dialog.
+const CSV_COLUMNS = [
+    { id: 'title', label: 'Title', value: p => p.title, default: true },
+    { id: 'brand', label: 'Brand', value: p => p.brand, default: true },
+    { id: 'model', label: 'Model', value: p => p.model },
+    { id: 'asin', label: 'ASIN', value: p => p.asin, default: true },
+    { id: 'offerPrice', label: 'Offer Price', value: p => p.offerPrice, default: true },
+    { id: 'originalPrice', label: 'Original Price', value: p => p.originalPrice, default: true },
+    { id: 'offerPercentage', label: 'Discount %', value: p => p.offerPercentage },
+    { id: 'amountSaved', label: 'Amount Saved', value: p => p.amountSaved },
+    { id: 'currency', label: 'Currency', value: p => p.currency },
+    { id: 'rating', label: 'Rating', value: p => p.rating, default: true },
+    { id: 'ratingCount', label: 'Reviews', value: p => p.ratingCount, default: true },
+    { id: 'availability', label: 'Availability', value: p => (p.availability ? p.availability.text || AVAILABILITY_LABELS[p.availability.status] : '') },
+    { id: 'soldBy', label: 'Sold By', value: p => (p.seller ? p.seller.soldBy : '') },
+    { id: 'shipsFrom', label: 'Ships From', value: p => (p.seller ? p.seller.shipsFrom : '') },
+    { id: 'prime', label: 'Prime', value: p => (p.prime ? 'Yes' : 'No') },
+    { id: 'delivery', label: 'Delivery', value: p => p.delivery },
+    { id: 'ratingHistogram', label: 'Rating Breakdown', value: p => Object.keys(p.ratingHistogram || {}).sort().reverse().map(stars => `${stars} star: ${p.ratingHistogram[stars]}%`), list: true },
+    { id: 'topReviews', label: 'Top Reviews', value: p => (p.topReviews || []).map(review => `${review.stars ? `${review.stars}★ ` : ''}${review.title}${review.verified ? ' (Verified Purchase)' : ''}: ${review.body}`), list: true },
+    { id: 'colors', label: 'Colors/Types', value: p => p.colors, list: true },
+    { id: 'categories', label: 'Categories', value: p => p.categories, list: true, default: true },
+    { id: 'tags', label: 'Tags', value: p => p.tags, list: true, default: true },
+    { id: 'image', label: 'First Image URL', value: p => (p.images && p.images[0] ? p.images[0].url : ''), default: true },
+    { id: 'url', label: 'Product URL', value: p => p.url, default: true },
+    { id: 'aboutItem', label: 'About This Item', value: p => p.aboutItem },
+    { id: 'technicalData', label: 'Technical Specifications', value: p => p.technicalData },
+    { id: 'specs', label: 'Specifications', value: p => Object.entries(p.specs || {}).map(([key, value]) => `${key}: ${value}`), list: true },
+    { id: 'extractedAt', label: 'Extracted At', value: p => p.extractedAt },
+    { id: 'updatedAt', label: 'Updated At', value: p => p.updatedAt }
+];
+
+// Most products the comparison table can hold side by side
+const MAX_COMPARE_PRODUCTS = 4;
+
+const CSV_SEPARATORS = [
+    { value: '; ', label: 'Semicolon (a; b)' },
+    { value: ', ', label: 'Comma (a, b)' },
+    { value: ' | ', label: 'Pipe (a | b)' },
+    { value: '\n', label: 'New line (one per line in the cell)' }
+];
+
 // ===== APPLICATION STATE =====
 class AmazonScraperApp {
     constructor() {
         this.products = [];
+        this.pendingScrapes = [];
+        // Price alerts by product id. They are personal, so they stay in this browser
+        // instead of on the shared products.
+        this.alerts = new Map();
+        this.store = new ProductStore();
+        this.user = null;
+        this.repository = new ProductRepository(this.store);
+        this.repository.onChange = products => this.applySyncedProducts(products);
+        this.useLocalStorage = false;
         this.currentProduct = null;
         this.isEditing = false;
+        this.compareSelection = new Set();
+        this.selectedVariants = {};
         this.filters = {
             search: '',
             brand: '',
-            category: ''
+            category: '',
+            spec: '',
+            inStock: false,
+            prime: false
         };
 
         // DOM elements
@@ -26,8 +131,15 @@ class AmazonScraperApp {
             searchInput: document.getElementById('searchInput'),
             brandFilter: document.getElementById('brandFilter'),
             categoryFilter: document.getElementById('categoryFilter'),
+            specFilter: document.getElementById('specFilter'),
+            inStockFilter: document.getElementById('inStockFilter'),
+            primeFilter: document.getElementById('primeFilter'),
+            specRows: document.getElementById('specRows'),
+            addSpecBtn: document.getElementById('addSpecBtn'),
             clearFilters: document.getElementById('clearFilters'),
             exportBtn: document.getElementById('exportBtn'),
+            exportCsvBtn: document.getElementById('exportCsvBtn'),
+            importFile: document.getElementById('importFile'),
             clearAllBtn: document.getElementById('clearAllBtn'),
             productModal: document.getElementById('productModal'),
             modalTitle: document.getElementById('modalTitle'),
@@ -35,19 +147,50 @@ class AmazonScraperApp {
             modalClose: document.getElementById('modalClose'),
             modalEdit: document.getElementById('modalEdit'),
             modalDelete: document.getElementById('modalDelete'),
-            modalDownload: document.getElementById('modalDownload')
+            modalDownload: document.getElementById('modalDownload'),
+            modalRefresh: document.getElementById('modalRefresh'),
+            findDuplicatesBtn: document.getElementById('findDuplicatesBtn'),
+            syncConflictsBtn: document.getElementById('syncConflictsBtn'),
+            syncConflictCount: document.getElementById('syncConflictCount'),
+            dialogModal: document.getElementById('dialogModal'),
+            dialogTitle: document.getElementById('dialogTitle'),
+            dialogBody: document.getElementById('dialogBody'),
+            dialogFooter: document.getElementById('dialogFooter'),
+            dialogClose: document.getElementById('dialogClose'),
+            compareBar: document.getElementById('compareBar'),
+            compareCount: document.getElementById('compareCount'),
+            compareBtn: document.getElementById('compareBtn'),
+            compareClearBtn: document.getElementById('compareClearBtn'),
+            batchToggleBtn: document.getElementById('batchToggleBtn'),
+            batchPanel: document.getElementById('batchPanel'),
+            batchUrls: document.getElementById('batchUrls'),
+            batchFile: document.getElementById('batchFile'),
+            batchStartBtn: document.getElementById('batchStartBtn'),
+            batchCancelBtn: document.getElementById('batchCancelBtn'),
+            batchProgress: document.getElementById('batchProgress'),
+            batchSummary: document.getElementById('batchSummary'),
+            accountName: document.getElementById('accountName'),
+            signInBtn: document.getElementById('signInBtn'),
+            signOutBtn: document.getElementById('signOutBtn'),
+            apiKeysBtn: document.getElementById('apiKeysBtn'),
+            addUserBtn: document.getElementById('addUserBtn'),
+            quotaInfo: document.getElementById('quotaInfo')
         };
 
         this.init();
     }
 
     // ===== INITIALIZATION =====
-    init() {
-        this.loadProducts();
+    async init() {
+        await this.loadProducts();
+        await this.loadPendingScrapes();
         this.bindEvents();
         this.updateFilters();
         this.renderProducts();
         this.setupChipInputs();
+        this.setupServiceWorker();
+        this.openLinkedProduct();
+        this.syncProducts();
     }
 
     // ===== EVENT BINDING =====
@@ -58,6 +201,18 @@ class AmazonScraperApp {
             if (e.key === 'Enter') this.extractProduct();
         });
 
+        // Account
+        this.elements.signInBtn.addEventListener('click', () => this.checkSession());
+        this.elements.signOutBtn.addEventListener('click', () => this.signOut());
+        this.elements.apiKeysBtn.addEventListener('click', () => this.showApiKeysDialog());
+        this.elements.addUserBtn.addEventListener('click', () => this.showAddUserDialog());
+
+        // Batch import
+        this.elements.batchToggleBtn.addEventListener('click', () => this.toggleBatchPanel());
+        this.elements.batchFile.addEventListener('change', (e) => this.loadBatchFile(e.target.files[0]));
+        this.elements.batchStartBtn.addEventListener('click', () => this.startBatch(this.parseBatchUrls(this.elements.batchUrls.value)));
+        this.elements.batchCancelBtn.addEventListener('click', () => this.cancelBatch());
+
         // Product editing
         this.elements.saveBtn.addEventListener('click', () => this.saveProduct());
         this.elements.cancelBtn.addEventListener('click', () => this.cancelEditing());
@@ -66,10 +221,18 @@ class AmazonScraperApp {
         this.elements.searchInput.addEventListener('input', (e) => this.handleSearch(e.target.value));
         this.elements.brandFilter.addEventListener('change', (e) => this.handleBrandFilter(e.target.value));
         this.elements.categoryFilter.addEventListener('change', (e) => this.handleCategoryFilter(e.target.value));
+        this.elements.specFilter.addEventListener('change', (e) => this.handleSpecFilter(e.target.value));
+        this.elements.inStockFilter.addEventListener('change', (e) => this.handleToggleFilter('inStock', e.target.checked));
+        this.elements.primeFilter.addEventListener('change', (e) => this.handleToggleFilter('prime', e.target.checked));
+        this.elements.addSpecBtn.addEventListener('click', () => this.addSpecRow());
         this.elements.clearFilters.addEventListener('click', () => this.clearFilters());
 
         // Bulk actions
+        this.elements.findDuplicatesBtn.addEventListener('click', () => this.showDuplicatesDialog());
+        this.elements.syncConflictsBtn.addEventListener('click', () => this.showSyncConflicts());
         this.elements.exportBtn.addEventListener('click', () => this.exportAllProducts());
+        this.elements.exportCsvBtn.addEventListener('click', () => this.showCsvExportDialog());
+        this.elements.importFile.addEventListener('change', (e) => this.loadImportFile(e.target));
         this.elements.clearAllBtn.addEventListener('click', () => this.clearAllProducts());
 
         // Modal events
@@ -77,15 +240,27 @@ class AmazonScraperApp {
         this.elements.modalEdit.addEventListener('click', () => this.editProductFromModal());
         this.elements.modalDelete.addEventListener('click', () => this.deleteProductFromModal());
         this.elements.modalDownload.addEventListener('click', () => this.downloadProductFromModal());
+        this.elements.modalRefresh.addEventListener('click', () => this.refreshProductFromModal());
 
         // Close modal on outside click
         this.elements.productModal.addEventListener('click', (e) => {
             if (e.target === this.elements.productModal) this.closeModal();
         });
 
+        // Comparison events
+        this.elements.compareBtn.addEventListener('click', () => this.showComparison());
+        this.elements.compareClearBtn.addEventListener('click', () => this.clearCompareSelection());
+
+        // Dialog events
+        this.elements.dialogClose.addEventListener('click', () => this.closeDialog());
+        this.elements.dialogModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.dialogModal) this.closeDialog();
+        });
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
+                this.closeDialog();
                 this.closeModal();
                 this.cancelEditing();
             }
@@ -158,6 +333,11 @@ class AmazonScraperApp {
             return;
         }
 
+        if (!navigator.onLine) {
+            await this.queueOfflineScrape(url);
+            return;
+        }
+
         this.showLoading('Extracting product data...');
         this.setButtonLoading(this.elements.extractBtn, true);
 
@@ -168,11 +348,21 @@ class AmazonScraperApp {
                 body: JSON.stringify({ url })
             });
 
+            // The service worker answers 503 { offline: true } when the network is gone
+            if (response.status === 503) {
+                const body = await response.clone().json().catch(() => ({}));
+                if (body.offline) {
+                    await this.queueOfflineScrape(url);
+                    return;
+                }
+            }
+
             if (!response.ok) {
-                throw new Error(`Server error: ${response.status}`);
+                throw await this.readScrapeError(response);
             }
 
-            const productData = await response.json();
+            // The server answers from its cache when the product was scraped recently
+            const { fromCache, cachedAt, ...productData } = await response.json();
             
             if (productData.error) {
                 throw new Error(productData.error);
@@ -181,13 +371,23 @@ class AmazonScraperApp {
             this.currentProduct = {
                 id: Date.now(),
                 url: url,
-                extractedAt: new Date().toISOString(),
+                extractedAt: cachedAt || new Date().toISOString(),
                 ...productData
             };
+            this.currentProduct.priceHistory = [this.createPriceSnapshot(this.currentProduct)];
+
+            const duplicate = this.findDuplicate(this.currentProduct);
+            if (duplicate) {
+                this.showMergeDialog(duplicate, this.currentProduct, 'extract');
+                this.showToast('This product is already saved. Choose what to keep.', 'warning');
+                return;
+            }
 
             this.populateForm(this.currentProduct);
             this.showProductEditor();
-            this.showToast('Product data extracted successfully!', 'success');
+            this.showToast(fromCache
+                ? `Product data loaded from the server cache (scraped ${new Date(cachedAt).toLocaleTimeString()})`
+                : 'Product data extracted successfully!', 'success');
 
             // Auto-download images
             if (productData.images && productData.images.length > 0) {
@@ -200,217 +400,1246 @@ class AmazonScraperApp {
         } finally {
             this.hideLoading();
             this.setButtonLoading(this.elements.extractBtn, false);
+            this.updateQuota();
         }
     }
 
-    // ===== URL VALIDATION =====
-    isValidAmazonUrl(url) {
+    // ===== OFFLINE SCRAPE QUEUE =====
+    async loadPendingScrapes() {
         try {
-            const urlObj = new URL(url);
-            return urlObj.hostname.includes('amazon.') && 
-                   (urlObj.pathname.includes('/dp/') || urlObj.pathname.includes('/gp/product/'));
-        } catch {
-            return false;
+            this.pendingScrapes = await this.store.getPendingScrapes();
+        } catch (error) {
+            console.error('Failed to load pending scrapes:', error);
+            this.pendingScrapes = [];
         }
     }
 
-    // ===== FORM MANAGEMENT =====
-    populateForm(product) {
-        // Basic fields
-        document.getElementById('productTitle').value = product.title || '';
-        document.getElementById('productBrand').value = product.brand || '';
-        document.getElementById('productModel').value = product.model || '';
-        document.getElementById('productASIN').value = product.asin || '';
-        document.getElementById('productRating').value = product.rating || '';
-        document.getElementById('ratingCount').value = product.ratingCount || '';
-        document.getElementById('originalPrice').value = product.originalPrice || '';
-        document.getElementById('offerPrice').value = product.offerPrice || '';
-        document.getElementById('offerPercentage').value = product.offerPercentage || '';
-        document.getElementById('amountSaved').value = product.amountSaved || '';
-        document.getElementById('aboutItem').value = product.aboutItem || '';
-        document.getElementById('technicalData').value = product.technicalData || '';
+    async queueOfflineScrape(url) {
+        if (this.pendingScrapes.some(request => request.url === url)) {
+            this.showToast('This URL is already queued', 'warning');
+            return;
+        }
 
-        // Chip fields
-        this.setChipValues('colorChips', product.colors || []);
-        this.setChipValues('categoryChips', product.categories || []);
-        this.setChipValues('tagChips', product.tags || []);
+        const request = { id: Date.now(), url, queuedAt: new Date().toISOString(), attempts: 0 };
 
-        // Images
-        this.displayImages(product.images || []);
+        try {
+            await this.store.putPendingScrape(request);
+        } catch (error) {
+            console.error('Failed to queue scrape:', error);
+            this.showToast('You are offline and the URL could not be queued', 'error');
+            return;
+        }
+
+        this.pendingScrapes.push(request);
+        this.elements.productUrl.value = '';
+        this.renderProducts();
+        this.registerBackgroundScrape();
+        this.showToast('You are offline. The product will be extracted when you reconnect.', 'info');
     }
 
-    getFormData() {
-        return {
-            title: document.getElementById('productTitle').value,
-            brand: document.getElementById('productBrand').value,
-            model: document.getElementById('productModel').value,
-            asin: document.getElementById('productASIN').value,
-            rating: document.getElementById('productRating').value,
-            ratingCount: document.getElementById('ratingCount').value,
-            originalPrice: document.getElementById('originalPrice').value,
-            offerPrice: document.getElementById('offerPrice').value,
-            offerPercentage: document.getElementById('offerPercentage').value,
-            amountSaved: document.getElementById('amountSaved').value,
-            aboutItem: document.getElementById('aboutItem').value,
-            technicalData: document.getElementById('technicalData').value,
-            colors: this.getChipValues('colorChips'),
-            categories: this.getChipValues('categoryChips'),
-            tags: this.getChipValues('tagChips')
-        };
+    async registerBackgroundScrape() {
+        if (!('serviceWorker' in navigator)) return;
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if ('sync' in registration) {
+                await registration.sync.register('background-scrape');
+            }
+        } catch (error) {
+            console.warn('Background sync unavailable:', error);
+        }
     }
 
-    // ===== IMAGE HANDLING =====
-    displayImages(images) {
-        const container = document.getElementById('imagePreview');
-        container.innerHTML = '';
+    // Browsers without Background Sync replay the queue when the page sees the connection return
+    async replayPendingScrapes() {
+        if (!this.pendingScrapes.length || !('serviceWorker' in navigator)) return;
 
-        if (!images || !images.length) {
-            container.innerHTML = '<p class="text-muted">No images available</p>';
+        const registration = await navigator.serviceWorker.ready;
+        if (!('sync' in registration)) {
+            registration.active?.postMessage({ type: 'REPLAY_SCRAPES' });
+        }
+    }
+
+    async removePendingScrape(requestId) {
+        try {
+            await this.store.deletePendingScrape(requestId);
+        } catch (error) {
+            console.error('Failed to remove pending scrape:', error);
+        }
+
+        this.pendingScrapes = this.pendingScrapes.filter(request => request.id !== requestId);
+        this.renderProducts();
+    }
+
+    // Results of queued scrapes open in the editor when it's free, otherwise they're saved as-is
+    handleScrapeCompleted({ request, product }) {
+        this.pendingScrapes = this.pendingScrapes.filter(pending => pending.id !== request.id);
+
+        // Saved straight away while the editor is busy, going through the same merge as batch rows
+        if (this.isEditing) {
+            const outcome = this.saveScrapedProduct(request.url, product);
+            this.showToast(outcome === 'merged'
+                ? `Queued product merged into the saved copy: ${product.title || request.url}`
+                : `Queued product saved: ${product.title || request.url}`, 'success');
             return;
         }
 
-        images.forEach((image, index) => {
-            const imageDiv = document.createElement('div');
-            imageDiv.className = 'image-item';
-            imageDiv.innerHTML = `
-                <img src="${this.escapeHtml(image.url)}" alt="Product image ${index + 1}" loading="lazy">
-                <div class="image-overlay">
-                    Image ${index + 1}
-                    ${image.downloaded ? '✓' : '⏳'}
-                </div>
-            `;
-            container.appendChild(imageDiv);
-        });
+        const completed = {
+            id: request.id,
+            url: request.url,
+            extractedAt: product.cachedAt || new Date().toISOString(),
+            ...product
+        };
+        delete completed.fromCache;
+        delete completed.cachedAt;
+        completed.priceHistory = [this.createPriceSnapshot(completed)];
+        this.currentProduct = completed;
+        this.renderProducts();
+
+        const duplicate = this.findDuplicate(completed);
+        if (duplicate) {
+            this.showMergeDialog(duplicate, completed, 'extract');
+            this.showToast('The queued product is already saved. Choose what to keep.', 'warning');
+            return;
+        }
+
+        this.populateForm(completed);
+        this.showProductEditor();
+        this.showToast(`Queued product extracted: ${completed.title || completed.url}`, 'success');
     }
 
-    async downloadProductImages(product) {
-        if (!product.images || !product.images.length) return;
+    handleScrapeFailed({ request, error }) {
+        this.pendingScrapes = this.pendingScrapes.filter(pending => pending.id !== request.id);
+        this.renderProducts();
+        this.showToast(`Queued extraction failed for ${request.url}: ${error}`, 'error');
+    }
 
-        const statusContainer = document.getElementById('imageDownloadStatus');
-        statusContainer.innerHTML = '<h4>Downloading Images...</h4>';
+    // ===== BATCH IMPORT =====
+    toggleBatchPanel() {
+        const panel = this.elements.batchPanel;
+        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+    }
 
-        for (let i = 0; i < product.images.length; i++) {
-            const image = product.images[i];
-            const statusItem = document.createElement('div');
-            statusItem.className = 'download-item';
-            statusItem.innerHTML = `
-                <span>Image ${i + 1}</span>
-                <span class="download-status">Downloading...</span>
-            `;
-            statusContainer.appendChild(statusItem);
+    // Pull every http(s) URL out of pasted text or a .txt/.csv file, whatever the layout
+    parseBatchUrls(text) {
+        const matches = (text || '').match(/https?:\/\/[^\s,;"'<>]+/g) || [];
+        return [...new Set(matches)];
+    }
 
-            try {
-                const response = await fetch('/api/download-image', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ 
-                        url: image.url, 
-                        productId: product.id, 
-                        index: i,
-                        productTitle: product.title 
-                    })
-                });
+    loadBatchFile(file) {
+        if (!file) return;
 
-                if (response.ok) {
-                    const blob = await response.blob();
-                    const url = URL.createObjectURL(blob);
-                    
-                    // Auto-download
-                    const a = document.createElement('a');
-                    a.href = url;
-                    a.download = `${this.sanitizeFileName(product.title)}-image-${i + 1}.jpg`;
-                    document.body.appendChild(a);
-                    a.click();
-                    document.body.removeChild(a);
-                    URL.revokeObjectURL(url);
+        const reader = new FileReader();
+        reader.onload = () => {
+            const urls = this.parseBatchUrls(reader.result);
+            const existing = this.elements.batchUrls.value.trim();
+            this.elements.batchUrls.value = [existing, ...urls].filter(Boolean).join('\n');
+            this.elements.batchFile.value = '';
+            this.showToast(`Loaded ${urls.length} URLs from ${file.name}`, 'info');
+        };
+        reader.onerror = () => this.showToast(`Could not read ${file.name}`, 'error');
+        reader.readAsText(file);
+    }
 
-                    statusItem.querySelector('.download-status').textContent = 'Downloaded ✓';
-                    image.downloaded = true;
-                } else {
-                    statusItem.querySelector('.download-status').textContent = 'Failed ✗';
-                }
-            } catch (error) {
-                console.error('Image download error:', error);
-                statusItem.querySelector('.download-status').textContent = 'Failed ✗';
+    async startBatch(urls) {
+        if (this.batchController) return;
+
+        const valid = urls.filter(url => this.isValidAmazonUrl(url));
+        const invalid = urls.filter(url => !this.isValidAmazonUrl(url));
+
+        if (!valid.length) {
+            this.showToast('No valid Amazon product URLs to import', 'error');
+            return;
+        }
+
+        if (!navigator.onLine) {
+            for (const url of valid) {
+                await this.queueOfflineScrape(url);
             }
+            return;
         }
 
-        this.showToast(`Images downloaded to folder: ${this.sanitizeFileName(product.title)}`, 'success');
-    }
+        this.batchResults = { saved: 0, merged: 0, skipped: invalid.length, failed: [] };
+        this.elements.batchSummary.innerHTML = '';
+        this.elements.batchProgress.innerHTML = [
+            ...valid.map((url, index) => this.createBatchRow(url, `batch-${index}`, 'queued', 'Queued')),
+            ...invalid.map(url => this.createBatchRow(url, '', 'skipped', 'Invalid URL'))
+        ].join('');
 
-    sanitizeFileName(fileName) {
-        if (!fileName) return 'unknown-product';
-        return fileName
-            .replace(/[<>:"/\\|?*]/g, '_')
-            .replace(/\s+/g, '_')
-            .replace(/_+/g, '_')
-            .replace(/^_|_$/g, '')
-            .substring(0, 50);
-    }
+        this.batchController = new AbortController();
+        this.setButtonLoading(this.elements.batchStartBtn, true);
+        this.elements.batchCancelBtn.style.display = 'inline-block';
 
-    // ===== PRODUCT MANAGEMENT =====
-    showProductEditor() {
-        this.elements.productEditor.style.display = 'block';
-        this.elements.productEditor.scrollIntoView({ behavior: 'smooth' });
-        this.isEditing = true;
+        try {
+            const response = await fetch('/api/scrape/batch', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ urls: valid }),
+                signal: this.batchController.signal
+            });
+
+            if (!response.ok) {
+                throw await this.readScrapeError(response);
+            }
+            if (!response.body) {
+                throw new Error('Streaming responses are not supported by this browser');
+            }
+
+            await this.readEventStream(response.body, (event, data) => this.handleBatchEvent(event, data));
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Batch import error:', error);
+                this.showToast(`Batch import failed: ${error.message}`, 'error');
+            }
+        } finally {
+            this.batchController = null;
+            this.setButtonLoading(this.elements.batchStartBtn, false);
+            this.elements.batchCancelBtn.style.display = 'none';
+            this.renderBatchSummary();
+            this.updateQuota();
+        }
     }
 
-    hideProductEditor() {
-        this.elements.productEditor.style.display = 'none';
-        this.isEditing = false;
-        this.currentProduct = null;
+    cancelBatch() {
+        if (this.batchController) {
+            this.batchController.abort();
+            this.showToast('Batch import stopped', 'warning');
+        }
     }
 
-    saveProduct() {
-        if (!this.currentProduct) return;
+    // Minimal Server-Sent Events parser for a fetch() response body
+    async readEventStream(body, onEvent) {
+        const reader = body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
 
-        const formData = this.getFormData();
-        
-        // Validation
-        if (!formData.title.trim()) {
-            this.showToast('Product title is required', 'error');
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const blocks = buffer.split('\n\n');
+            buffer = blocks.pop();
+
+            blocks.forEach((block) => {
+                const event = (block.match(/^event: (.*)$/m) || [])[1] || 'message';
+                const data = (block.match(/^data: (.*)$/m) || [])[1];
+                if (data) onEvent(event, JSON.parse(data));
+            });
+        }
+    }
+
+    handleBatchEvent(event, data) {
+        if (event === 'error') {
+            this.showToast(`Batch import failed: ${data.error}`, 'error');
             return;
         }
 
-        // Update current product
-        Object.assign(this.currentProduct, formData);
-        this.currentProduct.updatedAt = new Date().toISOString();
+        if (event !== 'progress') return;
 
-        // Add or update in products array
-        const existingIndex = this.products.findIndex(p => p.id === this.currentProduct.id);
-        if (existingIndex !== -1) {
-            this.products[existingIndex] = this.currentProduct;
+        const labels = {
+            started: 'Extracting...',
+            retrying: `Retrying (attempt ${data.attempt})...`,
+            done: 'Saved ✓',
+            failed: `Failed ✗ ${this.describeScrapeError(data.code, data.error || '')}`,
+            skipped: `Skipped: ${data.error || ''}`
+        };
+        const status = this.elements.batchProgress.querySelector(`[data-batch-id="batch-${data.index}"] .batch-status`);
+        if (status) {
+            status.className = `batch-status ${data.status}`;
+            status.textContent = labels[data.status] || data.status;
+        }
+
+        if (data.status === 'done') {
+            const outcome = this.saveScrapedProduct(data.url, data.product);
+            this.batchResults[outcome]++;
+            if (status && outcome === 'merged') status.textContent = 'Merged into existing ✓';
+        } else if (data.status === 'failed') {
+            this.batchResults.failed.push(data.url);
+        } else if (data.status === 'skipped') {
+            this.batchResults.skipped++;
+        }
+    }
+
+    // Save a product returned by /api/scrape (batch rows, variants), merging it into a saved copy
+    saveScrapedProduct(url, productData) {
+        const product = {
+            id: this.createProductId(),
+            url,
+            extractedAt: productData.cachedAt || new Date().toISOString(),
+            ...productData
+        };
+        // Server cache metadata is not part of the saved product
+        delete product.fromCache;
+        delete product.cachedAt;
+        product.priceHistory = [this.createPriceSnapshot(product)];
+
+        // Re-scraped products refresh the saved copy instead of duplicating it
+        const duplicate = this.findDuplicate(product);
+        if (duplicate) {
+            this.replaceProduct(this.autoMergeProducts(duplicate, [product]));
         } else {
-            this.products.push(this.currentProduct);
+            this.products.push(product);
         }
 
         this.saveProducts();
         this.renderProducts();
         this.updateFilters();
-        this.hideProductEditor();
-        this.clearForm();
-        this.elements.productUrl.value = '';
+        return duplicate ? 'merged' : 'saved';
+    }
 
-        this.showToast('Product saved successfully!', 'success');
+    // Date.now() ids, bumped when several products are created within the same millisecond
+    createProductId() {
+        const lastId = this.products.reduce((max, product) => Math.max(max, product.id || 0), 0);
+        return Math.max(Date.now(), lastId + 1);
     }
 
-    cancelEditing() {
-        if (this.isEditing) {
-            this.hideProductEditor();
-            this.clearForm();
-            this.elements.productUrl.value = '';
-            this.currentProduct = null;
+    createBatchRow(url, batchId, status, label) {
+        return `
+            <div class="batch-item" data-batch-id="${batchId}">
+                <span class="batch-item-url">${this.escapeHtml(url)}</span>
+                <span class="batch-status ${status}">${label}</span>
+            </div>
+        `;
+    }
+
+    renderBatchSummary() {
+        if (!this.batchResults) return;
+
+        const { saved, merged, skipped, failed } = this.batchResults;
+        this.elements.batchSummary.innerHTML = `
+            <div class="download-status">
+                <strong>Batch complete:</strong> ${saved} saved, ${merged} merged into existing, ${skipped} skipped, ${failed.length} failed
+                ${failed.length ? `<button type="button" class="btn-secondary" onclick="app.retryFailedBatch()">🔄 Retry Failed</button>` : ''}
+            </div>
+        `;
+
+        if (saved) {
+            this.showToast(`Batch import saved ${saved} products`, 'success');
         }
     }
 
-    editProduct(productId) {
-        const product = this.products.find(p => p.id === productId);
-        if (!product) return;
+    retryFailedBatch() {
+        if (this.batchResults && this.batchResults.failed.length) {
+            this.startBatch(this.batchResults.failed);
+        }
+    }
 
-        this.currentProduct = { ...product };
-        this.populateForm(this.currentProduct);
-        this.showProductEditor();
-        this.closeModal();
+    // ===== DUPLICATE DETECTION =====
+    extractAsinFromUrl(url) {
+        return extractAmazonAsin(url);
+    }
+
+    // https://www.<marketplace>/dp/<ASIN> (url-rules.js), or the URL without query and
+    // hash when it isn't a storefront product URL
+    getCanonicalUrl(url) {
+        const canonical = canonicalizeAmazonUrl(url);
+        if (canonical) return canonical;
+
+        try {
+            const urlObj = new URL(url);
+            const asin = this.extractAsinFromUrl(urlObj.pathname);
+            return asin ? `https://${urlObj.hostname}/dp/${asin}` : `${urlObj.origin}${urlObj.pathname}`;
+        } catch {
+            return url || '';
+        }
+    }
+
+    isSameProduct(a, b) {
+        const asinA = (a.asin || this.extractAsinFromUrl(a.url)).toUpperCase();
+        const asinB = (b.asin || this.extractAsinFromUrl(b.url)).toUpperCase();
+        if (asinA && asinB) return asinA === asinB;
+
+        return Boolean(a.url && b.url) && this.getCanonicalUrl(a.url) === this.getCanonicalUrl(b.url);
+    }
+
+    findDuplicate(product) {
+        return this.products.find(p => p.id !== product.id && this.isSameProduct(p, product)) || null;
+    }
+
+    findDuplicateGroups() {
+        const groups = [];
+        this.products.forEach((product) => {
+            const group = groups.find(g => g.some(p => this.isSameProduct(p, product)));
+            if (group) group.push(product);
+            else groups.push([product]);
+        });
+        return groups.filter(group => group.length > 1);
+    }
+
+    getProductTimestamp(product) {
+        return new Date(product.updatedAt || product.extractedAt || 0).getTime();
+    }
+
+    mergePriceHistory(...histories) {
+        const byDate = new Map();
+        histories.flat().filter(Boolean).forEach(entry => byDate.set(entry.date, entry));
+        return [...byDate.values()].sort((a, b) => new Date(a.date) - new Date(b.date));
+    }
+
+    combineValues(field, a, b) {
+        if (field === 'images') {
+            const seen = new Set();
+            return [...(a || []), ...(b || [])].filter((image) => {
+                if (seen.has(image.url)) return false;
+                seen.add(image.url);
+                return true;
+            });
+        }
+        return [...new Set([...(a || []), ...(b || [])])];
+    }
+
+    replaceProduct(product) {
+        const index = this.products.findIndex(p => p.id === product.id);
+        if (index !== -1) this.products[index] = product;
+    }
+
+    // The merged copy keeps the primary's alert, or takes over a duplicate's
+    moveAlertToMergedProduct(primary, others) {
+        if (this.alerts.has(primary.id)) return;
+
+        const donor = others.find(product => this.alerts.has(product.id));
+        if (donor) {
+            this.saveAlert(primary.id, { ...this.alerts.get(donor.id), productId: primary.id });
+        }
+    }
+
+    // Merge without asking: price and rating come from the most recent copy,
+    // lists are combined and other fields keep the primary's value unless it is empty
+    autoMergeProducts(primary, others) {
+        const all = [primary, ...others];
+        const latest = all.reduce((a, b) => (this.getProductTimestamp(b) > this.getProductTimestamp(a) ? b : a));
+        const merged = { ...primary };
+
+        MERGE_GROUPS.forEach((group) => {
+            group.fields.forEach((field) => {
+                if (group.combinable) {
+                    merged[field] = all.reduce((values, product) => this.combineValues(field, values, product[field]), []);
+                } else if (group.preferIncoming && latest[field] !== undefined && latest[field] !== '') {
+                    merged[field] = latest[field];
+                } else if (merged[field] === undefined || merged[field] === '') {
+                    const donor = others.find(product => product[field] !== undefined && product[field] !== '');
+                    if (donor) merged[field] = donor[field];
+                }
+            });
+        });
+
+        merged.priceHistory = this.mergePriceHistory(...all.map(product => product.priceHistory));
+        this.moveAlertToMergedProduct(primary, others);
+        merged.extractedAt = all.map(product => product.extractedAt).filter(Boolean).sort()[0] || primary.extractedAt;
+        merged.updatedAt = new Date().toISOString();
+        return merged;
+    }
+
+    // ===== MERGE DIALOG =====
+    showMergeDialog(existing, incoming, source) {
+        this.pendingMerge = { existing, incoming, source };
+
+        const rows = MERGE_GROUPS
+            .filter(group => JSON.stringify(this.pickFields(existing, group.fields)) !== JSON.stringify(this.pickFields(incoming, group.fields)))
+            .map((group) => {
+                const defaultChoice = group.combinable ? 'combine' : (group.preferIncoming ? 'incoming' : 'existing');
+                const option = (value, content) => `
+                    <label class="merge-option">
+                        <input type="radio" name="merge-${group.id}" value="${value}" ${value === defaultChoice ? 'checked' : ''}>
+                        <span>${content}</span>
+                    </label>
+                `;
+
+                return `
+                    <tr>
+                        <th>${group.label}</th>
+                        <td>${option('existing', this.formatMergeValue(group, existing))}</td>
+                        <td>
+                            ${option('incoming', this.formatMergeValue(group, incoming))}
+                            ${group.combinable ? option('combine', 'Keep both') : ''}
+                        </td>
+                    </tr>
+                `;
+            }).join('');
+
+        this.openDialog('Product Already Saved', `
+            <p class="mb-2">
+                <strong>${this.escapeHtml(existing.title || 'Untitled Product')}</strong> is already in your list
+                (saved ${new Date(existing.extractedAt).toLocaleDateString()}). Pick the values to keep.
+            </p>
+            ${rows ? `
+                <table class="merge-table">
+                    <thead><tr><th></th><th>Saved</th><th>New</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            ` : '<p class="text-muted">Both copies have the same details.</p>'}
+        `, `
+            <button class="btn-primary" onclick="app.applyMerge()">🔀 Merge Into Saved</button>
+            <button class="btn-secondary" onclick="app.keepBothProducts()">Keep Both</button>
+            <button class="btn-danger" onclick="app.cancelMerge()">Cancel</button>
+        `);
+    }
+
+    pickFields(product, fields) {
+        return fields.map(field => product[field] ?? '');
+    }
+
+    formatMergeValue(group, product) {
+        const empty = '<span class="text-muted">—</span>';
+
+        switch (group.id) {
+            case 'price':
+                if (!product.offerPrice && !product.originalPrice) return empty;
+                return `${this.escapeHtml(product.offerPrice || '')}${product.originalPrice && product.originalPrice !== product.offerPrice ? ` <span class="original-price">${this.escapeHtml(product.originalPrice)}</span>` : ''}`;
+            case 'rating':
+                return product.rating ? `★ ${this.escapeHtml(String(product.rating))}${product.ratingCount ? ` (${this.escapeHtml(String(product.ratingCount))})` : ''}` : empty;
+            case 'images':
+                if (!product.images || !product.images.length) return empty;
+                return `<div class="merge-thumbs">${product.images.slice(0, 4).map(image => `<img src="${this.escapeHtml(image.url)}" alt="" loading="lazy">`).join('')}${product.images.length > 4 ? `+${product.images.length - 4}` : ''}</div>`;
+            case 'variations': {
+                const items = (product.variations && product.variations.items) || [];
+                return items.length ? `${items.length} variants (${this.escapeHtml(product.variations.dimensions.join(', '))})` : empty;
+            }
+            default: {
+                const values = group.fields.map(field => product[field]).filter(value => value && (typeof value !== 'object' || Object.keys(value).length));
+                if (!values.length) return empty;
+                const text = values.map((value) => {
+                    if (Array.isArray(value)) return value.join(', ');
+                    if (typeof value === 'object') return Object.entries(value).map(([key, item]) => `${key}: ${item}`).join(', ');
+                    return String(value);
+                }).join(' / ');
+                return this.escapeHtml(text.length > 120 ? `${text.slice(0, 120)}…` : text);
+            }
+        }
+    }
+
+    applyMerge() {
+        if (!this.pendingMerge) return;
+
+        const { existing, incoming, source } = this.pendingMerge;
+        const merged = { ...existing };
+
+        MERGE_GROUPS.forEach((group) => {
+            const choice = this.elements.dialogBody.querySelector(`input[name="merge-${group.id}"]:checked`)?.value;
+            group.fields.forEach((field) => {
+                if (choice === 'incoming') merged[field] = incoming[field];
+                if (choice === 'combine') merged[field] = this.combineValues(field, existing[field], incoming[field]);
+            });
+        });
+
+        merged.priceHistory = this.mergePriceHistory(existing.priceHistory, incoming.priceHistory);
+        merged.updatedAt = new Date().toISOString();
+
+        this.replaceProduct(merged);
+        this.saveProducts();
+        this.renderProducts();
+        this.updateFilters();
+        this.pendingMerge = null;
+        this.closeDialog();
+
+        if (source === 'save') {
+            this.hideProductEditor();
+            this.clearForm();
+        } else {
+            this.currentProduct = null;
+        }
+        this.elements.productUrl.value = '';
+        this.showToast('Merged into the saved product', 'success');
+    }
+
+    keepBothProducts() {
+        if (!this.pendingMerge) return;
+
+        const { incoming, source } = this.pendingMerge;
+        this.pendingMerge = null;
+        this.duplicateCheckSkippedFor = incoming.id;
+        this.closeDialog();
+
+        if (source === 'save') {
+            this.saveProduct();
+        } else {
+            this.currentProduct = incoming;
+            this.populateForm(incoming);
+            this.showProductEditor();
+        }
+    }
+
+    cancelMerge() {
+        if (this.pendingMerge && this.pendingMerge.source === 'extract') {
+            this.currentProduct = null;
+        }
+        this.pendingMerge = null;
+        this.closeDialog();
+    }
+
+    // ===== DUPLICATES TOOL =====
+    showDuplicatesDialog() {
+        this.duplicateGroups = this.findDuplicateGroups();
+
+        if (!this.duplicateGroups.length) {
+            this.closeDialog();
+            this.showToast('No duplicate products found', 'success');
+            return;
+        }
+
+        const groupsHtml = this.duplicateGroups.map((group, groupIndex) => {
+            const latest = group.reduce((a, b) => (this.getProductTimestamp(b) > this.getProductTimestamp(a) ? b : a));
+            return `
+                <div class="duplicate-group">
+                    <h4>${this.escapeHtml(group[0].asin || this.getCanonicalUrl(group[0].url))} · ${group.length} copies</h4>
+                    ${group.map(product => `
+                        <label class="duplicate-item">
+                            <input type="radio" name="primary-${groupIndex}" value="${this.escapeHtml(String(product.id))}" ${product === latest ? 'checked' : ''}>
+                            <span>
+                                ${this.escapeHtml(product.title || 'Untitled Product')}
+                                — ${this.escapeHtml(product.offerPrice || 'no price')}
+                                <span class="text-muted">(${new Date(product.updatedAt || product.extractedAt).toLocaleDateString()})</span>
+                            </span>
+                        </label>
+                    `).join('')}
+                    <button type="button" class="btn-secondary mt-1" onclick="app.mergeDuplicateGroup(${groupIndex})">🔀 Merge Into Selected</button>
+                </div>
+            `;
+        }).join('');
+
+        this.openDialog(`Duplicates (${this.duplicateGroups.length})`, `
+            <p class="mb-2">Products below share an ASIN or product URL. Pick the copy to keep; the others are merged into it and removed.</p>
+            ${groupsHtml}
+        `, `
+            <button class="btn-primary" onclick="app.mergeAllDuplicates()">🔀 Merge All</button>
+            <button class="btn-secondary" onclick="app.closeDialog()">Close</button>
+        `);
+    }
+
+    mergeDuplicateGroup(groupIndex, refresh = true) {
+        const group = this.duplicateGroups && this.duplicateGroups[groupIndex];
+        if (!group) return;
+
+        const selected = this.elements.dialogBody.querySelector(`input[name="primary-${groupIndex}"]:checked`);
+        const primary = group.find(product => String(product.id) === (selected && selected.value)) || group[0];
+        const others = group.filter(product => product !== primary);
+        const otherIds = new Set(others.map(product => product.id));
+
+        this.products = this.products.filter(product => !otherIds.has(product.id));
+        this.replaceProduct(this.autoMergeProducts(primary, others));
+
+        if (refresh) {
+            this.saveProducts();
+            this.renderProducts();
+            this.updateFilters();
+            this.showToast(`Merged ${others.length + 1} copies`, 'success');
+            this.showDuplicatesDialog();
+        }
+    }
+
+    mergeAllDuplicates() {
+        const count = this.duplicateGroups ? this.duplicateGroups.length : 0;
+        for (let i = 0; i < count; i++) {
+            this.mergeDuplicateGroup(i, false);
+        }
+
+        this.saveProducts();
+        this.renderProducts();
+        this.updateFilters();
+        this.closeDialog();
+        this.showToast(`Merged ${count} duplicate groups`, 'success');
+    }
+
+    // ===== SCRAPE ERRORS =====
+    // Turn a failed /api/scrape response into an Error with an actionable message
+    async readScrapeError(response) {
+        const body = await response.json().catch(() => ({}));
+        if (response.status === 401) {
+            this.handleSignedOut();
+        } else if (body.code === 'QUOTA_EXCEEDED') {
+            this.updateQuota();
+        }
+        const error = new Error(this.describeScrapeError(body.code, body.error || `Server error: ${response.status}`, response.headers.get('Retry-After')));
+        error.code = body.code;
+        return error;
+    }
+
+    describeScrapeError(code, fallback, retryAfter) {
+        const seconds = parseInt(retryAfter, 10);
+        if (code === 'RATE_LIMITED' && seconds > 0) {
+            return `Amazon is throttling requests. Wait ${this.formatWait(seconds)} before extracting again.`;
+        }
+        // Our own per-user quota: the server says which limit was hit
+        if (code === 'QUOTA_EXCEEDED') {
+            return seconds > 0 ? `${fallback}. Try again in ${this.formatWait(seconds)}.` : fallback;
+        }
+        return SCRAPE_ERROR_MESSAGES[code] || fallback;
+    }
+
+    formatWait(seconds) {
+        if (seconds < 120) return `${seconds} seconds`;
+        if (seconds < 2 * 60 * 60) return `${Math.ceil(seconds / 60)} minutes`;
+        return `${Math.ceil(seconds / 3600)} hours`;
+    }
+
+    // ===== QUOTA =====
+    // Remaining scrape and download allowance, shown under the extract button
+    async updateQuota() {
+        const element = this.elements.quotaInfo;
+        if (!this.user) {
+            element.style.display = 'none';
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/usage', { cache: 'no-store' });
+            if (!response.ok) return;
+            this.renderQuota(await response.json());
+        } catch (error) {
+            // Offline: keep the last known numbers
+        }
+    }
+
+    renderQuota({ limits, remaining }) {
+        const parts = [];
+        const low = (left, limit) => limit && left < limit * 0.1;
+
+        if (remaining.minute === 0) {
+            parts.push('Per-minute limit reached, wait a moment');
+        }
+        if (remaining.day !== null) {
+            parts.push(`${remaining.day} of ${limits.requestsPerDay} scrapes left today`);
+        }
+        if (remaining.bytes !== null) {
+            parts.push(`${this.formatBytes(remaining.bytes)} of downloads left today`);
+        }
+        if (remaining.disk !== null) {
+            parts.push(`${this.formatBytes(remaining.disk)} of disk space left`);
+        }
+
+        const element = this.elements.quotaInfo;
+        element.textContent = parts.join(' · ');
+        element.classList.toggle('quota-low', remaining.minute === 0
+            || low(remaining.day, limits.requestsPerDay)
+            || low(remaining.bytes, limits.downloadBytesPerDay)
+            || low(remaining.disk, limits.diskBytes));
+        element.style.display = parts.length ? 'block' : 'none';
+    }
+
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    }
+
+    // ===== ACCOUNT =====
+    // The API needs a signed-in user; the session cookie is sent with every same-origin
+    // fetch. Resolves true when signed in. Offline, the app keeps working locally.
+    async checkSession() {
+        try {
+            const response = await fetch('/api/auth/me', { cache: 'no-store' });
+            const body = await response.json().catch(() => ({}));
+
+            if (response.ok) {
+                this.user = body.user;
+                this.updateAccountControls();
+                this.updateQuota();
+                return true;
+            }
+            if (response.status === 401) {
+                this.user = null;
+                this.updateAccountControls();
+                this.showSignInDialog(body);
+            }
+        } catch (error) {
+            console.warn('Could not check the session:', error.message);
+        }
+        return false;
+    }
+
+    // A request came back 401: the session expired or was signed out elsewhere
+    handleSignedOut() {
+        this.user = null;
+        this.updateAccountControls();
+        this.checkSession();
+    }
+
+    updateAccountControls() {
+        const signedIn = Boolean(this.user);
+        this.elements.accountName.textContent = signedIn ? `👤 ${this.user.username}` : '';
+        this.elements.apiKeysBtn.style.display = signedIn ? '' : 'none';
+        this.elements.addUserBtn.style.display = signedIn && this.user.role === 'admin' ? '' : 'none';
+        this.elements.signOutBtn.style.display = signedIn ? '' : 'none';
+        this.elements.signInBtn.style.display = signedIn ? 'none' : '';
+        if (!signedIn) this.elements.quotaInfo.style.display = 'none';
+    }
+
+    // setupRequired: no accounts exist yet; signupOpen: anyone may create an account
+    showSignInDialog({ setupRequired = false, signupOpen = false } = {}) {
+        const intro = setupRequired
+            ? 'Create the first account for this server. It becomes the admin and can add teammates.'
+            : 'Sign in to extract products and sync the shared catalog.';
+
+        this.openDialog(setupRequired ? 'Create Admin Account' : 'Sign In', `
+            <p class="mb-2">${intro}</p>
+            <form id="signInForm" onsubmit="event.preventDefault(); app.submitSignIn('${setupRequired ? 'register' : 'login'}')">
+                <div class="form-group">
+                    <label for="signInUsername">Username</label>
+                    <input type="text" id="signInUsername" autocomplete="username" required>
+                </div>
+                <div class="form-group">
+                    <label for="signInPassword">Password</label>
+                    <input type="password" id="signInPassword" autocomplete="${setupRequired ? 'new-password' : 'current-password'}" minlength="8" required>
+                </div>
+                <div id="signInError" class="error-message" style="display: none;"></div>
+            </form>
+        `, `
+            ${setupRequired
+                ? '<button class="btn-primary" onclick="app.submitSignIn(\'register\')">Create Account</button>'
+                : '<button class="btn-primary" onclick="app.submitSignIn(\'login\')">Sign In</button>'}
+            ${signupOpen && !setupRequired ? '<button class="btn-secondary" onclick="app.submitSignIn(\'register\')">Create Account</button>' : ''}
+            <button class="btn-secondary" onclick="app.closeDialog()">Work Offline</button>
+        `);
+        document.getElementById('signInUsername').focus();
+    }
+
+    async submitSignIn(mode) {
+        const username = document.getElementById('signInUsername').value.trim();
+        const password = document.getElementById('signInPassword').value;
+        const errorElement = document.getElementById('signInError');
+
+        try {
+            const response = await fetch(`/api/auth/${mode}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username, password })
+            });
+            const body = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(body.error || `Server error: ${response.status}`);
+            }
+
+            this.user = body.user;
+            this.updateAccountControls();
+            this.closeDialog();
+            this.showToast(`Signed in as ${this.user.username}`, 'success');
+            this.updateQuota();
+            this.syncProducts();
+        } catch (error) {
+            errorElement.textContent = error.message;
+            errorElement.style.display = 'block';
+        }
+    }
+
+    // Products stay on this device; they sync again at the next sign-in
+    async signOut() {
+        try {
+            await fetch('/api/auth/logout', { method: 'POST' });
+        } catch (error) {
+            console.warn('Sign-out request failed:', error.message);
+        }
+        this.user = null;
+        this.updateAccountControls();
+        this.showToast('Signed out', 'info');
+    }
+
+    // Admins add teammates; sign-up is otherwise closed after the first account
+    showAddUserDialog() {
+        this.openDialog('Add User', `
+            <p class="mb-2">Create an account for a teammate. Share the password with them privately.</p>
+            <div class="form-group">
+                <label for="newUserName">Username</label>
+                <input type="text" id="newUserName" autocomplete="off">
+            </div>
+            <div class="form-group">
+                <label for="newUserPassword">Password</label>
+                <input type="password" id="newUserPassword" autocomplete="new-password" minlength="8">
+            </div>
+            <div class="form-group">
+                <label for="newUserRole">Role</label>
+                <select id="newUserRole">
+                    <option value="user">User</option>
+                    <option value="admin">Admin</option>
+                </select>
+            </div>
+        `, `
+            <button class="btn-primary" onclick="app.addUser()">Add User</button>
+            <button class="btn-secondary" onclick="app.closeDialog()">Cancel</button>
+        `);
+    }
+
+    async addUser() {
+        const username = document.getElementById('newUserName').value.trim();
+        const password = document.getElementById('newUserPassword').value;
+        const role = document.getElementById('newUserRole').value;
+
+        try {
+            const response = await fetch('/api/auth/register', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username, password, role })
+            });
+            const body = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(body.error || `Server error: ${response.status}`);
+            }
+
+            this.closeDialog();
+            this.showToast(`Added ${body.user.username}`, 'success');
+        } catch (error) {
+            this.showToast(`Could not add the user: ${error.message}`, 'error');
+        }
+    }
+
+    // API keys let scripts call the API (X-API-Key header). `createdKey` is shown once.
+    async showApiKeysDialog(createdKey = null) {
+        let keys = [];
+        try {
+            const response = await fetch('/api/auth/keys', { cache: 'no-store' });
+            if (response.status === 401) {
+                this.handleSignedOut();
+                return;
+            }
+            keys = await response.json();
+        } catch (error) {
+            this.showToast('API keys are not available offline', 'warning');
+            return;
+        }
+
+        const rows = keys.map(key => `
+            <tr>
+                <td>${this.escapeHtml(key.name)}</td>
+                <td><code>${this.escapeHtml(key.prefix)}…</code></td>
+                <td>${new Date(key.createdAt).toLocaleDateString()}</td>
+                <td>${key.lastUsedAt ? new Date(key.lastUsedAt).toLocaleString() : 'Never'}</td>
+                <td><button class="btn-danger" onclick="app.revokeApiKey('${this.escapeHtml(key.id)}')">Revoke</button></td>
+            </tr>
+        `).join('');
+
+        this.openDialog('API Keys', `
+            ${createdKey ? `
+                <div class="api-key-created">
+                    <p><strong>Copy your new key now.</strong> It won't be shown again.</p>
+                    <input type="text" class="watch-input" readonly value="${this.escapeHtml(createdKey)}" onclick="this.select()">
+                </div>
+            ` : ''}
+            <p class="mb-2">Scripts authenticate with an <code>X-API-Key</code> header. Requests made with a key count as yours.</p>
+            ${rows ? `
+                <table class="merge-table">
+                    <thead><tr><th>Name</th><th>Key</th><th>Created</th><th>Last used</th><th></th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            ` : '<p class="text-muted">No API keys yet.</p>'}
+            <div class="watch-actions">
+                <input type="text" id="apiKeyName" class="watch-input" placeholder="Key name, e.g. price bot">
+                <button class="btn-primary" onclick="app.createApiKey()">🔑 Create Key</button>
+            </div>
+        `, `
+            <button class="btn-secondary" onclick="app.closeDialog()">Close</button>
+        `, { wide: true });
+    }
+
+    async createApiKey() {
+        const name = document.getElementById('apiKeyName').value.trim();
+
+        try {
+            const response = await fetch('/api/auth/keys', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name })
+            });
+            if (!response.ok) {
+                throw new Error(`Server error: ${response.status}`);
+            }
+            const { key } = await response.json();
+            this.showApiKeysDialog(key);
+        } catch (error) {
+            this.showToast(`Could not create the API key: ${error.message}`, 'error');
+        }
+    }
+
+    async revokeApiKey(id) {
+        if (!confirm('Revoke this API key? Scripts using it will stop working.')) return;
+
+        try {
+            const response = await fetch(`/api/auth/keys/${encodeURIComponent(id)}`, { method: 'DELETE' });
+            if (!response.ok) {
+                throw new Error(`Server error: ${response.status}`);
+            }
+            this.showToast('API key revoked', 'success');
+            this.showApiKeysDialog();
+        } catch (error) {
+            this.showToast(`Could not revoke the API key: ${error.message}`, 'error');
+        }
+    }
+
+    // ===== URL VALIDATION =====
+    // Same rules as the server (url-rules.js): real marketplace hosts and short links only
+    isValidAmazonUrl(url) {
+        return isAmazonProductUrl(url);
+    }
+
+    // ===== FORM MANAGEMENT =====
+    populateForm(product) {
+        // Basic fields
+        document.getElementById('productTitle').value = product.title || '';
+        document.getElementById('productBrand').value = product.brand || '';
+        document.getElementById('productModel').value = product.model || '';
+        document.getElementById('productASIN').value = product.asin || '';
+        document.getElementById('productRating').value = product.rating || '';
+        document.getElementById('ratingCount').value = product.ratingCount || '';
+        document.getElementById('originalPrice').value = product.originalPrice || '';
+        document.getElementById('offerPrice').value = product.offerPrice || '';
+        document.getElementById('offerPercentage').value = product.offerPercentage || '';
+        document.getElementById('amountSaved').value = product.amountSaved || '';
+        document.getElementById('aboutItem').value = product.aboutItem || '';
+        this.renderSpecRows(this.ensureSpecs(product).specs);
+
+        // Chip fields
+        this.setChipValues('colorChips', product.colors || []);
+        this.setChipValues('categoryChips', product.categories || []);
+        this.setChipValues('tagChips', product.tags || []);
+
+        // Images
+        this.displayImages(product.images || []);
+    }
+
+    getFormData() {
+        const specs = this.getSpecValues();
+
+        return {
+            title: document.getElementById('productTitle').value,
+            brand: document.getElementById('productBrand').value,
+            model: document.getElementById('productModel').value,
+            asin: document.getElementById('productASIN').value,
+            rating: document.getElementById('productRating').value,
+            ratingCount: document.getElementById('ratingCount').value,
+            originalPrice: document.getElementById('originalPrice').value,
+            offerPrice: document.getElementById('offerPrice').value,
+            offerPercentage: document.getElementById('offerPercentage').value,
+            amountSaved: document.getElementById('amountSaved').value,
+            aboutItem: document.getElementById('aboutItem').value,
+            technicalData: this.formatTechnicalData(specs),
+            specs,
+            colors: this.getChipValues('colorChips'),
+            categories: this.getChipValues('categoryChips'),
+            tags: this.getChipValues('tagChips')
+        };
+    }
+
+    // ===== TECHNICAL SPECIFICATIONS =====
+    renderSpecRows(specs) {
+        this.elements.specRows.innerHTML = '';
+        Object.entries(specs || {}).forEach(([key, value]) => this.addSpecRow(key, value));
+    }
+
+    addSpecRow(key = '', value = '') {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td><input type="text" class="spec-key" placeholder="e.g. Item Weight" value="${this.escapeHtml(key)}"></td>
+            <td><input type="text" class="spec-value" placeholder="e.g. 2.4 pounds" value="${this.escapeHtml(value)}"></td>
+            <td><button type="button" class="spec-remove" title="Remove">×</button></td>
+        `;
+        row.querySelector('.spec-remove').addEventListener('click', () => row.remove());
+        this.elements.specRows.appendChild(row);
+
+        if (!key) row.querySelector('.spec-key').focus();
+    }
+
+    getSpecValues() {
+        const specs = {};
+        this.elements.specRows.querySelectorAll('tr').forEach((row) => {
+            const key = row.querySelector('.spec-key').value.trim();
+            const value = row.querySelector('.spec-value').value.trim();
+            if (key && value) specs[key] = value;
+        });
+        return specs;
+    }
+
+    // "Label: Value" lines, the format technicalData was stored in before specs
+    parseTechnicalData(text) {
+        const specs = {};
+        (text || '').split('\n').forEach((line) => {
+            const separator = line.indexOf(':');
+            if (separator <= 0) return;
+
+            const key = line.slice(0, separator).trim();
+            const value = line.slice(separator + 1).trim();
+            if (key && value && !(key in specs)) specs[key] = value;
+        });
+        return specs;
+    }
+
+    formatTechnicalData(specs) {
+        return Object.entries(specs || {}).map(([key, value]) => `${key}: ${value}`).join('\n');
+    }
+
+    ensureSpecs(product) {
+        if (!product.specs || typeof product.specs !== 'object') {
+            product.specs = this.parseTechnicalData(product.technicalData);
+        }
+        return product;
+    }
+
+    // ===== IMAGE HANDLING =====
+    displayImages(images) {
+        const container = document.getElementById('imagePreview');
+        container.innerHTML = '';
+
+        if (!images || !images.length) {
+            container.innerHTML = '<p class="text-muted">No images available</p>';
+            return;
+        }
+
+        images.forEach((image, index) => {
+            const imageDiv = document.createElement('div');
+            imageDiv.className = 'image-item';
+            imageDiv.innerHTML = `
+                <img src="${this.escapeHtml(image.url)}" alt="Product image ${index + 1}" loading="lazy">
+                <div class="image-overlay">
+                    Image ${index + 1}
+                    ${image.downloaded ? '✓' : '⏳'}
+                </div>
+            `;
+            container.appendChild(imageDiv);
+        });
+    }
+
+    async downloadProductImages(product) {
+        if (!product.images || !product.images.length) return;
+
+        const statusContainer = document.getElementById('imageDownloadStatus');
+        statusContainer.innerHTML = '<h4>Downloading Images...</h4>';
+
+        for (let i = 0; i < product.images.length; i++) {
+            const image = product.images[i];
+            const statusItem = document.createElement('div');
+            statusItem.className = 'download-item';
+            statusItem.innerHTML = `
+                <span>Image ${i + 1}</span>
+                <span class="download-status">Downloading...</span>
+            `;
+            statusContainer.appendChild(statusItem);
+
+            try {
+                const response = await fetch('/api/download-image', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ 
+                        url: image.url, 
+                        productId: product.id, 
+                        index: i,
+                        productTitle: product.title 
+                    })
+                });
+
+                if (response.ok) {
+                    const blob = await response.blob();
+                    const url = URL.createObjectURL(blob);
+                    
+                    // Auto-download
+                    const a = document.createElement('a');
+                    a.href = url;
+                    a.download = `${this.sanitizeFileName(product.title)}-image-${i + 1}.jpg`;
+                    document.body.appendChild(a);
+                    a.click();
+                    document.body.removeChild(a);
+                    URL.revokeObjectURL(url);
+
+                    statusItem.querySelector('.download-status').textContent = 'Downloaded ✓';
+                    image.downloaded = true;
+                } else if (response.status === 429) {
+                    // Out of download quota: the remaining images would fail too
+                    const error = await this.readScrapeError(response);
+                    statusItem.querySelector('.download-status').textContent = 'Skipped ✗';
+                    this.showToast(`Image downloads stopped: ${error.message}`, 'warning');
+                    return;
+                } else {
+                    statusItem.querySelector('.download-status').textContent = 'Failed ✗';
+                }
+            } catch (error) {
+                console.error('Image download error:', error);
+                statusItem.querySelector('.download-status').textContent = 'Failed ✗';
+            }
+        }
+
+        this.showToast(`Images downloaded to folder: ${this.sanitizeFileName(product.title)}`, 'success');
+        this.updateQuota();
+    }
+
+    sanitizeFileName(fileName) {
+        if (!fileName) return 'unknown-product';
+        return fileName
+            .replace(/[<>:"/\\|?*]/g, '_')
+            .replace(/\s+/g, '_')
+            .replace(/_+/g, '_')
+            .replace(/^_|_$/g, '')
+            .substring(0, 50);
+    }
+
+    // ===== PRODUCT MANAGEMENT =====
+    showProductEditor() {
+        this.elements.productEditor.style.display = 'block';
+        this.elements.productEditor.scrollIntoView({ behavior: 'smooth' });
+        this.isEditing = true;
+    }
+
+    hideProductEditor() {
+        this.elements.productEditor.style.display = 'none';
+        this.isEditing = false;
+        this.currentProduct = null;
+    }
+
+    saveProduct() {
+        if (!this.currentProduct) return;
+
+        const formData = this.getFormData();
+        
+        // Validation
+        if (!formData.title.trim()) {
+            this.showToast('Product title is required', 'error');
+            return;
+        }
+
+        // Update current product
+        Object.assign(this.currentProduct, formData);
+        this.currentProduct.updatedAt = new Date().toISOString();
+
+        // New products matching a saved one by ASIN or URL go through the merge dialog
+        const isNew = !this.products.some(p => p.id === this.currentProduct.id);
+        const duplicate = isNew && this.duplicateCheckSkippedFor !== this.currentProduct.id && this.findDuplicate(this.currentProduct);
+        if (duplicate) {
+            this.showMergeDialog(duplicate, this.currentProduct, 'save');
+            return;
+        }
+
+        // Add or update in products array
+        const existingIndex = this.products.findIndex(p => p.id === this.currentProduct.id);
+        if (existingIndex !== -1) {
+            this.products[existingIndex] = this.currentProduct;
+        } else {
+            this.products.push(this.currentProduct);
+        }
+
+        this.saveProducts();
+        this.renderProducts();
+        this.updateFilters();
+        this.hideProductEditor();
+        this.clearForm();
+        this.elements.productUrl.value = '';
+
+        this.showToast('Product saved successfully!', 'success');
+    }
+
+    cancelEditing() {
+        if (this.isEditing) {
+            this.hideProductEditor();
+            this.clearForm();
+            this.elements.productUrl.value = '';
+            this.currentProduct = null;
+        }
+    }
+
+    editProduct(productId) {
+        const product = this.products.find(p => p.id === productId);
+        if (!product) return;
+
+        this.currentProduct = { ...product };
+        this.populateForm(this.currentProduct);
+        this.showProductEditor();
+        this.closeModal();
     }
 
     deleteProduct(productId) {
@@ -432,6 +1661,7 @@ class AmazonScraperApp {
         document.getElementById('colorChips').innerHTML = '';
         document.getElementById('categoryChips').innerHTML = '';
         document.getElementById('tagChips').innerHTML = '';
+        this.elements.specRows.innerHTML = '';
         
         // Clear image preview
         document.getElementById('imagePreview').innerHTML = '';
@@ -442,8 +1672,11 @@ class AmazonScraperApp {
     renderProducts() {
         const filteredProducts = this.getFilteredProducts();
         this.elements.productCount.textContent = filteredProducts.length;
+        this.updateCompareBar();
 
-        if (filteredProducts.length === 0) {
+        const pendingCards = this.pendingScrapes.map(request => this.createPendingCard(request)).join('');
+
+        if (filteredProducts.length === 0 && !pendingCards) {
             this.elements.productsList.innerHTML = `
                 <div class="empty-state">
                     <div class="empty-icon">📦</div>
@@ -454,22 +1687,58 @@ class AmazonScraperApp {
             return;
         }
 
-        this.elements.productsList.innerHTML = filteredProducts.map(product => this.createProductCard(product)).join('');
+        this.elements.productsList.innerHTML = pendingCards + filteredProducts.map(product => this.createProductCard(product)).join('');
+    }
+
+    createPendingCard(request) {
+        return `
+            <div class="product-card pending" data-pending-id="${this.escapeHtml(String(request.id))}">
+                <div class="product-header">
+                    <h3 class="product-title">⏳ Pending extraction</h3>
+                    <div class="product-actions">
+                        <button class="action-btn" onclick="app.removePendingScrape(${this.jsArg(request.id)})" title="Remove from queue">🗑️</button>
+                    </div>
+                </div>
+                <div class="product-info">
+                    <div class="info-row">
+                        <span class="info-label">URL:</span>
+                        <span class="info-value pending-url">${this.escapeHtml(request.url)}</span>
+                    </div>
+                    <div class="info-row">
+                        <span class="info-label">Queued:</span>
+                        <span class="info-value">${new Date(request.queuedAt).toLocaleString()}</span>
+                    </div>
+                    ${request.lastError ? `
+                        <div class="info-row">
+                            <span class="info-label">Last error:</span>
+                            <span class="info-value">${this.escapeHtml(request.lastError)}</span>
+                        </div>
+                    ` : ''}
+                </div>
+            </div>
+        `;
     }
 
     createProductCard(product) {
-        const rating = product.rating ? parseFloat(product.rating) : 0;
-        const stars = '★'.repeat(Math.floor(rating)) + '☆'.repeat(5 - Math.floor(rating));
+        const rating = product.rating ? parseFloat(product.rating) || 0 : 0;
+        const stars = this.renderStars(rating);
         
+        const selected = this.compareSelection.has(product.id);
+        const alert = this.alerts.get(product.id);
+
         return `
-            <div class="product-card" data-id="${product.id}">
+            <div class="product-card ${selected ? 'selected' : ''}" data-id="${this.escapeHtml(String(product.id))}">
                 <div class="product-header">
+                    <label class="compare-toggle" title="Select to compare">
+                        <input type="checkbox" onchange="app.toggleCompare(${this.jsArg(product.id)}, this.checked)" ${selected ? 'checked' : ''}>
+                    </label>
                     <h3 class="product-title">${this.escapeHtml(product.title || 'Untitled Product')}</h3>
                     <div class="product-actions">
-                        <button class="action-btn" onclick="app.viewProduct(${product.id})" title="View Details">👁️</button>
-                        <button class="action-btn" onclick="app.editProduct(${product.id})" title="Edit">✏️</button>
-                        <button class="action-btn" onclick="app.deleteProduct(${product.id})" title="Delete">🗑️</button>
-                        <button class="action-btn" onclick="app.downloadProduct(${product.id})" title="Download">💾</button>
+                        <button class="action-btn" onclick="app.viewProduct(${this.jsArg(product.id)})" title="View Details">👁️</button>
+                        <button class="action-btn" onclick="app.editProduct(${this.jsArg(product.id)})" title="Edit">✏️</button>
+                        <button class="action-btn" onclick="app.deleteProduct(${this.jsArg(product.id)})" title="Delete">🗑️</button>
+                        <button class="action-btn" onclick="app.downloadProduct(${this.jsArg(product.id)})" title="Download">💾</button>
+                        <button class="action-btn" onclick="app.refreshProduct(${this.jsArg(product.id)})" title="Refresh Price">🔄</button>
                     </div>
                 </div>
                 
@@ -495,61 +1764,519 @@ class AmazonScraperApp {
                         </div>
                     ` : ''}
                     
+                    ${alert ? `
+                        <div class="info-row">
+                            <span class="info-label">Alert:</span>
+                            <span class="info-value">🔔 ${[
+                                alert.targetPrice ? `≤ ${this.escapeHtml(alert.targetPrice)}` : '',
+                                alert.dropPercent ? `-${this.escapeHtml(alert.dropPercent)}%` : ''
+                            ].filter(Boolean).join(' or ')}</span>
+                        </div>
+                    ` : ''}
+                    
                     ${rating > 0 ? `
                         <div class="info-row">
                             <span class="info-label">Rating:</span>
                             <div class="rating-display">
                                 <span class="stars">${stars}</span>
                                 <span class="info-value">${rating}</span>
-                                ${product.ratingCount ? `<span class="rating-count">(${product.ratingCount})</span>` : ''}
+                                ${product.ratingCount ? `<span class="rating-count">(${this.escapeHtml(product.ratingCount)})</span>` : ''}
+                            </div>
+                        </div>
+                    ` : ''}
+
+                    ${this.hasAvailabilityInfo(product) ? `
+                        <div class="info-row">
+                            <span class="info-label">Stock:</span>
+                            <span class="info-value">${this.renderAvailabilityBadges(product)}</span>
+                        </div>
+                    ` : ''}
+
+                    ${product.seller && product.seller.soldBy ? `
+                        <div class="info-row">
+                            <span class="info-label">Sold by:</span>
+                            <span class="info-value">${this.escapeHtml(product.seller.soldBy)}</span>
+                        </div>
+                    ` : ''}
+                </div>
+                
+                ${(product.originalPrice || product.offerPrice) ? `
+                    <div class="price-info">
+                        ${product.originalPrice && product.offerPrice ? `
+                            <div class="price-row">
+                                <span class="original-price">${this.escapeHtml(product.originalPrice)}</span>
+                                <span class="offer-price">${this.escapeHtml(product.offerPrice)}</span>
+                            </div>
+                            ${product.offerPercentage ? `
+                                <div class="price-row">
+                                    <span class="discount">${this.escapeHtml(product.offerPercentage)} OFF</span>
+                                    ${product.amountSaved ? `<span class="info-value">Save ${this.escapeHtml(product.amountSaved)}</span>` : ''}
+                                </div>
+                            ` : ''}
+                        ` : `
+                            <div class="price-row">
+                                <span class="offer-price">${this.escapeHtml(product.offerPrice || product.originalPrice || 'Price not available')}</span>
+                            </div>
+                        `}
+                    </div>
+                ` : ''}
+                
+                ${this.renderChipList('Colors', product.colors)}
+                ${this.renderChipList('Categories', product.categories)}
+                ${this.renderChipList('Tags', product.tags)}
+                
+                <div class="info-row">
+                    <span class="info-label">Added:</span>
+                    <span class="info-value">${new Date(product.extractedAt).toLocaleDateString()}</span>
+                </div>
+            </div>
+        `;
+    }
+
+    renderChipList(label, items) {
+        if (!items || !items.length) return '';
+        
+        return `
+            <div class="info-row">
+                <span class="info-label">${label}:</span>
+                <div class="chip-list">
+                    ${items.slice(0, 3).map(item => `<span class="mini-chip">${this.escapeHtml(item)}</span>`).join('')}
+                    ${items.length > 3 ? `<span class="mini-chip">+${items.length - 3} more</span>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    // ===== PRODUCT COMPARISON =====
+    toggleCompare(productId, checked) {
+        if (checked && this.compareSelection.size >= MAX_COMPARE_PRODUCTS) {
+            this.showToast(`Compare up to ${MAX_COMPARE_PRODUCTS} products at a time`, 'warning');
+            this.renderProducts();
+            return;
+        }
+
+        if (checked) this.compareSelection.add(productId);
+        else this.compareSelection.delete(productId);
+
+        const card = this.elements.productsList.querySelector(`.product-card[data-id="${CSS.escape(String(productId))}"]`);
+        if (card) card.classList.toggle('selected', checked);
+        this.updateCompareBar();
+    }
+
+    clearCompareSelection() {
+        this.compareSelection.clear();
+        this.renderProducts();
+    }
+
+    updateCompareBar() {
+        // Drop products deleted since they were selected
+        this.compareSelection.forEach((id) => {
+            if (!this.products.some(p => p.id === id)) this.compareSelection.delete(id);
+        });
+
+        const count = this.compareSelection.size;
+        this.elements.compareBar.style.display = count ? 'flex' : 'none';
+        this.elements.compareCount.textContent = count;
+        this.elements.compareBtn.disabled = count < 2;
+    }
+
+    getCompareProducts() {
+        return [...this.compareSelection].map(id => this.products.find(p => p.id === id)).filter(Boolean);
+    }
+
+    getOfferAmount(product) {
+        const offer = product.priceDetails && product.priceDetails.offer;
+        return offer ? offer.amount : this.parsePriceAmount(product.offerPrice || product.originalPrice);
+    }
+
+    // Rows of { label, values, differs, best } with spec rows aligned by key.
+    // `best` holds the column indexes to mark as the best price or rating.
+    buildComparison(products) {
+        const listText = items => (items || []).join(', ');
+        const rows = [
+            { label: 'Price', values: products.map(p => p.offerPrice || p.originalPrice || ''), best: this.getBestPriceIndexes(products) },
+            { label: 'List Price', values: products.map(p => p.originalPrice || '') },
+            { label: 'Discount', values: products.map(p => p.offerPercentage || '') },
+            { label: 'Rating', values: products.map(p => (p.rating ? `${p.rating} ★` : '')), best: this.getBestRatingIndexes(products) },
+            { label: 'Reviews', values: products.map(p => p.ratingCount || '') },
+            { label: 'Availability', values: products.map(p => (p.availability && p.availability.status !== 'unknown' ? AVAILABILITY_LABELS[p.availability.status] : '')) },
+            { label: 'Prime', values: products.map(p => (p.prime ? 'Yes' : 'No')) },
+            { label: 'Sold By', values: products.map(p => (p.seller && p.seller.soldBy) || '') },
+            { label: 'Delivery', values: products.map(p => p.delivery || '') },
+            { label: 'Brand', values: products.map(p => p.brand || '') },
+            { label: 'Model', values: products.map(p => p.model || '') },
+            { label: 'Colors/Types', values: products.map(p => listText(p.colors)) }
+        ];
+
+        const specKeys = [...new Set(products.flatMap(p => Object.keys(p.specs || {})))];
+        specKeys.forEach((key) => {
+            rows.push({ label: key, spec: true, values: products.map(p => (p.specs && p.specs[key]) || '') });
+        });
+
+        rows.forEach((row) => {
+            row.differs = new Set(row.values.map(value => value.trim().toLowerCase())).size > 1;
+            row.best = row.best || [];
+        });
+        return rows;
+    }
+
+    // Lowest offer price; skipped when the products are priced in different currencies
+    getBestPriceIndexes(products) {
+        const currencies = new Set(products.map(p => p.currency).filter(Boolean));
+        if (currencies.size > 1) return [];
+
+        const amounts = products.map(p => this.getOfferAmount(p));
+        const valid = amounts.filter(amount => amount !== null);
+        if (valid.length < 2) return [];
+
+        const best = Math.min(...valid);
+        return amounts.map((amount, index) => (amount === best ? index : -1)).filter(index => index !== -1);
+    }
+
+    // Highest rating, ties broken by review count
+    getBestRatingIndexes(products) {
+        const scores = products.map(p => [parseFloat(p.rating) || 0, this.parsePriceAmount(p.ratingCount) || 0]);
+        const best = scores.reduce((a, b) => (b[0] > a[0] || (b[0] === a[0] && b[1] > a[1]) ? b : a), [0, 0]);
+        if (!best[0]) return [];
+
+        return scores.map((score, index) => (score[0] === best[0] && score[1] === best[1] ? index : -1)).filter(index => index !== -1);
+    }
+
+    renderComparisonTable(products, rows) {
+        return `
+            <table class="compare-table">
+                <thead>
+                    <tr>
+                        <th></th>
+                        ${products.map(product => `
+                            <th>
+                                ${product.images && product.images[0] ? `<img src="${this.escapeHtml(product.images[0].url)}" alt="" loading="lazy">` : ''}
+                                <a href="${this.escapeHtml(this.safeUrl(product.url))}" target="_blank" rel="noopener">${this.escapeHtml(product.title || 'Untitled Product')}</a>
+                            </th>
+                        `).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map((row, rowIndex) => `
+                        ${row.spec && !rows[rowIndex - 1].spec ? `<tr class="compare-group"><th colspan="${products.length + 1}">Technical Specifications</th></tr>` : ''}
+                        <tr class="${row.differs ? 'differs' : ''}">
+                            <th>${this.escapeHtml(row.label)}</th>
+                            ${row.values.map((value, index) => `
+                                <td class="${row.best.includes(index) ? 'best' : ''}">
+                                    ${value ? this.escapeHtml(value) : '—'}${row.best.includes(index) ? ' 🏆' : ''}
+                                </td>
+                            `).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    showComparison() {
+        const products = this.getCompareProducts();
+        if (products.length < 2) {
+            this.showToast('Select at least 2 products to compare', 'warning');
+            return;
+        }
+
+        const rows = this.buildComparison(products);
+        this.openDialog(`Compare ${products.length} Products`, `
+            <label class="csv-option mb-2">
+                <input type="checkbox" onchange="app.elements.dialogBody.classList.toggle('compare-differences-only', this.checked)">
+                Show differences only
+            </label>
+            ${this.renderComparisonTable(products, rows)}
+        `, `
+            <button class="btn-primary" onclick="app.exportComparison('html')">🌐 Export HTML</button>
+            <button class="btn-secondary" onclick="app.exportComparison('csv')">📊 Export CSV</button>
+            <button class="btn-secondary" onclick="app.closeDialog()">Close</button>
+        `, { wide: true });
+    }
+
+    exportComparison(format) {
+        const products = this.getCompareProducts();
+        const rows = this.buildComparison(products);
+        const filename = `product-comparison-${new Date().toISOString().split('T')[0]}`;
+
+        try {
+            if (format === 'csv') {
+                const csvRows = [
+                    ['', ...products.map(p => p.title || 'Untitled Product')],
+                    ...rows.map(row => [row.label, ...row.values.map((value, index) => (row.best.includes(index) ? `${value} (best)` : value))]),
+                    ['URL', ...products.map(p => p.url || '')]
+                ];
+                this.downloadFile(this.toCsv(csvRows), `${filename}.csv`, 'text/csv;charset=utf-8');
+            } else {
+                this.downloadFile(this.buildComparisonHtml(products, rows), `${filename}.html`, 'text/html;charset=utf-8');
+            }
+            this.showToast('Comparison exported', 'success');
+        } catch (error) {
+            console.error('Comparison export error:', error);
+            this.showToast('Failed to export comparison', 'error');
+        }
+    }
+
+    // Standalone page with the styles inlined so it can be shared as a single file
+    buildComparisonHtml(products, rows) {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Product Comparison</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #333; margin: 2rem; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { padding: 0.6rem; border-bottom: 1px solid #e0e0e0; text-align: left; vertical-align: top; }
+    thead th { vertical-align: bottom; }
+    thead img { display: block; width: 80px; height: 80px; object-fit: contain; margin-bottom: 0.5rem; }
+    tbody th { color: #666; white-space: nowrap; }
+    tr.differs td { background: #fff8e6; }
+    td.best { color: #28a745; font-weight: 700; }
+    tr.compare-group th { background: #232f3e; color: white; }
+</style>
+</head>
+<body>
+<h1>Product Comparison</h1>
+<p>Generated ${this.escapeHtml(new Date().toLocaleString())}. Highlighted rows differ between products; 🏆 marks the best price and rating.</p>
+${this.renderComparisonTable(products, rows)}
+</body>
+</html>
+`;
+    }
+
+    // ===== AVAILABILITY =====
+    hasAvailabilityInfo(product) {
+        return Boolean(product.prime || (product.availability && product.availability.status !== 'unknown'));
+    }
+
+    renderAvailabilityBadges(product) {
+        const availability = product.availability || { status: 'unknown' };
+        const label = availability.status === 'low_stock' && availability.quantity
+            ? `Only ${availability.quantity} left`
+            : AVAILABILITY_LABELS[availability.status] || AVAILABILITY_LABELS.unknown;
+
+        return `
+            ${availability.status !== 'unknown' ? `<span class="stock-badge ${this.escapeHtml(availability.status)}">${this.escapeHtml(label)}</span>` : ''}
+            ${product.prime ? '<span class="prime-badge">✓prime</span>' : ''}
+        `;
+    }
+
+    renderAvailability(product) {
+        const seller = product.seller || {};
+        if (!this.hasAvailabilityInfo(product) && !seller.soldBy && !seller.shipsFrom && !product.delivery) return '';
+
+        return `
+            <div class="detail-section">
+                <h3>Availability & Delivery</h3>
+                <div class="detail-grid">
+                    <div class="detail-item">
+                        <div class="detail-label">Availability</div>
+                        <div class="detail-value">
+                            ${this.renderAvailabilityBadges(product)}
+                            ${product.availability && product.availability.text ? `<div class="text-muted">${this.escapeHtml(product.availability.text)}</div>` : ''}
+                        </div>
+                    </div>
+                    ${product.delivery ? `
+                        <div class="detail-item">
+                            <div class="detail-label">Delivery</div>
+                            <div class="detail-value">${this.escapeHtml(product.delivery)}</div>
+                        </div>
+                    ` : ''}
+                    ${seller.soldBy ? `
+                        <div class="detail-item">
+                            <div class="detail-label">Sold By</div>
+                            <div class="detail-value">${this.escapeHtml(seller.soldBy)}</div>
+                        </div>
+                    ` : ''}
+                    ${seller.shipsFrom ? `
+                        <div class="detail-item">
+                            <div class="detail-label">Ships From</div>
+                            <div class="detail-value">${this.escapeHtml(seller.shipsFrom)}</div>
+                        </div>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    // ===== VARIANTS =====
+    getSelectedVariantIndex(product) {
+        const items = product.variations.items;
+        if (this.selectedVariants[product.id] !== undefined && items[this.selectedVariants[product.id]]) {
+            return this.selectedVariants[product.id];
+        }
+
+        const index = items.findIndex(item => item.selected || (item.asin && item.asin === product.asin));
+        return index === -1 ? 0 : index;
+    }
+
+    renderVariants(product) {
+        const variations = product.variations;
+        if (!variations || !variations.items || !variations.items.length) return '';
+
+        const selectedIndex = this.getSelectedVariantIndex(product);
+        const current = variations.items[selectedIndex];
+        const marketplace = product.marketplace || 'amazon.com';
+
+        return `
+            <div class="detail-section">
+                <h3>Variants (${variations.items.length})</h3>
+                ${variations.dimensions.map((dimension, dimensionIndex) => {
+                    const values = [...new Set(variations.items.map(item => item.values[dimension]).filter(Boolean))];
+                    return `
+                        <div class="variant-dimension">
+                            <div class="detail-label">${this.escapeHtml(dimension)}</div>
+                            <div class="variant-options">
+                                ${values.map((value, valueIndex) => {
+                                    const available = variations.items.some(item => item.values[dimension] === value && item.available);
+                                    return `
+                                        <button type="button" class="variant-option ${current.values[dimension] === value ? 'active' : ''} ${available ? '' : 'unavailable'}"
+                                            onclick="app.selectVariantValue(${this.jsArg(product.id)}, ${dimensionIndex}, ${valueIndex})">${this.escapeHtml(value)}</button>
+                                    `;
+                                }).join('')}
                             </div>
                         </div>
-                    ` : ''}
-                </div>
-                
-                ${(product.originalPrice || product.offerPrice) ? `
-                    <div class="price-info">
-                        ${product.originalPrice && product.offerPrice ? `
-                            <div class="price-row">
-                                <span class="original-price">${this.escapeHtml(product.originalPrice)}</span>
-                                <span class="offer-price">${this.escapeHtml(product.offerPrice)}</span>
-                            </div>
-                            ${product.offerPercentage ? `
-                                <div class="price-row">
-                                    <span class="discount">${this.escapeHtml(product.offerPercentage)} OFF</span>
-                                    ${product.amountSaved ? `<span class="info-value">Save ${this.escapeHtml(product.amountSaved)}</span>` : ''}
-                                </div>
-                            ` : ''}
-                        ` : `
-                            <div class="price-row">
-                                <span class="offer-price">${this.escapeHtml(product.offerPrice || product.originalPrice || 'Price not available')}</span>
-                            </div>
-                        `}
+                    `;
+                }).join('')}
+
+                <div class="variant-summary">
+                    <div>
+                        <strong>${this.escapeHtml(Object.values(current.values).filter(Boolean).join(' / '))}</strong>
+                        ${current.asin ? `<span class="text-muted">ASIN ${this.escapeHtml(current.asin)}</span>` : ''}
                     </div>
-                ` : ''}
-                
-                ${this.renderChipList('Colors', product.colors)}
-                ${this.renderChipList('Categories', product.categories)}
-                ${this.renderChipList('Tags', product.tags)}
-                
-                <div class="info-row">
-                    <span class="info-label">Added:</span>
-                    <span class="info-value">${new Date(product.extractedAt).toLocaleDateString()}</span>
+                    <div>
+                        ${current.price ? `<span class="offer-price">${this.escapeHtml(current.price)}</span>` : ''}
+                        <span class="variant-availability ${current.available ? 'in-stock' : 'out-of-stock'}">${current.available ? 'Available' : 'Unavailable'}</span>
+                    </div>
+                    ${current.asin ? `
+                        <div class="variant-actions">
+                            <button type="button" class="btn-secondary" onclick="app.scrapeVariant(${this.jsArg(product.id)}, ${selectedIndex})">🔄 Scrape This Variant</button>
+                            <a class="btn-secondary" href="https://www.${this.escapeHtml(marketplace)}/dp/${this.escapeHtml(current.asin)}" target="_blank" rel="noopener">Open on Amazon</a>
+                        </div>
+                    ` : ''}
                 </div>
+
+                <details class="variant-matrix">
+                    <summary>All variants</summary>
+                    <table class="spec-table">
+                        <tr>
+                            ${variations.dimensions.map(dimension => `<th>${this.escapeHtml(dimension)}</th>`).join('')}
+                            <th>ASIN</th><th>Price</th><th>Availability</th>
+                        </tr>
+                        ${variations.items.map((item, index) => `
+                            <tr class="${index === selectedIndex ? 'active' : ''}" onclick="app.selectVariant(${this.jsArg(product.id)}, ${index})">
+                                ${variations.dimensions.map(dimension => `<td>${this.escapeHtml(item.values[dimension] || '—')}</td>`).join('')}
+                                <td>${this.escapeHtml(item.asin || '—')}</td>
+                                <td>${this.escapeHtml(item.price || '—')}</td>
+                                <td>${item.available ? 'Available' : 'Unavailable'}</td>
+                            </tr>
+                        `).join('')}
+                    </table>
+                </details>
             </div>
         `;
     }
 
-    renderChipList(label, items) {
-        if (!items || !items.length) return '';
-        
+    selectVariant(productId, index) {
+        const product = this.products.find(p => p.id === productId);
+        if (!product) return;
+
+        this.selectedVariants[productId] = index;
+        if (this.currentModalProduct && this.currentModalProduct.id === productId) {
+            this.elements.modalBody.innerHTML = this.createProductDetailView(product);
+        }
+    }
+
+    // Switch one dimension and keep as many of the other selected values as possible,
+    // preferring variants that are available
+    selectVariantValue(productId, dimensionIndex, valueIndex) {
+        const product = this.products.find(p => p.id === productId);
+        if (!product) return;
+
+        const { dimensions, items } = product.variations;
+        const dimension = dimensions[dimensionIndex];
+        const value = [...new Set(items.map(item => item.values[dimension]).filter(Boolean))][valueIndex];
+        const current = items[this.getSelectedVariantIndex(product)];
+
+        let bestIndex = -1;
+        let bestScore = -1;
+        items.forEach((item, index) => {
+            if (item.values[dimension] !== value) return;
+
+            const matches = dimensions.filter(d => d !== dimension && item.values[d] === current.values[d]).length;
+            const score = matches * 2 + (item.available ? 1 : 0);
+            if (score > bestScore) {
+                bestScore = score;
+                bestIndex = index;
+            }
+        });
+
+        if (bestIndex !== -1) this.selectVariant(productId, bestIndex);
+    }
+
+    async scrapeVariant(productId, index) {
+        const product = this.products.find(p => p.id === productId);
+        const variant = product && product.variations.items[index];
+        if (!variant || !variant.asin) return;
+
+        const marketplace = product.marketplace || 'amazon.com';
+        this.showLoading('Extracting variant data...');
+
+        try {
+            // GET so the service worker can keep a copy for offline use
+            const response = await fetch(`/api/products/${encodeURIComponent(variant.asin)}?marketplace=${encodeURIComponent(marketplace)}`);
+            if (!response.ok) {
+                throw await this.readScrapeError(response);
+            }
+
+            const data = await response.json();
+
+            const outcome = this.saveScrapedProduct(`https://www.${marketplace}/dp/${variant.asin}`, data);
+            const saved = this.findProductByAsin(variant.asin.toUpperCase());
+            this.showToast(outcome === 'merged' ? 'Variant updated' : 'Variant saved as a new product', 'success');
+            if (saved) this.viewProduct(saved.id);
+        } catch (error) {
+            console.error('Variant scrape error:', error);
+            this.showToast(error.message, 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    // ===== REVIEWS =====
+    renderReviews(product) {
+        const histogram = product.ratingHistogram || {};
+        const reviews = product.topReviews || [];
+        if (!Object.keys(histogram).length && !reviews.length) return '';
+
         return `
-            <div class="info-row">
-                <span class="info-label">${label}:</span>
-                <div class="chip-list">
-                    ${items.slice(0, 3).map(item => `<span class="mini-chip">${this.escapeHtml(item)}</span>`).join('')}
-                    ${items.length > 3 ? `<span class="mini-chip">+${items.length - 3} more</span>` : ''}
-                </div>
+            <div class="detail-section">
+                <h3>Customer Reviews</h3>
+                ${Object.keys(histogram).length ? `
+                    <div class="rating-histogram">
+                        ${[5, 4, 3, 2, 1].map(stars => `
+                            <div class="histogram-row">
+                                <span class="histogram-label">${stars} star</span>
+                                <div class="histogram-bar"><div style="width: ${Number(histogram[stars]) || 0}%"></div></div>
+                                <span class="histogram-percent">${Number(histogram[stars]) || 0}%</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+                ${reviews.map(review => `
+                    <div class="review">
+                        <div class="review-header">
+                            ${review.stars ? `<span class="stars">${this.renderStars(Math.round(review.stars))}</span>` : ''}
+                            <strong>${this.escapeHtml(review.title || '')}</strong>
+                        </div>
+                        <div class="review-meta">
+                            ${this.escapeHtml([review.author, review.date].filter(Boolean).join(' · '))}
+                            ${review.verified ? '<span class="verified-badge">Verified Purchase</span>' : ''}
+                        </div>
+                        <div class="detail-value">${this.escapeHtml(review.body || '')}</div>
+                    </div>
+                `).join('')}
             </div>
         `;
     }
@@ -567,8 +2294,8 @@ class AmazonScraperApp {
     }
 
     createProductDetailView(product) {
-        const rating = product.rating ? parseFloat(product.rating) : 0;
-        const stars = '★'.repeat(Math.floor(rating)) + '☆'.repeat(5 - Math.floor(rating));
+        const rating = product.rating ? parseFloat(product.rating) || 0 : 0;
+        const stars = this.renderStars(rating);
 
         return `
             <div class="product-detail">
@@ -598,7 +2325,7 @@ class AmazonScraperApp {
                                     <div class="rating-display">
                                         <span class="stars">${stars}</span>
                                         <span>${rating}</span>
-                                        ${product.ratingCount ? `<span class="rating-count">(${product.ratingCount} reviews)</span>` : ''}
+                                        ${product.ratingCount ? `<span class="rating-count">(${this.escapeHtml(product.ratingCount)} reviews)</span>` : ''}
                                     </div>
                                 </div>
                             </div>
@@ -638,6 +2365,16 @@ class AmazonScraperApp {
                     </div>
                 ` : ''}
 
+                ${this.renderAvailability(product)}
+
+                ${this.renderVariants(product)}
+
+                ${this.renderPriceHistory(product)}
+
+                ${this.renderWatchSettings(product)}
+
+                ${this.renderReviews(product)}
+
                 ${(product.colors && product.colors.length) || (product.categories && product.categories.length) || (product.tags && product.tags.length) ? `
                     <div class="detail-section">
                         <h3>Categories & Tags</h3>
@@ -683,7 +2420,19 @@ class AmazonScraperApp {
                     </div>
                 ` : ''}
 
-                ${product.technicalData ? `
+                ${Object.keys(product.specs || {}).length ? `
+                    <div class="detail-section">
+                        <h3>Technical Specifications</h3>
+                        <table class="spec-table">
+                            ${Object.entries(product.specs).map(([key, value]) => `
+                                <tr>
+                                    <th>${this.escapeHtml(key)}</th>
+                                    <td>${this.escapeHtml(value)}</td>
+                                </tr>
+                            `).join('')}
+                        </table>
+                    </div>
+                ` : product.technicalData ? `
                     <div class="detail-section">
                         <h3>Technical Specifications</h3>
                         <div class="detail-value">${this.escapeHtml(product.technicalData).replace(/\n/g, '<br>')}</div>
@@ -709,7 +2458,7 @@ class AmazonScraperApp {
                         <div class="detail-item">
                             <div class="detail-label">Original URL</div>
                             <div class="detail-value">
-                                <a href="${this.escapeHtml(product.url)}" target="_blank" rel="noopener noreferrer">
+                                <a href="${this.escapeHtml(this.safeUrl(product.url))}" target="_blank" rel="noopener noreferrer">
                                     View on Amazon
                                 </a>
                             </div>
@@ -754,6 +2503,425 @@ class AmazonScraperApp {
         }
     }
 
+    refreshProductFromModal() {
+        if (this.currentModalProduct) {
+            this.refreshProduct(this.currentModalProduct.id);
+        }
+    }
+
+    // ===== PRICE WATCH =====
+    async setProductWatch(productId) {
+        const product = this.products.find(p => p.id === productId);
+        if (!product) return;
+
+        const targetPrice = parseFloat(document.getElementById('watchTargetPrice').value) || null;
+        const dropPercent = parseFloat(document.getElementById('watchDropPercent').value) || null;
+
+        if (!targetPrice && !dropPercent) {
+            this.showToast('Enter a target price or a percentage drop', 'error');
+            return;
+        }
+
+        const current = this.getPriceStats(product.priceHistory || []);
+        const previous = this.alerts.get(product.id) || {};
+        const alert = {
+            productId: product.id,
+            targetPrice,
+            dropPercent,
+            baselineAmount: current ? current.current.amount : this.parsePriceAmount(product.offerPrice),
+            createdAt: previous.createdAt || new Date().toISOString(),
+            serverWatchId: previous.serverWatchId,
+            lastResultAt: previous.lastResultAt
+        };
+        alert.serverWatchId = await this.saveServerWatch(product, alert);
+        await this.saveAlert(product.id, alert);
+
+        this.renderProducts();
+        this.elements.modalBody.innerHTML = this.createProductDetailView(product);
+        this.enablePriceAlerts();
+        this.showToast('Price alert saved', 'success');
+    }
+
+    async removeProductWatch(productId) {
+        const product = this.products.find(p => p.id === productId);
+        const alert = this.alerts.get(productId);
+        if (!product || !alert) return;
+
+        if (alert.serverWatchId) {
+            try {
+                await fetch(`/api/watches/${encodeURIComponent(alert.serverWatchId)}`, { method: 'DELETE' });
+            } catch (error) {
+                console.warn('Failed to remove server watch:', error);
+            }
+        }
+
+        await this.saveAlert(productId, null);
+
+        this.renderProducts();
+        this.elements.modalBody.innerHTML = this.createProductDetailView(product);
+        this.showToast('Price alert removed', 'success');
+    }
+
+    // The server polls watched products on its own schedule. If it can't be
+    // reached the alert stays local and the service worker scrapes instead.
+    async saveServerWatch(product, alert) {
+        const { serverWatchId, targetPrice, dropPercent } = alert;
+        const body = {
+            url: product.url,
+            asin: product.asin,
+            marketplace: product.marketplace,
+            label: product.title,
+            targetPrice,
+            dropPercent
+        };
+
+        try {
+            const response = await fetch(serverWatchId ? `/api/watches/${encodeURIComponent(serverWatchId)}` : '/api/watches', {
+                method: serverWatchId ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+
+            if (response.status === 404 && serverWatchId) {
+                return this.saveServerWatch(product, { ...alert, serverWatchId: undefined });
+            }
+
+            const watch = await response.json();
+            if (!response.ok) {
+                throw new Error(watch.error || `Server error: ${response.status}`);
+            }
+            return watch.id;
+        } catch (error) {
+            console.warn('Server watch unavailable, using browser checks only:', error);
+            return serverWatchId;
+        }
+    }
+
+    // Pull price checks recorded by the server's watch scheduler into local history.
+    // Alerts whose server watch isn't the signed-in user's (copied from a teammate
+    // before alerts became personal, or deleted) are dropped.
+    async syncWatchResults() {
+        const alerts = [...this.alerts.values()].filter(alert => alert.serverWatchId);
+        if (!alerts.length) return;
+
+        try {
+            const response = await fetch('/api/watches');
+            if (!response.ok) return;
+
+            const watches = new Map((await response.json()).map(watch => [watch.id, watch]));
+            let changed = false;
+
+            for (const alert of alerts) {
+                const watch = watches.get(alert.serverWatchId);
+                const product = this.products.find(p => p.id === alert.productId);
+                if (!watch) {
+                    await this.saveAlert(alert.productId, null);
+                } else if (product && this.applyWatchResults(product, alert, watch)) {
+                    changed = true;
+                }
+            }
+
+            if (changed) this.saveProducts();
+            this.renderProducts();
+        } catch (error) {
+            console.warn('Failed to sync watch results:', error);
+        }
+    }
+
+    applyWatchResults(product, alert, watch) {
+        const lastResultAt = alert.lastResultAt || '';
+        const results = watch.results.filter(result => !result.error && result.checkedAt > lastResultAt);
+        if (!results.length) return false;
+
+        this.ensurePriceHistory(product);
+        results.forEach(result => {
+            product.priceHistory.push({
+                date: result.checkedAt,
+                offerPrice: result.offerPrice,
+                originalPrice: result.originalPrice,
+                amount: result.amount,
+                currency: result.currency
+            });
+        });
+
+        const latest = results[results.length - 1];
+        product.offerPrice = latest.offerPrice || product.offerPrice;
+        product.originalPrice = latest.originalPrice || product.originalPrice;
+        if (latest.amount !== null) {
+            product.priceDetails = {
+                ...product.priceDetails,
+                offer: { amount: latest.amount, currency: latest.currency, display: latest.offerPrice }
+            };
+        }
+        product.updatedAt = new Date().toISOString();
+        this.saveAlert(product.id, { ...alert, lastResultAt: latest.checkedAt });
+        return true;
+    }
+
+    renderWatchSettings(product) {
+        const alert = this.alerts.get(product.id);
+        const watch = alert || {};
+
+        return `
+            <div class="detail-section">
+                <h3>Price Alert</h3>
+                <div class="detail-grid">
+                    <div class="detail-item">
+                        <label class="detail-label" for="watchTargetPrice">Notify at or below</label>
+                        <input type="number" id="watchTargetPrice" class="watch-input" min="0" step="0.01" placeholder="Target price" value="${this.escapeHtml(watch.targetPrice || '')}">
+                    </div>
+                    <div class="detail-item">
+                        <label class="detail-label" for="watchDropPercent">Or when it drops by (%)</label>
+                        <input type="number" id="watchDropPercent" class="watch-input" min="1" max="99" step="1" placeholder="e.g. 15" value="${this.escapeHtml(watch.dropPercent || '')}">
+                    </div>
+                </div>
+                <div class="watch-actions">
+                    <button type="button" class="btn-primary" onclick="app.setProductWatch(${this.jsArg(product.id)})">🔔 ${alert ? 'Update Alert' : 'Watch Price'}</button>
+                    ${alert ? `<button type="button" class="btn-secondary" onclick="app.removeProductWatch(${this.jsArg(product.id)})">Stop Watching</button>` : ''}
+                </div>
+                ${watch.notifiedAt ? `<p class="price-stat-date mt-1">Last alert: ${new Date(watch.notifiedAt).toLocaleString()}</p>` : ''}
+            </div>
+        `;
+    }
+
+    // ===== SERVICE WORKER =====
+    setupServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            const message = event.data || {};
+
+            if (message.type === 'PRODUCT_UPDATED') {
+                this.reloadLocalProducts(message.data.id);
+            } else if (message.type === 'SCRAPE_COMPLETED') {
+                this.handleScrapeCompleted(message.data);
+            } else if (message.type === 'SCRAPE_FAILED') {
+                this.handleScrapeFailed(message.data);
+            } else if (message.type === 'VIEW_PRODUCT') {
+                this.viewProduct(Number(message.data.productId));
+            }
+        });
+
+        this.syncWatchResults();
+
+        if (this.alerts.size) {
+            this.enablePriceAlerts();
+        }
+    }
+
+    // Ask for notification permission and schedule the watcher. Browsers without
+    // periodic background sync re-check while the app is open instead.
+    async enablePriceAlerts() {
+        if (!('serviceWorker' in navigator) || this.watcherEnabled) return;
+        this.watcherEnabled = true;
+
+        if ('Notification' in window && Notification.permission === 'default') {
+            await Notification.requestPermission();
+        }
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+
+            if ('periodicSync' in registration) {
+                await registration.periodicSync.register('content-sync', { minInterval: 12 * 60 * 60 * 1000 });
+                return;
+            }
+
+            const runWatcher = () => registration.active?.postMessage({ type: 'RUN_WATCHER' });
+            runWatcher();
+            setInterval(runWatcher, 60 * 60 * 1000);
+        } catch (error) {
+            console.warn('Periodic price checks unavailable:', error);
+        }
+    }
+
+    // The service worker saved a product through its own repository (a price check),
+    // and may have updated its alert. Take the stored copies so this page's next save
+    // doesn't write an older one back.
+    async reloadLocalProducts(productId) {
+        if (this.useLocalStorage) return;
+
+        try {
+            const products = await this.repository.loadLocal();
+            await this.loadAlerts();
+            this.applySyncedProducts(products);
+        } catch (error) {
+            console.error('Failed to reload products:', error);
+            return;
+        }
+
+        const updated = this.products.find(p => p.id === productId);
+        if (updated && this.currentModalProduct && this.currentModalProduct.id === productId) {
+            this.currentModalProduct = updated;
+            this.elements.modalBody.innerHTML = this.createProductDetailView(updated);
+        }
+    }
+
+    // Notifications link to /?product=<id>
+    openLinkedProduct() {
+        const productId = new URLSearchParams(window.location.search).get('product');
+        if (!productId) return;
+
+        this.viewProduct(Number(productId));
+        window.history.replaceState({}, '', window.location.pathname);
+    }
+
+    // ===== PRICE HISTORY =====
+    createPriceSnapshot(product, date = new Date().toISOString()) {
+        const offer = product.priceDetails?.offer;
+        return {
+            date,
+            offerPrice: product.offerPrice || '',
+            originalPrice: product.originalPrice || '',
+            amount: offer ? offer.amount : this.parsePriceAmount(product.offerPrice),
+            currency: offer ? offer.currency : (product.currency || '')
+        };
+    }
+
+    // Mirrors the server's parser: the last "." or "," is the decimal point only
+    // when one or two digits follow it
+    parsePriceAmount(text) {
+        if (!text) return null;
+        const match = String(text).match(/\d[\d.,'\s]*/);
+        if (!match) return null;
+
+        const digits = match[0].replace(/[\s']/g, '').replace(/[.,]$/, '');
+        const decimalMatch = digits.match(/^(.*)[.,](\d{1,2})$/);
+        const amount = parseFloat(decimalMatch
+            ? `${decimalMatch[1].replace(/[.,]/g, '')}.${decimalMatch[2]}`
+            : digits.replace(/[.,]/g, ''));
+
+        return isNaN(amount) ? null : amount;
+    }
+
+    // Products saved before price tracking get their extraction snapshot as the first entry
+    ensurePriceHistory(product) {
+        if (!Array.isArray(product.priceHistory)) {
+            product.priceHistory = product.offerPrice || product.originalPrice
+                ? [this.createPriceSnapshot(product, product.extractedAt)]
+                : [];
+        }
+        return product;
+    }
+
+    async refreshProduct(productId) {
+        const product = this.products.find(p => p.id === productId);
+        if (!product) return;
+
+        this.showLoading('Refreshing product price...');
+
+        try {
+            const response = await fetch('/api/scrape', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                // Skip the server cache: a refresh should always hit Amazon
+                body: JSON.stringify({ url: product.url, force: true })
+            });
+
+            if (!response.ok) {
+                throw await this.readScrapeError(response);
+            }
+
+            const productData = await response.json();
+
+            if (productData.error) {
+                throw new Error(productData.error);
+            }
+
+            // Only pricing and stock are refreshed so manual edits to other fields are kept
+            const priceFields = ['offerPrice', 'originalPrice', 'offerPercentage', 'amountSaved', 'priceDetails', 'currency', 'availability', 'seller', 'prime', 'delivery'];
+            priceFields.forEach(field => {
+                if (productData[field] !== undefined) product[field] = productData[field];
+            });
+
+            this.ensurePriceHistory(product);
+            product.priceHistory.push(this.createPriceSnapshot(product));
+            product.updatedAt = new Date().toISOString();
+
+            this.saveProducts();
+            this.renderProducts();
+
+            if (this.currentModalProduct && this.currentModalProduct.id === product.id) {
+                this.elements.modalBody.innerHTML = this.createProductDetailView(product);
+            }
+
+            this.showToast(`Price refreshed: ${product.offerPrice || 'not available'}`, 'success');
+        } catch (error) {
+            console.error('Refresh error:', error);
+            this.showToast(`Refresh failed: ${error.message}`, 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    getPriceStats(history) {
+        const points = history.filter(entry => typeof entry.amount === 'number');
+        if (!points.length) return null;
+
+        const amounts = points.map(entry => entry.amount);
+        const findEntry = (amount) => points.find(entry => entry.amount === amount);
+
+        return {
+            points,
+            min: findEntry(Math.min(...amounts)),
+            max: findEntry(Math.max(...amounts)),
+            current: points[points.length - 1]
+        };
+    }
+
+    renderPriceHistory(product) {
+        const stats = this.getPriceStats(product.priceHistory || []);
+        if (!stats) return '';
+
+        const { points, min, max, current } = stats;
+        const statItem = (label, entry) => `
+            <div class="detail-item">
+                <div class="detail-label">${label}</div>
+                <div class="detail-value">${this.escapeHtml(entry.offerPrice || String(entry.amount))}</div>
+                <div class="price-stat-date">${new Date(entry.date).toLocaleDateString()}</div>
+            </div>
+        `;
+
+        return `
+            <div class="detail-section">
+                <h3>Price History</h3>
+                <div class="detail-grid price-stats">
+                    ${statItem('Current', current)}
+                    ${statItem('Lowest', min)}
+                    ${statItem('Highest', max)}
+                </div>
+                ${points.length > 1 ? this.renderPriceChart(points, min.amount, max.amount) : `
+                    <p class="text-muted mt-2">Refresh the price to start building a history.</p>
+                `}
+            </div>
+        `;
+    }
+
+    renderPriceChart(points, minAmount, maxAmount) {
+        const width = 600;
+        const height = 180;
+        const padding = 24;
+        const range = maxAmount - minAmount || 1;
+
+        const coords = points.map((entry, index) => ({
+            x: padding + (index / (points.length - 1)) * (width - padding * 2),
+            y: height - padding - ((entry.amount - minAmount) / range) * (height - padding * 2),
+            entry
+        }));
+
+        return `
+            <svg class="price-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Price history chart">
+                <line class="price-chart-axis" x1="${padding}" y1="${height - padding}" x2="${width - padding}" y2="${height - padding}"></line>
+                <polyline class="price-chart-line" points="${coords.map(c => `${c.x.toFixed(1)},${c.y.toFixed(1)}`).join(' ')}"></polyline>
+                ${coords.map(c => `
+                    <circle class="price-chart-point" cx="${c.x.toFixed(1)}" cy="${c.y.toFixed(1)}" r="4">
+                        <title>${this.escapeHtml(c.entry.offerPrice || String(c.entry.amount))} — ${new Date(c.entry.date).toLocaleString()}</title>
+                    </circle>
+                `).join('')}
+            </svg>
+        `;
+    }
+
     // ===== SEARCH AND FILTERING =====
     getFilteredProducts() {
         return this.products.filter(product => {
@@ -784,6 +2952,22 @@ class AmazonScraperApp {
                 return false;
             }
 
+            // Availability filters
+            if (this.filters.inStock && !this.isInStock(product)) {
+                return false;
+            }
+            if (this.filters.prime && !product.prime) {
+                return false;
+            }
+
+            // Spec filter ("Key: Value")
+            if (this.filters.spec) {
+                const [key, value] = JSON.parse(this.filters.spec);
+                if (!product.specs || product.specs[key] !== value) {
+                    return false;
+                }
+            }
+
             return true;
         });
     }
@@ -803,11 +2987,28 @@ class AmazonScraperApp {
         this.renderProducts();
     }
 
+    handleSpecFilter(spec) {
+        this.filters.spec = spec;
+        this.renderProducts();
+    }
+
+    handleToggleFilter(name, checked) {
+        this.filters[name] = checked;
+        this.renderProducts();
+    }
+
+    isInStock(product) {
+        return Boolean(product.availability) && ['in_stock', 'low_stock'].includes(product.availability.status);
+    }
+
     clearFilters() {
-        this.filters = { search: '', brand: '', category: '' };
+        this.filters = { search: '', brand: '', category: '', spec: '', inStock: false, prime: false };
+        this.elements.inStockFilter.checked = false;
+        this.elements.primeFilter.checked = false;
         this.elements.searchInput.value = '';
         this.elements.brandFilter.value = '';
         this.elements.categoryFilter.value = '';
+        this.elements.specFilter.value = '';
         this.renderProducts();
     }
 
@@ -821,10 +3022,243 @@ class AmazonScraperApp {
         const categories = [...new Set(this.products.flatMap(p => p.categories || []))].sort();
         this.elements.categoryFilter.innerHTML = '<option value="">All Categories</option>' +
             categories.map(category => `<option value="${this.escapeHtml(category)}">${this.escapeHtml(category)}</option>`).join('');
+
+        // Update spec filter, one group per spec key. Option values are JSON [key, value] pairs.
+        const specValues = new Map();
+        this.products.forEach((product) => {
+            Object.entries(product.specs || {}).forEach(([key, value]) => {
+                if (!specValues.has(key)) specValues.set(key, new Set());
+                specValues.get(key).add(value);
+            });
+        });
+        this.elements.specFilter.innerHTML = '<option value="">All Specs</option>' +
+            [...specValues.keys()].sort().map(key => `
+                <optgroup label="${this.escapeHtml(key)}">
+                    ${[...specValues.get(key)].sort().map(value => `<option value="${this.escapeHtml(JSON.stringify([key, value]))}">${this.escapeHtml(`${key}: ${value}`)}</option>`).join('')}
+                </optgroup>
+            `).join('');
+
+        // Keep the current selection if it still exists
+        if (this.filters.spec && ![...this.elements.specFilter.options].some(option => option.value === this.filters.spec)) {
+            this.filters.spec = '';
+        }
+        this.elements.specFilter.value = this.filters.spec;
     }
 
     // ===== DATA PERSISTENCE =====
     saveProducts() {
+        if (this.useLocalStorage) {
+            return this.saveProductsToLocalStorage();
+        }
+
+        return this.repository.saveAll(this.products).catch((error) => {
+            console.error('Failed to save products:', error);
+            this.showToast('Failed to save products to the local database', 'error');
+        });
+    }
+
+    async loadProducts() {
+        try {
+            await this.importLegacyProducts();
+            this.products = await this.repository.loadLocal();
+        } catch (error) {
+            // Fall back to localStorage where IndexedDB is unavailable (e.g. some private modes)
+            console.error('Failed to open product database, using localStorage:', error);
+            this.useLocalStorage = true;
+            this.loadProductsFromLocalStorage();
+        }
+
+        this.products.forEach(product => this.ensureSpecs(this.ensurePriceHistory(product)));
+        await this.loadAlerts();
+    }
+
+    async loadAlerts() {
+        try {
+            const alerts = this.useLocalStorage
+                ? JSON.parse(localStorage.getItem('amazonScraperPriceAlerts')) || []
+                : await this.store.getAlerts();
+            this.alerts = new Map(alerts.map(alert => [alert.productId, alert]));
+        } catch (error) {
+            console.error('Failed to load price alerts:', error);
+        }
+
+        // Products saved before alerts became personal still carry theirs
+        const legacy = this.products.filter(product => product.watch);
+        legacy.forEach((product) => {
+            if (!this.alerts.has(product.id)) this.saveAlert(product.id, { ...product.watch, productId: product.id });
+            delete product.watch;
+        });
+        if (legacy.length) this.saveProducts();
+    }
+
+    // `alert` null removes the product's alert
+    saveAlert(productId, alert) {
+        if (alert) this.alerts.set(productId, alert);
+        else this.alerts.delete(productId);
+
+        if (this.useLocalStorage) {
+            localStorage.setItem('amazonScraperPriceAlerts', JSON.stringify([...this.alerts.values()]));
+            return Promise.resolve();
+        }
+        return (alert ? this.store.putAlert(alert) : this.store.deleteAlert(productId)).catch((error) => {
+            console.error('Failed to save price alert:', error);
+        });
+    }
+
+    // Push local changes to the shared catalog and pull teammates' ones. Without a
+    // server or a signed-in user the app keeps working from the local copy. `announce` reports the
+    // outcome, e.g. when the connection comes back.
+    async syncProducts(announce = false) {
+        if (this.useLocalStorage) return;
+        if (!this.user && !(await this.checkSession())) return;
+
+        try {
+            const result = await this.repository.sync();
+
+            if (!result) {
+                if (announce) this.showToast('Could not reach the server. Changes stay on this device until the next sync.', 'warning');
+            } else if (result.conflicts) {
+                this.showToast(`${result.conflicts} product${result.conflicts === 1 ? ' was' : 's were'} changed both here and by a teammate. Review the sync conflicts.`, 'warning');
+            } else if (announce) {
+                this.showToast(result.sent ? `Synced ${result.sent} offline change${result.sent === 1 ? '' : 's'}` : 'Products are up to date', 'success');
+            }
+        } catch (error) {
+            console.error('Product sync failed:', error);
+        }
+    }
+
+    // The repository changed local products (pulled or merged server changes)
+    applySyncedProducts(products) {
+        this.products = products.map(product => this.ensureSpecs(this.ensurePriceHistory(product)));
+        this.updateFilters();
+        this.renderProducts();
+        this.updateSyncConflicts();
+    }
+
+    // ===== SYNC CONFLICTS =====
+    async updateSyncConflicts() {
+        const conflicts = await this.repository.getConflicts();
+        this.elements.syncConflictCount.textContent = conflicts.length;
+        this.elements.syncConflictsBtn.style.display = conflicts.length ? '' : 'none';
+        return conflicts;
+    }
+
+    getSyncFieldLabel(field) {
+        const column = CSV_COLUMNS.find(item => item.id === field);
+        const group = MERGE_GROUPS.find(item => item.fields.includes(field));
+        return column ? column.label : (group ? group.label : field);
+    }
+
+    // One conflict at a time; resolving it opens the next
+    async showSyncConflicts() {
+        const conflicts = await this.updateSyncConflicts();
+        if (!conflicts.length) {
+            this.closeDialog();
+            this.showToast('No sync conflicts left', 'success');
+            return;
+        }
+
+        const { id, conflict, local } = conflicts[0];
+        const product = local || conflict.remote || {};
+        const name = `<strong>${this.escapeHtml(product.title || 'Untitled Product')}</strong>`;
+        const title = `Sync Conflict${conflicts.length > 1 ? ` (1 of ${conflicts.length})` : ''}`;
+
+        if (conflict.type === 'deleted') {
+            this.openDialog(title, `<p>You edited ${name} on this device, but a teammate deleted it from the shared catalog.</p>`, `
+                <button class="btn-primary" onclick="app.resolveSyncConflict(${this.jsArg(id)}, 'keep')">Keep My Version</button>
+                <button class="btn-danger" onclick="app.resolveSyncConflict(${this.jsArg(id)}, 'discard')">Delete It</button>
+                <button class="btn-secondary" onclick="app.closeDialog()">Later</button>
+            `);
+            return;
+        }
+
+        if (conflict.type === 'edited') {
+            this.openDialog(title, `<p>You deleted ${name} on this device, but a teammate has edited it since.</p>`, `
+                <button class="btn-primary" onclick="app.resolveSyncConflict(${this.jsArg(id)}, 'keep')">Keep Their Version</button>
+                <button class="btn-danger" onclick="app.resolveSyncConflict(${this.jsArg(id)}, 'delete')">Delete Anyway</button>
+                <button class="btn-secondary" onclick="app.closeDialog()">Later</button>
+            `);
+            return;
+        }
+
+        const rows = conflict.fields.map((field) => {
+            const group = { id: field, fields: [field] };
+            const option = (value, source, checked) => `
+                <label class="merge-option">
+                    <input type="radio" name="sync-${this.escapeHtml(field)}" value="${value}" ${checked ? 'checked' : ''}>
+                    <span>${this.formatMergeValue(group, source)}</span>
+                </label>
+            `;
+
+            return `
+                <tr>
+                    <th>${this.escapeHtml(this.getSyncFieldLabel(field))}</th>
+                    <td>${option('local', local, true)}</td>
+                    <td>${option('remote', conflict.remote, false)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        this.openDialog(title, `
+            <p class="mb-2">${name} was changed on this device and by a teammate. Other changes were merged; pick the version to keep for these fields.</p>
+            <table class="merge-table">
+                <thead><tr><th></th><th>This device</th><th>Shared catalog</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `, `
+            <button class="btn-primary" onclick="app.resolveSyncConflict(${this.jsArg(id)})">Apply</button>
+            <button class="btn-secondary" onclick="app.closeDialog()">Later</button>
+        `);
+    }
+
+    // Field conflicts read the choices from the dialog's radio buttons
+    async resolveSyncConflict(productId, resolution) {
+        if (resolution === undefined) {
+            const choices = {};
+            this.elements.dialogBody.querySelectorAll('input[type="radio"]:checked').forEach((input) => {
+                choices[input.name.replace(/^sync-/, '')] = input.value;
+            });
+            resolution = { choices };
+        }
+
+        try {
+            await this.repository.resolveConflict(productId, resolution);
+        } catch (error) {
+            console.error('Failed to resolve sync conflict:', error);
+            this.showToast('Failed to resolve the conflict', 'error');
+            return;
+        }
+
+        this.showSyncConflicts();
+    }
+
+    // One-time move of the catalog from localStorage into IndexedDB. The old key is
+    // only removed once the import transaction has committed.
+    async importLegacyProducts() {
+        const saved = localStorage.getItem('amazonScrapperProducts');
+        if (!saved) return;
+
+        let legacyProducts;
+        try {
+            legacyProducts = JSON.parse(saved);
+        } catch (error) {
+            console.error('Skipping unreadable legacy products:', error);
+            return;
+        }
+
+        const existing = await this.store.getAll();
+        const existingIds = new Set(existing.map(product => product.id));
+        const imported = legacyProducts.filter(product => !existingIds.has(product.id));
+
+        await this.store.replaceAll([...existing, ...imported]);
+        localStorage.removeItem('amazonScrapperProducts');
+
+        if (imported.length) {
+            this.showToast(`Moved ${imported.length} saved products to the new local database`, 'info');
+        }
+    }
+
+    saveProductsToLocalStorage() {
         try {
             localStorage.setItem('amazonScrapperProducts', JSON.stringify(this.products));
         } catch (error) {
@@ -833,7 +3267,7 @@ class AmazonScraperApp {
         }
     }
 
-    loadProducts() {
+    loadProductsFromLocalStorage() {
         try {
             const saved = localStorage.getItem('amazonScrapperProducts');
             this.products = saved ? JSON.parse(saved) : [];
@@ -853,16 +3287,7 @@ class AmazonScraperApp {
 
         try {
             const dataStr = JSON.stringify(this.products, null, 2);
-            const dataBlob = new Blob([dataStr], { type: 'application/json' });
-            const url = URL.createObjectURL(dataBlob);
-            
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `amazon-products-${new Date().toISOString().split('T')[0]}.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+            this.downloadFile(dataStr, `amazon-products-${new Date().toISOString().split('T')[0]}.json`, 'application/json');
 
             this.showToast(`Exported ${this.products.length} products successfully!`, 'success');
         } catch (error) {
@@ -877,16 +3302,7 @@ class AmazonScraperApp {
 
         try {
             const dataStr = JSON.stringify(product, null, 2);
-            const dataBlob = new Blob([dataStr], { type: 'application/json' });
-            const url = URL.createObjectURL(dataBlob);
-            
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `product-${product.asin || product.id}.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+            this.downloadFile(dataStr, `product-${product.asin || product.id}.json`, 'application/json');
 
             this.showToast('Product downloaded successfully!', 'success');
         } catch (error) {
@@ -895,13 +3311,529 @@ class AmazonScraperApp {
         }
     }
 
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    // ===== CSV EXPORT =====
+    showCsvExportDialog() {
+        if (this.products.length === 0) {
+            this.showToast('No products to export', 'warning');
+            return;
+        }
+
+        const selected = this.getCsvColumnSelection();
+        const filteredCount = this.getFilteredProducts().length;
+        const hasFilters = Boolean(this.filters.search || this.filters.brand || this.filters.category || this.filters.spec || this.filters.inStock || this.filters.prime);
+
+        this.openDialog('Export CSV', `
+            <div class="csv-export-section">
+                <h4>Products</h4>
+                <label class="csv-option">
+                    <input type="radio" name="csvScope" value="filtered" ${hasFilters ? 'checked' : ''}>
+                    Current view (${filteredCount})
+                </label>
+                <label class="csv-option">
+                    <input type="radio" name="csvScope" value="all" ${hasFilters ? '' : 'checked'}>
+                    All products (${this.products.length})
+                </label>
+            </div>
+            <div class="csv-export-section">
+                <h4>Columns</h4>
+                <div class="csv-columns">
+                    ${CSV_COLUMNS.map(column => `
+                        <label class="csv-option">
+                            <input type="checkbox" name="csvColumn" value="${column.id}" ${selected.includes(column.id) ? 'checked' : ''}>
+                            ${column.label}
+                        </label>
+                    `).join('')}
+                </div>
+            </div>
+            <div class="csv-export-section">
+                <h4>Join list values (colors, categories, tags) with</h4>
+                <select id="csvSeparator" class="filter-select">
+                    ${CSV_SEPARATORS.map((separator, index) => `<option value="${index}">${separator.label}</option>`).join('')}
+                </select>
+            </div>
+        `, `
+            <button class="btn-primary" onclick="app.exportCsv()">📊 Export CSV</button>
+            <button class="btn-secondary" onclick="app.closeDialog()">Cancel</button>
+        `);
+    }
+
+    getCsvColumnSelection() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('amazonScraperCsvColumns'));
+            if (Array.isArray(saved) && saved.length) return saved;
+        } catch {
+            // Fall back to the defaults
+        }
+        return CSV_COLUMNS.filter(column => column.default).map(column => column.id);
+    }
+
+    exportCsv() {
+        const body = this.elements.dialogBody;
+        const columnIds = [...body.querySelectorAll('input[name="csvColumn"]:checked')].map(input => input.value);
+        if (!columnIds.length) {
+            this.showToast('Select at least one column', 'warning');
+            return;
+        }
+
+        const scope = body.querySelector('input[name="csvScope"]:checked').value;
+        const products = scope === 'filtered' ? this.getFilteredProducts() : this.products;
+        if (!products.length) {
+            this.showToast('No products match the current filters', 'warning');
+            return;
+        }
+
+        const separator = CSV_SEPARATORS[Number(document.getElementById('csvSeparator').value)].value;
+        const columns = CSV_COLUMNS.filter(column => columnIds.includes(column.id));
+
+        try {
+            localStorage.setItem('amazonScraperCsvColumns', JSON.stringify(columnIds));
+            this.downloadFile(this.buildCsv(products, columns, separator), `amazon-products-${new Date().toISOString().split('T')[0]}.csv`, 'text/csv;charset=utf-8');
+
+            this.closeDialog();
+            this.showToast(`Exported ${products.length} products to CSV`, 'success');
+        } catch (error) {
+            console.error('CSV export error:', error);
+            this.showToast('Failed to export CSV', 'error');
+        }
+    }
+
+    buildCsv(products, columns, separator = '; ') {
+        const rows = [columns.map(column => column.label)];
+
+        products.forEach((product) => {
+            rows.push(columns.map((column) => {
+                const value = column.value(product);
+                return Array.isArray(value) ? value.join(separator) : value;
+            }));
+        });
+
+        return this.toCsv(rows);
+    }
+
+    // RFC 4180 CSV with CRLF line endings and a UTF-8 BOM so Excel detects the encoding
+    toCsv(rows) {
+        return '\uFEFF' + rows.map(row => row.map(value => this.escapeCsvValue(value)).join(',')).join('\r\n');
+    }
+
+    escapeCsvValue(value) {
+        if (value === undefined || value === null) return '';
+
+        const text = String(value);
+        return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // ===== IMPORT =====
+    async loadImportFile(input) {
+        const file = input.files[0];
+        input.value = '';
+        if (!file) return;
+
+        try {
+            const text = (await file.text()).replace(/^\uFEFF/, '');
+            const isJson = /\.json$/i.test(file.name) || /^\s*[[{]/.test(text);
+            const records = isJson ? this.parseJsonImport(text) : this.parseCsvImport(text);
+
+            this.showImportDialog(file.name, records.map((record, index) => ({
+                row: index + 1,
+                ...this.validateImportRecord(record)
+            })));
+        } catch (error) {
+            console.error('Import error:', error);
+            this.showToast(`Failed to read ${file.name}: ${error.message}`, 'error');
+        }
+    }
+
+    // Accepts exportAllProducts (array) and downloadProduct (single object) files
+    parseJsonImport(text) {
+        const data = JSON.parse(text);
+        return Array.isArray(data) ? data : [data];
+    }
+
+    // CSV files use the export column labels (or ids) as headers
+    parseCsvImport(text) {
+        const [header, ...rows] = this.parseCsv(text);
+        if (!header) throw new Error('the file is empty');
+
+        const columns = header.map((name) => {
+            const key = name.trim().toLowerCase();
+            return CSV_COLUMNS.find(column => column.label.toLowerCase() === key || column.id.toLowerCase() === key);
+        });
+        if (!columns.some(Boolean)) throw new Error('no recognised column headers');
+
+        return rows
+            .filter(row => row.some(value => value.trim()))
+            .map((row) => {
+                const record = {};
+                columns.forEach((column, index) => {
+                    if (!column || row[index] === undefined) return;
+                    if (column.id === 'image') {
+                        record.images = row[index] ? [{ url: row[index] }] : [];
+                    } else {
+                        record[column.id] = row[index];
+                    }
+                });
+                return record;
+            });
+    }
+
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let value = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    value += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(value);
+                value = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(value);
+                rows.push(row);
+                row = [];
+                value = '';
+            } else {
+                value += char;
+            }
+        }
+
+        if (value || row.length) {
+            row.push(value);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    // Split a joined CSV list cell; commas only separate values when no other separator is used
+    splitListValue(text) {
+        const separator = /[;|\n]/.test(text) ? /[;|\n]/ : /,/;
+        return text.split(separator).map(item => item.trim()).filter(Boolean);
+    }
+
+    validateImportRecord(record) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return { errors: ['not a product object'] };
+        }
+
+        const errors = [];
+        const product = {};
+
+        PRODUCT_TEXT_FIELDS.forEach((field) => {
+            const value = record[field];
+            if (value === undefined || value === null) {
+                product[field] = '';
+            } else if (typeof value === 'string' || typeof value === 'number') {
+                product[field] = String(value).trim();
+            } else {
+                errors.push(`${field} must be text`);
+            }
+        });
+
+        PRODUCT_LIST_FIELDS.forEach((field) => {
+            const value = record[field];
+            if (value === undefined || value === null || value === '') {
+                product[field] = [];
+            } else if (typeof value === 'string') {
+                product[field] = this.splitListValue(value);
+            } else if (Array.isArray(value) && value.every(item => typeof item === 'string')) {
+                product[field] = value.map(item => item.trim()).filter(Boolean);
+            } else {
+                errors.push(`${field} must be a list of text values`);
+            }
+        });
+
+        if (errors.length) return { errors };
+
+        if (!product.title && !product.asin) {
+            errors.push('needs a title or ASIN');
+        }
+        if (product.asin && !/^[A-Z0-9]{10}$/i.test(product.asin)) {
+            errors.push(`invalid ASIN "${product.asin}"`);
+        }
+        const rating = Number(product.rating.replace(',', '.'));
+        if (product.rating && !(rating >= 0 && rating <= 5)) {
+            errors.push(`rating "${product.rating}" must be between 0 and 5`);
+        }
+        if (product.ratingCount && !/^\d[\d,.\s]*$/.test(product.ratingCount)) {
+            errors.push(`review count "${product.ratingCount}" is not a number`);
+        }
+
+        if (record.url) {
+            if (typeof record.url !== 'string' || !/^https?:\/\//i.test(record.url)) {
+                errors.push('url must be an http(s) link');
+            } else {
+                product.url = record.url.trim();
+            }
+        }
+
+        if (record.images !== undefined) {
+            const images = Array.isArray(record.images) ? record.images : [];
+            product.images = images
+                .map(image => (typeof image === 'string' ? { url: image } : image))
+                .filter(image => image && typeof image.url === 'string' && /^https?:\/\//i.test(image.url));
+            if (!Array.isArray(record.images) || product.images.length !== images.length) {
+                errors.push('images must be a list of http(s) image links');
+            }
+        }
+
+        if (record.specs && typeof record.specs === 'object' && !Array.isArray(record.specs)) {
+            product.specs = {};
+            Object.entries(record.specs).forEach(([key, value]) => {
+                if (typeof value === 'string' || typeof value === 'number') product.specs[key.trim()] = String(value).trim();
+                else errors.push(`spec "${key}" must be text`);
+            });
+        } else if (record.specs) {
+            // CSV list cell of "Key: Value" items
+            const items = Array.isArray(record.specs) ? record.specs : this.splitListValue(String(record.specs));
+            product.specs = this.parseTechnicalData(items.join('\n'));
+        } else {
+            product.specs = this.parseTechnicalData(product.technicalData);
+        }
+        if (Object.keys(product.specs).length) {
+            product.technicalData = this.formatTechnicalData(product.specs);
+        }
+
+        if (record.ratingHistogram && typeof record.ratingHistogram === 'object') {
+            product.ratingHistogram = {};
+            Object.entries(record.ratingHistogram).forEach(([stars, percent]) => {
+                if (/^[1-5]$/.test(stars) && Number(percent) >= 0 && Number(percent) <= 100) product.ratingHistogram[stars] = Number(percent);
+                else errors.push(`invalid rating breakdown entry "${stars}"`);
+            });
+        }
+        // A CSV cell holds the reviews as display text, which can't be read back
+        if (record.topReviews !== undefined && typeof record.topReviews !== 'string') {
+            product.topReviews = this.validateImportReviews(record.topReviews, errors);
+        }
+
+        // Extra fields from the app's own JSON export. Nested objects keep only the
+        // fields the scraper produces, with the types the renderers expect.
+        if (typeof record.currency === 'string') product.currency = record.currency;
+        if (record.priceDetails !== undefined) {
+            product.priceDetails = this.validateImportPriceDetails(record.priceDetails, errors);
+        }
+        if (record.availability && AVAILABILITY_LABELS[record.availability.status]) product.availability = record.availability;
+        if (record.seller !== undefined) {
+            product.seller = this.validateImportSeller(record.seller, errors);
+        }
+        if (typeof record.prime === 'boolean') product.prime = record.prime;
+        if (typeof record.delivery === 'string') product.delivery = record.delivery;
+        if (record.variations !== undefined) {
+            product.variations = this.validateImportVariations(record.variations, errors);
+        }
+        if (Array.isArray(record.priceHistory)) {
+            product.priceHistory = record.priceHistory.filter(entry => entry && !isNaN(new Date(entry.date)));
+        }
+        if (record.extractedAt && !isNaN(new Date(record.extractedAt))) {
+            product.extractedAt = record.extractedAt;
+        }
+
+        if (product.asin) product.asin = product.asin.toUpperCase();
+        return errors.length ? { errors } : { product, errors };
+    }
+
+    isPlainObject(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // { offer, list, savings }, each { amount, currency, display }
+    validateImportPriceDetails(value, errors) {
+        if (!this.isPlainObject(value)) {
+            errors.push('priceDetails must be an object');
+            return undefined;
+        }
+
+        const details = {};
+        ['offer', 'list', 'savings'].forEach((kind) => {
+            const price = value[kind];
+            if (price === undefined || price === null) return;
+            if (this.isPlainObject(price) && Number.isFinite(price.amount) && typeof price.currency === 'string' &&
+                (price.display === undefined || typeof price.display === 'string')) {
+                details[kind] = { amount: price.amount, currency: price.currency.trim(), display: (price.display || '').trim() };
+            } else {
+                errors.push(`priceDetails.${kind} needs a numeric amount and a currency`);
+            }
+        });
+        return details;
+    }
+
+    // { soldBy, shipsFrom }
+    validateImportSeller(value, errors) {
+        if (!this.isPlainObject(value) || ['soldBy', 'shipsFrom'].some(field => value[field] !== undefined && typeof value[field] !== 'string')) {
+            errors.push('seller must have text soldBy and shipsFrom fields');
+            return undefined;
+        }
+        return { soldBy: (value.soldBy || '').trim(), shipsFrom: (value.shipsFrom || '').trim() };
+    }
+
+    // [{ title, body, stars, author, date, verified }]; reviews without text are dropped
+    validateImportReviews(value, errors) {
+        const textFields = ['title', 'body', 'author', 'date'];
+        const valid = Array.isArray(value) && value.every(review => this.isPlainObject(review) &&
+            textFields.every(field => review[field] === undefined || typeof review[field] === 'string') &&
+            (review.stars === undefined || review.stars === null || (Number.isFinite(review.stars) && review.stars >= 0 && review.stars <= 5)) &&
+            (review.verified === undefined || typeof review.verified === 'boolean'));
+        if (!valid) {
+            errors.push('topReviews must be a list of reviews with text fields and 0-5 stars');
+            return undefined;
+        }
+
+        return value
+            .filter(review => review.title || review.body)
+            .map(review => ({
+                title: review.title || '',
+                body: review.body || '',
+                stars: Number.isFinite(review.stars) ? review.stars : null,
+                author: review.author || '',
+                date: review.date || '',
+                verified: Boolean(review.verified)
+            }));
+    }
+
+    // { dimensions: ['Color', ...], items: [{ asin, values: { Color: 'Red' }, available, price, selected }] }
+    validateImportVariations(value, errors) {
+        const validItem = item => this.isPlainObject(item) &&
+            (!item.asin || (typeof item.asin === 'string' && /^[A-Z0-9]{10}$/i.test(item.asin))) &&
+            this.isPlainObject(item.values) && Object.values(item.values).every(text => typeof text === 'string') &&
+            (item.price === undefined || typeof item.price === 'string');
+        const valid = this.isPlainObject(value) &&
+            Array.isArray(value.dimensions) && value.dimensions.every(dimension => typeof dimension === 'string') &&
+            Array.isArray(value.items) && value.items.every(validItem);
+        if (!valid) {
+            errors.push('variations must list text dimensions and items with an ASIN and text values');
+            return undefined;
+        }
+
+        return {
+            dimensions: [...value.dimensions],
+            items: value.items.map(item => ({
+                asin: (item.asin || '').toUpperCase(),
+                values: { ...item.values },
+                available: item.available !== false,
+                price: item.price || '',
+                selected: Boolean(item.selected)
+            }))
+        };
+    }
+
+    findProductByAsin(asin) {
+        return asin ? this.products.find(p => (p.asin || '').toUpperCase() === asin) : null;
+    }
+
+    showImportDialog(fileName, results) {
+        const valid = results.filter(result => result.product);
+        const invalid = results.filter(result => !result.product);
+        const conflicts = valid.filter(result => this.findProductByAsin(result.product.asin));
+        this.pendingImport = valid.map(result => result.product);
+
+        const shownErrors = invalid.slice(0, 20);
+
+        this.openDialog(`Import ${fileName}`, `
+            <p class="mb-2">
+                <strong>${valid.length}</strong> of ${results.length} products are ready to import.
+            </p>
+            ${invalid.length ? `
+                <div class="import-errors">
+                    <h4>⚠️ ${invalid.length} malformed ${invalid.length === 1 ? 'record' : 'records'} will be skipped</h4>
+                    <ul>
+                        ${shownErrors.map(result => `<li>Row ${result.row}: ${this.escapeHtml(result.errors.join('; '))}</li>`).join('')}
+                        ${invalid.length > shownErrors.length ? `<li>…and ${invalid.length - shownErrors.length} more</li>` : ''}
+                    </ul>
+                </div>
+            ` : ''}
+            ${conflicts.length ? `
+                <div class="csv-export-section">
+                    <h4>${conflicts.length} ${conflicts.length === 1 ? 'product has' : 'products have'} an ASIN that is already saved</h4>
+                    <label class="csv-option"><input type="radio" name="importConflict" value="skip" checked> Skip them</label>
+                    <label class="csv-option"><input type="radio" name="importConflict" value="overwrite"> Overwrite the saved products</label>
+                    <label class="csv-option"><input type="radio" name="importConflict" value="keep"> Keep both</label>
+                </div>
+            ` : ''}
+        `, `
+            <button class="btn-primary" onclick="app.applyImport()" ${valid.length ? '' : 'disabled'}>📥 Import</button>
+            <button class="btn-secondary" onclick="app.closeDialog()">Cancel</button>
+        `);
+    }
+
+    applyImport() {
+        if (!this.pendingImport) return;
+
+        const choice = this.elements.dialogBody.querySelector('input[name="importConflict"]:checked');
+        const resolution = choice ? choice.value : 'skip';
+        const now = new Date().toISOString();
+        const counts = { added: 0, overwritten: 0, skipped: 0 };
+
+        this.pendingImport.forEach((imported) => {
+            const existing = this.findProductByAsin(imported.asin);
+
+            if (existing && resolution === 'skip') {
+                counts.skipped++;
+                return;
+            }
+
+            if (existing && resolution === 'overwrite') {
+                this.replaceProduct(this.ensurePriceHistory({
+                    ...imported,
+                    id: existing.id,
+                    url: imported.url || existing.url,
+                    extractedAt: imported.extractedAt || existing.extractedAt,
+                    updatedAt: now
+                }));
+                counts.overwritten++;
+                return;
+            }
+
+            this.products.push(this.ensurePriceHistory({
+                url: '',
+                images: [],
+                ...imported,
+                id: this.createProductId(),
+                extractedAt: imported.extractedAt || now,
+                updatedAt: now
+            }));
+            counts.added++;
+        });
+
+        this.pendingImport = null;
+        this.saveProducts();
+        this.renderProducts();
+        this.updateFilters();
+        this.closeDialog();
+        this.showToast(`Imported ${counts.added} new, ${counts.overwritten} overwritten, ${counts.skipped} skipped`, 'success');
+    }
+
     clearAllProducts() {
         if (this.products.length === 0) {
             this.showToast('No products to clear', 'warning');
             return;
         }
 
-        if (confirm(`Are you sure you want to delete all ${this.products.length} products? This action cannot be undone.`)) {
+        if (confirm(`Are you sure you want to delete all ${this.products.length} products? They are removed from the shared catalog for the whole team. This action cannot be undone.`)) {
             this.products = [];
             this.saveProducts();
             this.renderProducts();
@@ -910,6 +3842,26 @@ class AmazonScraperApp {
         }
     }
 
+    // ===== DIALOG =====
+    openDialog(title, bodyHtml, footerHtml = '', options = {}) {
+        this.elements.dialogTitle.textContent = title;
+        this.elements.dialogModal.querySelector('.modal-content').classList.toggle('modal-wide', Boolean(options.wide));
+        this.elements.dialogBody.className = 'modal-body';
+        this.elements.dialogBody.innerHTML = bodyHtml;
+        this.elements.dialogFooter.innerHTML = footerHtml;
+        this.elements.dialogModal.style.display = 'flex';
+        document.body.style.overflow = 'hidden';
+    }
+
+    closeDialog() {
+        if (this.elements.dialogModal.style.display === 'none') return;
+
+        this.elements.dialogModal.style.display = 'none';
+        if (this.elements.productModal.style.display === 'none') {
+            document.body.style.overflow = '';
+        }
+    }
+
     // ===== UI UTILITIES =====
     showLoading(message = 'Loading...') {
         this.elements.loadingText.textContent = message;
@@ -962,11 +3914,30 @@ class AmazonScraperApp {
         }, 5000);
     }
 
+    // An argument for an inline onclick="app.method(...)" handler: numeric ids stay
+    // numbers, anything else becomes a string literal that can't break out of the call
+    jsArg(value) {
+        return this.escapeHtml(JSON.stringify(value));
+    }
+
+    // Five stars with the rating filled in; out-of-range ratings are clamped
+    renderStars(rating) {
+        const filled = Math.min(5, Math.max(0, Math.floor(Number(rating) || 0)));
+        return '★'.repeat(filled) + '☆'.repeat(5 - filled);
+    }
+
+    // Saved links only open when they are http(s), never javascript: or data:
+    safeUrl(url) {
+        return typeof url === 'string' && /^https?:\/\//i.test(url.trim()) ? url.trim() : '#';
+    }
+
+    // Non-string values are escaped too: shared catalog fields aren't guaranteed to be text
     escapeHtml(text) {
-        if (typeof text !== 'string') return text;
+        if (text === undefined || text === null) return text;
         const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        div.textContent = String(text);
+        // innerHTML leaves quotes alone, but the result is also used in attribute values
+        return div.innerHTML.replace(/"/g, '&quot;');
     }
 }
 
@@ -986,11 +3957,15 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Handle online/offline status
     window.addEventListener('online', () => {
-        if (app) app.showToast('Connection restored', 'success');
+        if (app) {
+            app.showToast('Connection restored. Syncing your changes...', 'info');
+            app.replayPendingScrapes();
+            app.syncProducts(true);
+        }
     });
 
     window.addEventListener('offline', () => {
-        if (app) app.showToast('You are now offline. Some features may not work.', 'warning');
+        if (app) app.showToast('You are now offline. Changes are saved on this device and sync when you reconnect.', 'warning');
     });
 });
 
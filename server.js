@@ -2,110 +2,869 @@ const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
 const cheerio = require('cheerio');
+const { SocksProxyAgent } = require('socks-proxy-agent');
 const path = require('path');
 const fs = require('fs').promises;
-const { createWriteStream } = require('fs');
-const { pipeline } = require('stream');
+const { createWriteStream, readFileSync } = require('fs');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { pipeline, Transform } = require('stream');
 const { promisify } = require('util');
+const urlRules = require('./url-rules');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const pipelineAsync = promisify(pipeline);
 
 // ===== MIDDLEWARE =====
-app.use(cors());
+// Cross-origin access is limited to CORS_ORIGINS (comma-separated). The PWA itself
+// is same-origin and needs no entry.
+app.use(cors(corsOptions(process.env.CORS_ORIGINS)));
 app.use(express.json({ limit: '10mb' }));
 
-// Serve static files with proper MIME types
-app.use(express.static(__dirname, {
-    setHeaders: (res, path) => {
-        if (path.endsWith('.css')) {
-            res.setHeader('Content-Type', 'text/css');
-        } else if (path.endsWith('.js')) {
-            res.setHeader('Content-Type', 'application/javascript');
-        } else if (path.endsWith('.json')) {
-            res.setHeader('Content-Type', 'application/json');
-        }
-    }
-}));
+// The app's static files. Only these are served: the project folder also holds the
+// persisted server data, users' downloads and proxy credentials.
+const STATIC_FILES = ['index.html', 'styles.css', 'script.js', 'db.js', 'repository.js', 'url-rules.js'];
+STATIC_FILES.forEach((file) => {
+    app.get(`/${file}`, (req, res) => {
+        res.sendFile(path.join(__dirname, file));
+    });
+});
 
 // Create downloads directory if it doesn't exist
-const DOWNLOADS_DIR = path.join(__dirname, 'downloads');
+const DOWNLOADS_DIR = process.env.DOWNLOADS_DIR || path.join(__dirname, 'downloads');
 fs.mkdir(DOWNLOADS_DIR, { recursive: true }).catch(console.error);
 
-// ===== SCRAPING SERVICE =====
-class AmazonScraper {
-    constructor() {
-        this.userAgents = [
-            'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-            'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-            'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:89.0) Gecko/20100101 Firefox/89.0',
-            'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.1.1 Safari/605.1.15'
-        ];
+// Server-side state (watches, etc.) lives here
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+// ===== MARKETPLACES =====
+// Amazon storefronts keyed by hostname (without "www."), with the currency and
+// locale their prices are displayed in
+const MARKETPLACES = {
+    'amazon.com': { currency: 'USD', locale: 'en-US' },
+    'amazon.ca': { currency: 'CAD', locale: 'en-CA' },
+    'amazon.com.mx': { currency: 'MXN', locale: 'es-MX' },
+    'amazon.com.br': { currency: 'BRL', locale: 'pt-BR' },
+    'amazon.co.uk': { currency: 'GBP', locale: 'en-GB' },
+    'amazon.de': { currency: 'EUR', locale: 'de-DE' },
+    'amazon.fr': { currency: 'EUR', locale: 'fr-FR' },
+    'amazon.it': { currency: 'EUR', locale: 'it-IT' },
+    'amazon.es': { currency: 'EUR', locale: 'es-ES' },
+    'amazon.nl': { currency: 'EUR', locale: 'nl-NL' },
+    'amazon.se': { currency: 'SEK', locale: 'sv-SE' },
+    'amazon.pl': { currency: 'PLN', locale: 'pl-PL' },
+    'amazon.com.tr': { currency: 'TRY', locale: 'tr-TR' },
+    'amazon.ae': { currency: 'AED', locale: 'en-AE' },
+    'amazon.sa': { currency: 'SAR', locale: 'ar-SA' },
+    'amazon.in': { currency: 'INR', locale: 'en-IN' },
+    'amazon.co.jp': { currency: 'JPY', locale: 'ja-JP' },
+    'amazon.sg': { currency: 'SGD', locale: 'en-SG' },
+    'amazon.com.au': { currency: 'AUD', locale: 'en-AU' }
+};
+
+const DEFAULT_MARKETPLACE = 'amazon.com';
+
+// Currency symbols as printed on product pages. "$" is shared by several
+// storefronts, so it resolves to the marketplace's own currency when that is a dollar.
+const CURRENCY_SYMBOLS = [
+    { symbol: 'R$', currency: 'BRL' },
+    { symbol: '$', currency: 'USD' },
+    { symbol: '€', currency: 'EUR' },
+    { symbol: '£', currency: 'GBP' },
+    { symbol: '₹', currency: 'INR' },
+    { symbol: '￥', currency: 'JPY' },
+    { symbol: '¥', currency: 'JPY' },
+    { symbol: '₺', currency: 'TRY' },
+    { symbol: 'zł', currency: 'PLN' },
+    { symbol: 'kr', currency: 'SEK' }
+];
+
+const DOLLAR_CURRENCIES = ['USD', 'CAD', 'MXN', 'AUD', 'SGD'];
+const CURRENCY_CODES = [...new Set(Object.values(MARKETPLACES).map(m => m.currency))];
+
+// A currency marker (symbol or ISO code) directly before or after an amount
+const PRICE_TEXT_PATTERN = new RegExp(
+    `(?:R\\$|[$€£₹¥￥₺]|zł|kr|\\b(?:${CURRENCY_CODES.join('|')})\\b)\\s?\\d|` +
+    `\\d[\\d.,\\s\\u00a0\\u202f]*\\s?(?:[€₹₺]|zł|kr|\\b(?:${CURRENCY_CODES.join('|')})\\b)`
+);
+
+// A span holding nothing but a price, e.g. "$19.99" or "19,99 €"
+const PRICE_ONLY_PATTERN = /^(?:R\$|[$€£₹¥￥₺])?\s?\d[\d.,\s\u00a0\u202f]*(?:[€₹₺]|zł|kr)?$/;
+
+// ===== AVAILABILITY =====
+// Checked in order; the first pattern matching the buybox availability text wins
+const AVAILABILITY_PATTERNS = [
+    { status: 'out_of_stock', pattern: /currently unavailable|out of stock|derzeit nicht verfügbar|actuellement indisponible|non disponibile|no disponible|現在在庫切れ|在庫切れ/i },
+    { status: 'low_stock', pattern: /only\s+(\d+)\s+left|nur noch\s+(\d+)|plus que\s+(\d+)|solo\s+(\d+)|残り(\d+)点/i },
+    { status: 'preorder', pattern: /pre-?order|will be released|vorbestell|précommande/i },
+    { status: 'in_stock', pattern: /in stock|auf lager|en stock|disponibilità immediata|disponible|在庫あり/i }
+];
+
+// ===== TECHNICAL SPECIFICATIONS =====
+// Spec rows come from the tech table, both product details tables and the detail
+// bullets list, so the same attribute often appears under several labels
+const SPEC_SELECTORS = [
+    '#tech tbody tr',
+    '#productDetails_techSpec_section_1 tbody tr',
+    '#productDetails_detailBullets_sections1 tbody tr',
+    '.a-keyvalue tbody tr'
+];
+
+// Lower-cased label => normalized key
+const SPEC_KEY_ALIASES = {
+    'weight': 'Item Weight',
+    'item weight': 'Item Weight',
+    'product weight': 'Item Weight',
+    'dimensions': 'Product Dimensions',
+    'item dimensions': 'Product Dimensions',
+    'item dimensions l x w x h': 'Product Dimensions',
+    'product dimensions': 'Product Dimensions',
+    'package dimensions': 'Package Dimensions',
+    'model number': 'Item Model Number',
+    'item model number': 'Item Model Number',
+    'model name': 'Model Name',
+    'wattage': 'Wattage',
+    'power': 'Wattage',
+    'colour': 'Color',
+    'manufacturer': 'Manufacturer',
+    'date first available': 'Date First Available'
+};
+
+// Rows whose values are widgets rather than specs
+const SPEC_IGNORED_KEYS = ['Customer Reviews', 'Best Sellers Rank'];
+
+// Left-to-right/right-to-left marks and zero-width spaces Amazon pads labels with
+const SPEC_INVISIBLE_CHARS = /[\u200b-\u200f\u202a-\u202e\ufeff]/g;
+
+// ===== SCRAPE ERRORS =====
+// HTTP status returned by the API for each error code
+const SCRAPE_ERROR_STATUS = {
+    PRODUCT_NOT_FOUND: 404,
+    SIGN_IN_REQUIRED: 403,
+    RATE_LIMITED: 429,
+    CAPTCHA_REQUIRED: 503,
+    INVALID_URL: 400
+};
+
+// Amazon served something other than a product page, or the URL is not one we may fetch
+class ScrapeError extends Error {
+    constructor(code, message, options = {}) {
+        super(message);
+        this.name = 'ScrapeError';
+        this.code = code;
+        this.status = SCRAPE_ERROR_STATUS[code] || 502;
+        this.retryAfter = options.retryAfter || null;
+    }
+
+    // Only throttling clears up by itself; retrying the other pages gets the same answer
+    get retryable() {
+        return this.code === 'RATE_LIMITED';
     }
+}
 
-    getRandomUserAgent() {
-        return this.userAgents[Math.floor(Math.random() * this.userAgents.length)];
+// ===== REQUEST PROFILES =====
+// Browser header sets that are sent together, so the user agent, Accept-Language
+// and client hints always describe the same browser. Firefox and Safari send no client hints.
+const DEFAULT_HEADER_PROFILES = [
+    {
+        name: 'chrome-windows',
+        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36',
+        acceptLanguage: 'en-US,en;q=0.9',
+        secChUa: '"Google Chrome";v="129", "Not=A?Brand";v="8", "Chromium";v="129"',
+        platform: 'Windows'
+    },
+    {
+        name: 'chrome-macos',
+        userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36',
+        acceptLanguage: 'en-US,en;q=0.9',
+        secChUa: '"Google Chrome";v="129", "Not=A?Brand";v="8", "Chromium";v="129"',
+        platform: 'macOS'
+    },
+    {
+        name: 'edge-windows',
+        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36 Edg/129.0.0.0',
+        acceptLanguage: 'en-US,en;q=0.9',
+        secChUa: '"Microsoft Edge";v="129", "Not=A?Brand";v="8", "Chromium";v="129"',
+        platform: 'Windows'
+    },
+    {
+        name: 'firefox-windows',
+        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:131.0) Gecko/20100101 Firefox/131.0',
+        acceptLanguage: 'en-US,en;q=0.5'
+    },
+    {
+        name: 'safari-macos',
+        userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.6 Safari/605.1.15',
+        acceptLanguage: 'en-US,en;q=0.9'
     }
+];
 
-    async scrapeProduct(url) {
-        try {
-            console.log(`Scraping product: ${url}`);
-            
-            const response = await axios.get(url, {
-                headers: {
-                    'User-Agent': this.getRandomUserAgent(),
-                    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-                    'Accept-Language': 'en-US,en;q=0.5',
-                    'Accept-Encoding': 'gzip, deflate, br',
-                    'DNT': '1',
-                    'Connection': 'keep-alive',
-                    'Upgrade-Insecure-Requests': '1',
-                    'Sec-Fetch-Dest': 'document',
-                    'Sec-Fetch-Mode': 'navigate',
-                    'Sec-Fetch-Site': 'none',
-                    'Cache-Control': 'max-age=0'
-                },
-                timeout: 30000,
-                maxRedirects: 5
+const PROXY_PROTOCOLS = ['http:', 'https:', 'socks:', 'socks4:', 'socks4a:', 'socks5:', 'socks5h:'];
+
+// Weight of the latest outcome in a proxy's health score
+const PROXY_SCORE_WEIGHT = 0.3;
+
+function buildProfileHeaders(profile) {
+    const headers = {
+        'User-Agent': profile.userAgent,
+        'Accept-Language': profile.acceptLanguage
+    };
+
+    if (profile.secChUa) {
+        headers['sec-ch-ua'] = profile.secChUa;
+        headers['sec-ch-ua-mobile'] = '?0';
+        headers['sec-ch-ua-platform'] = `"${profile.platform}"`;
+    }
+
+    return headers;
+}
+
+function parseProxyUrl(value) {
+    const url = new URL(value);
+    if (!PROXY_PROTOCOLS.includes(url.protocol) || !url.hostname) {
+        throw new Error(`Unsupported proxy URL: ${url.protocol}//${url.host}`);
+    }
+
+    return {
+        url: url.href,
+        protocol: url.protocol.slice(0, -1),
+        host: url.hostname,
+        port: parseInt(url.port, 10) || (url.protocol === 'https:' ? 443 : url.protocol.startsWith('socks') ? 1080 : 80),
+        auth: url.username ? { username: decodeURIComponent(url.username), password: decodeURIComponent(url.password) } : null,
+        // Shown in the status endpoint, so never includes credentials
+        label: `${url.protocol}//${url.host}`
+    };
+}
+
+// Rotates through proxies round-robin, skipping ones whose health score has dropped
+// below badScore until their cooldown has passed
+class ProxyPool {
+    constructor(proxies = [], options = {}) {
+        this.badScore = options.badScore ?? 0.3;
+        this.cooldownMs = options.cooldownMs ?? 10 * 60 * 1000;
+        this.cursor = 0;
+
+        this.proxies = proxies.map(value => ({
+            ...parseProxyUrl(value),
+            score: 1,
+            successes: 0,
+            failures: 0,
+            badUntil: 0,
+            lastError: null,
+            lastUsedAt: null
+        }));
+    }
+
+    get size() {
+        return this.proxies.length;
+    }
+
+    isHealthy(proxy, now = Date.now()) {
+        return proxy.badUntil <= now;
+    }
+
+    // When every proxy is bad, the one closest to the end of its cooldown is used
+    next() {
+        if (!this.proxies.length) return null;
+
+        const now = Date.now();
+        const healthy = this.proxies.filter(proxy => this.isHealthy(proxy, now));
+        const candidates = healthy.length
+            ? healthy
+            : [this.proxies.reduce((best, proxy) => (proxy.badUntil < best.badUntil ? proxy : best))];
+
+        const proxy = candidates[this.cursor++ % candidates.length];
+        proxy.lastUsedAt = now;
+        return proxy;
+    }
+
+    report(proxy, ok, error) {
+        proxy.score = proxy.score * (1 - PROXY_SCORE_WEIGHT) + (ok ? PROXY_SCORE_WEIGHT : 0);
+
+        if (ok) {
+            proxy.successes++;
+            proxy.badUntil = 0;
+            return;
+        }
+
+        proxy.failures++;
+        proxy.lastError = error || 'Request failed';
+        if (proxy.score < this.badScore) {
+            proxy.badUntil = Date.now() + this.cooldownMs;
+        }
+    }
+
+    getStatus() {
+        const now = Date.now();
+        return this.proxies.map(proxy => ({
+            proxy: proxy.label,
+            protocol: proxy.protocol,
+            healthy: this.isHealthy(proxy, now),
+            score: Math.round(proxy.score * 100) / 100,
+            successes: proxy.successes,
+            failures: proxy.failures,
+            lastError: proxy.lastError,
+            lastUsedAt: proxy.lastUsedAt ? new Date(proxy.lastUsedAt).toISOString() : null,
+            badUntil: proxy.badUntil > now ? new Date(proxy.badUntil).toISOString() : null
+        }));
+    }
+}
+
+// Picks the proxy and header profile for each outbound request. A proxy always
+// uses the same header profile, so one IP keeps presenting as one browser.
+class RequestProfiles {
+    constructor(config = {}) {
+        this.headerProfiles = config.headerProfiles && config.headerProfiles.length
+            ? config.headerProfiles
+            : DEFAULT_HEADER_PROFILES;
+        this.proxyPool = new ProxyPool(config.proxies || [], config);
+        this.proxyPool.proxies.forEach((proxy, index) => {
+            proxy.profile = this.headerProfiles[index % this.headerProfiles.length];
+        });
+    }
+
+    next() {
+        const proxy = this.proxyPool.next();
+        const profile = proxy
+            ? proxy.profile
+            : this.headerProfiles[Math.floor(Math.random() * this.headerProfiles.length)];
+
+        return { proxy, profile, headers: buildProfileHeaders(profile) };
+    }
+
+    // Axios options that route a request through the session's proxy
+    getProxyConfig(session) {
+        const { proxy } = session;
+        if (!proxy) return {};
+
+        if (proxy.protocol.startsWith('socks')) {
+            const agent = this.getSocksAgent(proxy);
+            return { proxy: false, httpAgent: agent, httpsAgent: agent };
+        }
+
+        return {
+            proxy: {
+                protocol: proxy.protocol,
+                host: proxy.host,
+                port: proxy.port,
+                ...(proxy.auth && { auth: proxy.auth })
+            }
+        };
+    }
+
+    getSocksAgent(proxy) {
+        if (!proxy.agent) {
+            proxy.agent = new SocksProxyAgent(proxy.url);
+        }
+        return proxy.agent;
+    }
+
+    // Network errors, proxy auth failures and throttling count against a proxy;
+    // any other response means the proxy itself worked
+    report(session, error) {
+        if (!session.proxy) return;
+
+        const status = error && error.response ? error.response.status : null;
+        const failed = Boolean(error) && (!status || status === 407 || status === 429 || status === 503);
+        this.proxyPool.report(session.proxy, !failed, failed ? (status ? `HTTP ${status}` : error.code || error.message) : null);
+    }
+
+    getStatus() {
+        const proxies = this.proxyPool.getStatus();
+        return {
+            total: proxies.length,
+            healthy: proxies.filter(proxy => proxy.healthy).length,
+            proxies,
+            headerProfiles: this.headerProfiles.map(profile => profile.name)
+        };
+    }
+}
+
+// Proxies and header profiles come from a JSON file (REQUEST_PROFILES_FILE, default
+// ./request-profiles.json); PROXY_LIST overrides the file's proxy list
+function loadRequestProfileConfig(env = process.env) {
+    const file = env.REQUEST_PROFILES_FILE || path.join(__dirname, 'request-profiles.json');
+    let config = {};
+
+    try {
+        config = JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+        // The default file is optional; a configured one must load
+        if (env.REQUEST_PROFILES_FILE || error.code !== 'ENOENT') {
+            throw new Error(`Could not load request profiles from ${file}: ${error.message}`);
+        }
+    }
+
+    if (env.PROXY_LIST) {
+        config.proxies = env.PROXY_LIST.split(/[\s,]+/).filter(Boolean);
+    }
+    if (env.PROXY_BAD_SCORE) config.badScore = parseFloat(env.PROXY_BAD_SCORE);
+    if (env.PROXY_COOLDOWN_MS) config.cooldownMs = parseInt(env.PROXY_COOLDOWN_MS, 10);
+
+    return config;
+}
+
+// ===== OUTBOUND HTTP =====
+// Network errors worth another attempt: dropped connections and timeouts
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ERR_SOCKET_CONNECTION_TIMEOUT'];
+
+// Addresses requests to user-supplied URLs must never reach: unspecified, loopback,
+// private, carrier-grade NAT, link-local, benchmarking, multicast and reserved ranges,
+// and NAT64. IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked against the
+// IPv4 ranges by BlockList itself.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+    return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup for requests to user-supplied URLs. Checking the resolved address at
+// connect time means a DNS answer that changes after validation can't reach the
+// internal network either.
+function safeLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        if (addresses.some(entry => isPrivateAddress(entry.address))) {
+            return callback(new ScrapeError('INVALID_URL', `${hostname} resolves to a private network address`));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// The same check as safeLookup, for requests that don't resolve the host themselves
+async function assertPublicHost(url) {
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.promises.lookup(hostname, { all: true });
+
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+        throw new ScrapeError('INVALID_URL', `${hostname} resolves to a private network address`);
+    }
+}
+
+// A refused URL or address surfaces wrapped by axios and follow-redirects
+function findUrlError(error) {
+    for (let cause = error; cause; cause = cause.cause) {
+        if (cause instanceof ScrapeError && cause.code === 'INVALID_URL') return cause;
+    }
+    return null;
+}
+
+// Per-host token bucket. Tokens may go negative: each caller reserves one and
+// waits until the bucket would have refilled to cover it.
+class TokenBucket {
+    constructor(ratePerSecond, burst) {
+        this.ratePerSecond = ratePerSecond;
+        this.capacity = burst;
+        this.tokens = burst;
+        this.updatedAt = Date.now();
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) / 1000 * this.ratePerSecond);
+        this.updatedAt = now;
+    }
+
+    async take() {
+        this.refill();
+        this.tokens -= 1;
+
+        if (this.tokens < 0) {
+            await sleep(-this.tokens / this.ratePerSecond * 1000);
+        }
+    }
+
+    // Take a token only if one is available, without waiting
+    tryTake() {
+        this.refill();
+        if (this.tokens < 1) return false;
+        this.tokens -= 1;
+        return true;
+    }
+
+    // Whole seconds until tryTake() can succeed
+    secondsUntilAvailable() {
+        this.refill();
+        return Math.max(0, Math.ceil((1 - this.tokens) / this.ratePerSecond));
+    }
+}
+
+// Shared axios wrapper for every request to Amazon: per-host rate limiting, proxy and
+// header profile selection, plus retries with exponential backoff and jitter for
+// 5xx/429 responses and network errors
+class HttpClient {
+    constructor(options = {}) {
+        this.retries = options.retries ?? envNumber('HTTP_RETRIES', 3);
+        this.retryBaseDelayMs = options.retryBaseDelayMs ?? envNumber('HTTP_RETRY_BASE_MS', 500);
+        this.retryMaxDelayMs = options.retryMaxDelayMs ?? envNumber('HTTP_RETRY_MAX_MS', 30000);
+        // A longer Retry-After than this is not waited out; the error goes back to the caller
+        this.maxRetryAfterMs = options.maxRetryAfterMs ?? envNumber('HTTP_MAX_RETRY_AFTER_MS', 60000);
+        this.timeout = options.timeout ?? envNumber('HTTP_TIMEOUT_MS', 30000);
+        this.ratePerSecond = options.ratePerSecond ?? envNumber('HTTP_RATE_PER_SECOND', 1);
+        this.burst = options.burst ?? envNumber('HTTP_RATE_BURST', 5);
+        this.profiles = options.profiles || new RequestProfiles();
+
+        this.buckets = new Map();
+    }
+
+    get(url, config = {}) {
+        return this.request({ ...config, method: 'get', url });
+    }
+
+    // `allowUrl(url)` restricts the request and every redirect it follows to the URLs
+    // it accepts, and refuses hosts that resolve to private addresses
+    async request({ allowUrl, ...config }) {
+        const host = new URL(config.url).host;
+        if (allowUrl && !allowUrl(config.url)) {
+            throw new ScrapeError('INVALID_URL', `Refusing to fetch ${config.url}`);
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            await this.getBucket(host).take();
+
+            // Each attempt may go out through a different proxy
+            const session = this.profiles.next();
+
+            try {
+                const options = {
+                    timeout: this.timeout,
+                    ...config,
+                    ...this.profiles.getProxyConfig(session),
+                    headers: { ...session.headers, ...config.headers }
+                };
+                const response = allowUrl && session.proxy
+                    ? await this.requestThroughProxy(options, allowUrl)
+                    : await axios.request({ ...options, ...(allowUrl ? this.getUrlGuard(allowUrl) : {}) });
+                this.profiles.report(session, null);
+                return response;
+            } catch (error) {
+                const urlError = findUrlError(error);
+                if (urlError) throw urlError;
+
+                this.profiles.report(session, error);
+                const delay = attempt < this.retries && this.isRetryable(error, session) ? this.getRetryDelay(error, attempt) : null;
+                if (delay === null) throw error;
+
+                // Free the socket held by an unread streamed error body
+                if (error.response && error.response.data && typeof error.response.data.destroy === 'function') {
+                    error.response.data.destroy();
+                }
+                console.warn(`Retrying ${config.url} in ${delay}ms (${error.response ? `HTTP ${error.response.status}` : error.code || error.message})`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    getUrlGuard(allowUrl) {
+        return {
+            beforeRedirect: (options) => {
+                if (!allowUrl(options.href)) {
+                    throw new ScrapeError('INVALID_URL', `Refusing to follow a redirect to ${options.href}`);
+                }
+            },
+            lookup: safeLookup
+        };
+    }
+
+    // A proxy resolves the target host itself, so each hop's host is resolved and
+    // checked here before the proxy is asked for it, and redirects are followed one
+    // at a time to check them too
+    async requestThroughProxy(options, allowUrl) {
+        const { maxRedirects = 5, validateStatus = status => status >= 200 && status < 300 } = options;
+        let url = options.url;
+
+        for (let hop = 0; ; hop++) {
+            await assertPublicHost(url);
+            const canFollow = hop < maxRedirects;
+            const response = await axios.request({
+                ...options,
+                url,
+                maxRedirects: 0,
+                validateStatus: status => validateStatus(status) || (canFollow && status >= 300 && status < 400)
             });
 
-            const $ = cheerio.load(response.data);
-            const productData = {};
+            const location = response.headers.location;
+            if (!canFollow || response.status < 300 || response.status >= 400 || !location) {
+                return response;
+            }
 
-            // Extract basic product information
-            productData.title = this.extractTitle($);
-            productData.brand = this.extractBrand($);
-            productData.model = this.extractModel($);
-            productData.asin = this.extractASIN($, url);
-            
-            // Extract pricing information
-            const pricing = this.extractPricing($);
-            Object.assign(productData, pricing);
-            
-            // Extract rating information
-            const rating = this.extractRating($);
-            Object.assign(productData, rating);
-            
-            // Extract additional information
-            productData.colors = this.extractColors($);
-            productData.aboutItem = this.extractAboutItem($);
-            productData.technicalData = this.extractTechnicalData($);
-            productData.images = this.extractImages($);
+            if (response.data && typeof response.data.destroy === 'function') response.data.destroy();
+            url = new URL(location, url).href;
+            if (!allowUrl(url)) {
+                throw new ScrapeError('INVALID_URL', `Refusing to follow a redirect to ${url}`);
+            }
+        }
+    }
+
+    getBucket(host) {
+        if (!this.buckets.has(host)) {
+            this.buckets.set(host, new TokenBucket(this.ratePerSecond, this.burst));
+        }
+        return this.buckets.get(host);
+    }
+
+    // Any network error through a proxy is worth a retry, since the next attempt rotates to another proxy
+    isRetryable(error, session) {
+        if (error.response) {
+            return error.response.status >= 500 || error.response.status === 429;
+        }
+        return Boolean(session && session.proxy) || RETRYABLE_ERROR_CODES.includes(error.code);
+    }
+
+    // Retry-After wins when present; otherwise exponential backoff with equal jitter.
+    // Returns null when the server asks for a longer wait than we are willing to hold a request.
+    getRetryDelay(error, attempt) {
+        const retryAfterMs = parseRetryAfter(error.response && error.response.headers['retry-after']);
+        if (retryAfterMs !== null) {
+            return retryAfterMs <= this.maxRetryAfterMs ? retryAfterMs : null;
+        }
+
+        const backoff = Math.min(this.retryMaxDelayMs, this.retryBaseDelayMs * 2 ** attempt);
+        return Math.round(backoff / 2 + Math.random() * backoff / 2);
+    }
+}
 
-            // Add default categories and tags
-            productData.categories = this.extractCategories($);
-            productData.tags = this.generateTags(productData);
+// ===== SCRAPING SERVICE =====
+// ASIN path segment of a product URL (variant links end in /dp/<ASIN>?th=1)
+const ASIN_IN_URL_PATTERN = /\/([A-Z0-9]{10})(?:[/?#]|$)/;
+
+class AmazonScraper {
+    constructor(options = {}) {
+        // Optional async (url) => html override, used to run the scraper against saved pages
+        this.fetcher = options.fetcher || null;
+        this.httpClient = options.httpClient || httpClient;
+        // Pages and redirects the scraper may fetch
+        this.allowUrl = options.allowUrl || urlRules.isAllowedAmazonUrl;
+    }
+
+    async scrapeProduct(url) {
+        try {
+            console.log(`Scraping product: ${url}`);
+
+            const html = await this.fetchHtml(url);
+            const productData = this.scrapeHtml(html, url);
 
             console.log('Successfully scraped product:', productData.title);
             return productData;
 
         } catch (error) {
             console.error('Scraping error:', error.message);
+            if (error instanceof ScrapeError) throw error;
             throw new Error(`Failed to scrape product: ${error.message}`);
         }
     }
 
+    async fetchHtml(url) {
+        if (this.fetcher) {
+            return this.fetcher(url);
+        }
+
+        try {
+            return await this.requestPage(url);
+        } catch (error) {
+            if (!error.response) throw error;
+
+            // Error pages are still worth classifying: robot checks come back as 503s
+            const { status, headers, data } = error.response;
+            const blocked = this.detectBlockedPage(cheerio.load(typeof data === 'string' ? data : ''));
+            if (blocked) {
+                blocked.retryAfter = headers['retry-after'] || blocked.retryAfter;
+                throw blocked;
+            }
+            if (status === 404) {
+                throw new ScrapeError('PRODUCT_NOT_FOUND', 'Amazon could not find this product');
+            }
+            if (status === 429 || status === 503) {
+                throw new ScrapeError('RATE_LIMITED', 'Amazon is throttling requests', { retryAfter: headers['retry-after'] });
+            }
+            throw error;
+        }
+    }
+
+    async requestPage(url) {
+        const response = await this.httpClient.get(url, {
+            // User-Agent, Accept-Language and client hints come from the request profile
+            headers: {
+                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+                'Accept-Encoding': 'gzip, deflate, br',
+                'DNT': '1',
+                'Connection': 'keep-alive',
+                'Upgrade-Insecure-Requests': '1',
+                'Sec-Fetch-Dest': 'document',
+                'Sec-Fetch-Mode': 'navigate',
+                'Sec-Fetch-Site': 'none',
+                'Cache-Control': 'max-age=0'
+            },
+            maxRedirects: 5,
+            allowUrl: this.allowUrl
+        });
+
+        return response.data;
+    }
+
+    // Parse an already-fetched product page (also used by the offline fixture tests)
+    scrapeHtml(html, url) {
+        const $ = cheerio.load(html);
+        const blocked = this.detectBlockedPage($);
+        if (blocked) throw blocked;
+
+        const marketplace = this.detectMarketplace(url);
+        const productData = {};
+
+        productData.marketplace = marketplace.host;
+        productData.currency = marketplace.currency;
+
+        // Extract basic product information
+        productData.title = this.extractTitle($);
+        productData.brand = this.extractBrand($);
+        productData.model = this.extractModel($);
+        productData.asin = this.extractASIN($, url);
+        
+        // Extract pricing information
+        const pricing = this.extractPricing($, marketplace);
+        Object.assign(productData, pricing);
+        
+        // Extract stock, seller and delivery information from the buybox
+        productData.availability = this.extractAvailability($);
+        productData.seller = this.extractSeller($);
+        productData.prime = this.extractPrime($);
+        productData.delivery = this.extractDelivery($);
+
+        // Extract rating information
+        const rating = this.extractRating($);
+        Object.assign(productData, rating);
+        productData.ratingHistogram = this.extractRatingHistogram($);
+        productData.topReviews = this.extractTopReviews($);
+        
+        // Extract additional information
+        productData.variations = this.extractVariations($, productData.asin, marketplace);
+        productData.colors = this.extractColors($, productData.variations);
+        productData.aboutItem = this.extractAboutItem($);
+        productData.specs = this.extractTechnicalSpecs($);
+        productData.technicalData = this.formatTechnicalData(productData.specs);
+        productData.images = this.extractImages($);
+
+        // Add default categories and tags
+        productData.categories = this.extractCategories($);
+        productData.tags = this.generateTags(productData);
+
+        // A page without a title or price is not a product page, whatever it is
+        if (!productData.title && !productData.offerPrice) {
+            throw new ScrapeError('PRODUCT_NOT_FOUND', 'The page does not contain any product details');
+        }
+
+        return productData;
+    }
+
+    // Robot checks, the 503 "dogs" page, 404 pages and sign-in walls. Returns a ScrapeError or null.
+    detectBlockedPage($) {
+        const title = $('title').first().text().trim();
+        const text = $('body').text().replace(/\s+/g, ' ');
+
+        if ($('form[action*="validateCaptcha"], #captchacharacters').length ||
+            /enter the characters you see below|type the characters you see in this image/i.test(text)) {
+            return new ScrapeError('CAPTCHA_REQUIRED', 'Amazon is showing a robot check (CAPTCHA)');
+        }
+        // Both the 404 and 503 pages show the "Dogs of Amazon", so tell them apart by their links
+        if ($('a[href*="cs_503_link"]').length ||
+            /sorry! something went wrong/i.test(title + ' ' + text)) {
+            return new ScrapeError('RATE_LIMITED', 'Amazon is throttling requests');
+        }
+        if ($('a[href*="cs_404_link"]').length ||
+            /page not found/i.test(title) ||
+            /the web address you entered is not a functioning page/i.test(text)) {
+            return new ScrapeError('PRODUCT_NOT_FOUND', 'Amazon could not find this product');
+        }
+        if ($('form[name="signIn"], #ap_email').length || /^amazon sign[- ]in$/i.test(title)) {
+            return new ScrapeError('SIGN_IN_REQUIRED', 'Amazon is asking to sign in before showing this page');
+        }
+
+        return null;
+    }
+
+    detectMarketplace(url) {
+        let host = DEFAULT_MARKETPLACE;
+        try {
+            const hostname = new URL(url).hostname.toLowerCase().replace(/^(www|smile)\./, '');
+            if (MARKETPLACES[hostname]) host = hostname;
+        } catch {
+            // Fall back to amazon.com for unparseable URLs
+        }
+
+        return { host, ...MARKETPLACES[host] };
+    }
+
+    isPriceText(text) {
+        return PRICE_TEXT_PATTERN.test(text);
+    }
+
+    // Parse a displayed price such as "$1,299.99", "1.299,99 €", "₹1,23,456" or "￥12,800"
+    // into { amount, currency, display }. Returns null when no amount can be read.
+    parsePrice(text, marketplace) {
+        if (text === undefined || text === null) return null;
+
+        const display = String(text).replace(/\s+/g, ' ').trim();
+        const numberMatch = display.match(/\d[\d.,'\s\u00a0\u202f]*/);
+        if (!numberMatch) return null;
+
+        // Grouping separators vary by locale, so treat the last "." or "," as the
+        // decimal point only when one or two digits follow it
+        const digits = numberMatch[0].replace(/[\s\u00a0\u202f']/g, '').replace(/[.,]$/, '');
+        const decimalMatch = digits.match(/^(.*)[.,](\d{1,2})$/);
+        const normalized = decimalMatch
+            ? `${decimalMatch[1].replace(/[.,]/g, '')}.${decimalMatch[2]}`
+            : digits.replace(/[.,]/g, '');
+
+        const amount = parseFloat(normalized);
+        if (isNaN(amount)) return null;
+
+        return {
+            amount,
+            currency: this.detectCurrency(display, marketplace),
+            display
+        };
+    }
+
+    detectCurrency(text, marketplace) {
+        const code = CURRENCY_CODES.find(currency => new RegExp(`\\b${currency}\\b`).test(text));
+        if (code) return code;
+
+        const match = CURRENCY_SYMBOLS.find(({ symbol }) => text.includes(symbol));
+        if (!match) return marketplace.currency;
+
+        if (match.currency === 'USD' && DOLLAR_CURRENCIES.includes(marketplace.currency)) {
+            return marketplace.currency;
+        }
+        return match.currency;
+    }
+
+    formatPrice(amount, currency, marketplace) {
+        try {
+            return new Intl.NumberFormat(marketplace.locale, { style: 'currency', currency }).format(amount);
+        } catch {
+            return `${amount} ${currency}`;
+        }
+    }
+
+    getCurrencyFractionDigits(currency) {
+        try {
+            return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+        } catch {
+            return 2;
+        }
+    }
+
     extractTitle($) {
         const selectors = [
             '#productTitle',
@@ -184,7 +943,7 @@ class AmazonScraper {
 
     extractASIN($, url) {
         // Try to get ASIN from URL first
-        const asinMatch = url.match(/\/([A-Z0-9]{10})\//);
+        const asinMatch = url.match(ASIN_IN_URL_PATTERN);
         if (asinMatch) return asinMatch[1];
 
         // Try to find ASIN in page data
@@ -202,7 +961,76 @@ class AmazonScraper {
         return '';
     }
 
-    extractPricing($) {
+    // { status: in_stock | low_stock | out_of_stock | preorder | unknown, text, quantity }
+    extractAvailability($) {
+        const text = this.cleanSpecText(
+            $('#availability').first().text() ||
+            $('#outOfStock').first().text() ||
+            $('#availabilityInsideBuyBox_feature_div').first().text()
+        );
+
+        if (!text) {
+            return { status: 'unknown', text: '', quantity: null };
+        }
+
+        for (const { status, pattern } of AVAILABILITY_PATTERNS) {
+            const match = text.match(pattern);
+            if (match) {
+                const quantity = match.slice(1).find(Boolean);
+                return { status, text, quantity: quantity ? parseInt(quantity, 10) : null };
+            }
+        }
+
+        return { status: 'unknown', text, quantity: null };
+    }
+
+    // { soldBy, shipsFrom } from the tabular buybox, or the older "#merchant-info" sentence
+    extractSeller($) {
+        const tabular = (name) => this.cleanSpecText(
+            $(`#tabular-buybox .tabular-buybox-text[tabular-attribute-name="${name}"]`).first().text()
+        );
+
+        let soldBy = tabular('Sold by') || this.cleanSpecText($('#sellerProfileTriggerId').first().text());
+        let shipsFrom = tabular('Ships from');
+
+        const merchantInfo = this.cleanSpecText($('#merchant-info').first().text());
+        if (merchantInfo) {
+            // "Ships from and sold by Amazon.com." / "Sold by Anker Direct and Fulfilled by Amazon."
+            const both = merchantInfo.match(/ships from and sold by\s+(.+?)\.?$/i);
+            const sold = merchantInfo.match(/sold by\s+(.+?)(?:\s+and\s+|\.?$)/i);
+            const ships = merchantInfo.match(/(?:ships from|fulfilled by)\s+(.+?)(?:\s+and\s+|\.?$)/i);
+
+            soldBy = soldBy || (both ? both[1] : sold ? sold[1] : '');
+            shipsFrom = shipsFrom || (both ? both[1] : ships ? ships[1] : '');
+        }
+
+        return { soldBy, shipsFrom };
+    }
+
+    extractPrime($) {
+        return $([
+            '#prime-badge',
+            '#primeBadge',
+            '#buybox .a-icon-prime',
+            '#desktop_buybox .a-icon-prime',
+            '#deliveryBlockMessage .a-icon-prime',
+            '#priceBadging_feature_div .a-icon-prime'
+        ].join(', ')).length > 0;
+    }
+
+    // Primary delivery message, e.g. "FREE delivery Tuesday, March 12"
+    extractDelivery($) {
+        const $message = $([
+            '#mir-layout-DELIVERY_BLOCK-slot-PRIMARY_DELIVERY_MESSAGE_LARGE',
+            '#deliveryBlockMessage [data-csa-c-delivery-time]',
+            '#ddmDeliveryMessage',
+            '#deliveryMessageMirId'
+        ].join(', ')).first();
+
+        return this.cleanSpecText($message.text()).replace(/\s*Details$/i, '').replace(/\.$/, '');
+    }
+
+    extractPricing($, marketplace = this.detectMarketplace()) {
         const pricing = {};
 
         // Try multiple approaches for price extraction
@@ -241,7 +1069,7 @@ class AmazonScraper {
         for (const selector of priceSelectors.current) {
             const price = $(selector).first().text().trim();
             console.log(`Trying current price selector "${selector}":`, price);
-            if (price && price.match(/\$[\d,]+\.?\d*/)) {
+            if (price && this.isPriceText(price)) {
                 currentPrice = price;
                 console.log('Found current price:', currentPrice);
                 break;
@@ -253,7 +1081,7 @@ class AmazonScraper {
         for (const selector of priceSelectors.original) {
             const price = $(selector).first().text().trim();
             console.log(`Trying original price selector "${selector}":`, price);
-            if (price && price.match(/\$[\d,]+\.?\d*/) && price !== currentPrice) {
+            if (price && this.isPriceText(price) && price !== currentPrice) {
                 originalPrice = price;
                 console.log('Found original price:', originalPrice);
                 break;
@@ -264,12 +1092,12 @@ class AmazonScraper {
         if (!currentPrice) {
             const spans = $('span').filter((i, el) => {
                 const text = $(el).text().trim();
-                return text.match(/^\$[\d,]+\.?\d*$/) && text.length < 15;
+                return text.length < 15 && PRICE_ONLY_PATTERN.test(text) && this.isPriceText(text);
             });
             
             spans.each((i, el) => {
                 const price = $(el).text().trim();
-                if (!currentPrice && price.match(/\$[\d,]+\.?\d*/)) {
+                if (!currentPrice) {
                     currentPrice = price;
                     console.log('Found price from span:', currentPrice);
                     return false;
@@ -292,33 +1120,39 @@ class AmazonScraper {
         for (const selector of priceSelectors.discount) {
             const discount = $(selector).first().text().trim();
             console.log(`Trying discount selector "${selector}":`, discount);
-            if (discount && discount.match(/\d+%/)) {
+            if (discount && discount.match(/\d+\s?%/)) {
                 pricing.offerPercentage = discount;
                 console.log('Found discount:', discount);
                 break;
             }
         }
 
+        // Structured prices in the marketplace's currency
+        const offer = this.parsePrice(pricing.offerPrice, marketplace);
+        const list = this.parsePrice(pricing.originalPrice, marketplace);
+
         // Calculate savings if we have both prices
-        if (pricing.originalPrice && pricing.offerPrice && pricing.originalPrice !== pricing.offerPrice) {
-            try {
-                const originalNum = parseFloat(pricing.originalPrice.replace(/[^0-9.]/g, ''));
-                const offerNum = parseFloat(pricing.offerPrice.replace(/[^0-9.]/g, ''));
-                
-                if (originalNum > offerNum) {
-                    const saved = originalNum - offerNum;
-                    pricing.amountSaved = `${saved.toFixed(2)}`;
-                    
-                    // Calculate percentage if not found
-                    if (!pricing.offerPercentage) {
-                        const percentage = Math.round((saved / originalNum) * 100);
-                        pricing.offerPercentage = `${percentage}% off`;
-                    }
-                    
-                    console.log('Calculated savings:', pricing.amountSaved);
+        if (offer && list && pricing.originalPrice !== pricing.offerPrice && list.currency === offer.currency) {
+            if (list.amount > offer.amount) {
+                const digits = this.getCurrencyFractionDigits(offer.currency);
+                const saved = parseFloat((list.amount - offer.amount).toFixed(digits));
+                pricing.amountSaved = `${saved.toFixed(digits)}`;
+
+                // Calculate percentage if not found
+                if (!pricing.offerPercentage) {
+                    const percentage = Math.round((saved / list.amount) * 100);
+                    pricing.offerPercentage = `${percentage}% off`;
                 }
-            } catch (error) {
-                console.warn('Error calculating savings:', error);
+
+                pricing.priceDetails = {
+                    savings: {
+                        amount: saved,
+                        currency: offer.currency,
+                        display: this.formatPrice(saved, offer.currency, marketplace)
+                    }
+                };
+
+                console.log('Calculated savings:', pricing.amountSaved);
             }
         }
 
@@ -331,6 +1165,14 @@ class AmazonScraper {
                     if (data.offers && data.offers.price) {
                         pricing.offerPrice = `${data.offers.price}`;
                         console.log('Found price in JSON-LD:', pricing.offerPrice);
+
+                        const amount = parseFloat(data.offers.price);
+                        if (!isNaN(amount)) {
+                            const currency = data.offers.priceCurrency || marketplace.currency;
+                            pricing.priceDetails = {
+                                offer: { amount, currency, display: this.formatPrice(amount, currency, marketplace) }
+                            };
+                        }
                     }
                 } catch (e) {
                     // Ignore JSON parsing errors
@@ -338,6 +1180,14 @@ class AmazonScraper {
             });
         }
 
+        if (offer || list) {
+            pricing.priceDetails = {
+                ...(offer && { offer }),
+                ...(list && { list }),
+                ...pricing.priceDetails
+            };
+        }
+
         console.log('Final pricing data:', pricing);
         return pricing;
     }
@@ -382,28 +1232,170 @@ class AmazonScraper {
         return rating;
     }
 
-    extractColors($) {
-        const colors = [];
-        
-        const colorSelectors = [
-            '#variation_color_name li',
-            '.a-button-thumbnail img',
-            '[data-cy="color-name"]',
-            '#color_name_list li',
-            '.swatches li'
-        ];
+    // Percentage of ratings per star level, e.g. { 5: 72, 4: 15, 3: 6, 2: 2, 1: 5 }
+    extractRatingHistogram($) {
+        const histogram = {};
 
-        colorSelectors.forEach(selector => {
-            $(selector).each((i, el) => {
-                const $el = $(el);
-                let colorName = '';
-                
+        // Older pages use table rows ("5 star | meter | 72%"), newer ones list items
+        // with an aria-label like "72 percent of reviews have 5 stars"
+        $('#histogramTable tr, #histogramTable li, .a-histogram-row').each((i, row) => {
+            const $row = $(row);
+            const text = `${$row.find('[aria-label]').first().attr('aria-label') || ''} ${$row.text()}`.replace(/\s+/g, ' ');
+            const starsMatch = text.match(/([1-5])\s*star/i);
+            const percentMatch = text.match(/(\d{1,3})\s*(?:%|percent)/i);
+
+            if (starsMatch && percentMatch && !(starsMatch[1] in histogram)) {
+                histogram[starsMatch[1]] = parseInt(percentMatch[1], 10);
+            }
+        });
+
+        return histogram;
+    }
+
+    extractTopReviews($) {
+        const reviews = [];
+
+        $('[data-hook="review"]').each((i, el) => {
+            const $review = $(el);
+            const $title = $review.find('[data-hook="review-title"]').first();
+            // Titles on newer pages also contain the star icon text
+            const title = ($title.find('span').not('.a-icon-alt').last().text() || $title.text()).trim();
+            const starsText = $review.find('[data-hook="review-star-rating"], [data-hook="cmps-review-star-rating"]').first().text();
+            const starsMatch = starsText.match(/(\d+(?:[.,]\d)?)\s*out\s*of\s*5/i);
+            const dateText = $review.find('[data-hook="review-date"]').first().text().trim();
+            const body = $review.find('[data-hook="review-body"]').first().text()
+                .replace(/\s+/g, ' ')
+                .trim()
+                .replace(/\s*Read more$/i, '');
+
+            if (!title && !body) return;
+
+            reviews.push({
+                title,
+                body,
+                stars: starsMatch ? parseFloat(starsMatch[1].replace(',', '.')) : null,
+                author: $review.find('.a-profile-name').first().text().trim(),
+                // "Reviewed in the United States on March 3, 2024"
+                date: dateText.replace(/^.*\son\s/i, ''),
+                verified: $review.find('[data-hook="avp-badge"]').length > 0 || /verified purchase/i.test($review.text())
+            });
+        });
+
+        return reviews.slice(0, 5); // Top reviews shown on the product page
+    }
+
+    // Twister variations as { dimensions: ['Color', 'Size'], items: [{ asin, values, available, price, selected }] }.
+    // The child ASIN matrix comes from the page's twister script data; availability and
+    // price come from the swatches and dropdowns, which only cover the current selection.
+    extractVariations($, asin, marketplace = this.detectMarketplace()) {
+        const scripts = $('script').map((i, el) => $(el).html()).get().join('\n');
+        const parseScriptJson = (key, pattern) => {
+            const match = scripts.match(new RegExp(`"${key}"\\s*:\\s*(${pattern})`));
+            try {
+                return match ? JSON.parse(match[1]) : null;
+            } catch {
+                return null;
+            }
+        };
+
+        const matrix = parseScriptJson('dimensionValuesDisplayData', '\\{[^{}]*\\}');
+        const displayNames = parseScriptJson('dimensionsDisplay', '\\[[^\\]]*\\]');
+
+        // Swatch lists and dropdowns, one per dimension
+        const options = [];
+        const domDimensions = [];
+        $('[id^="variation_"]').each((i, container) => {
+            const $container = $(container);
+            const key = $container.attr('id').replace(/^variation_/, '');
+            const label = this.cleanSpecText($container.find('.a-form-label').first().text()).replace(/\s*:$/, '') ||
+                this.normalizeSpecKey(key.replace(/_name$/, '').replace(/_/g, ' '));
+            domDimensions.push(label);
+
+            $container.find('li, select option').each((j, el) => {
+                const $el = $(el);
+                const value = $el.attr('value') || '';
+                const dpUrl = $el.attr('data-dp-url') || '';
+                const optionAsin = $el.attr('data-defaultasin') || $el.attr('data-asin') ||
+                    (value.match(/,([A-Z0-9]{10})$/) || dpUrl.match(/\/dp\/([A-Z0-9]{10})/) || [])[1] || '';
+                const name = this.cleanSpecText(
+                    $el.find('img').attr('alt') ||
+                    ($el.attr('title') || '').replace(/^Click to select\s*/i, '') ||
+                    $el.attr('data-a-html-content') ||
+                    $el.find('.twisterTextDiv, .a-size-base').first().text() ||
+                    $el.text()
+                );
+                if (!name || value === '-1' || /^select$/i.test(name)) return;
+
+                const price = this.parsePrice($el.find('.twisterSwatchPrice, .a-color-price').first().text(), marketplace);
+                options.push({
+                    dimension: label,
+                    name,
+                    asin: optionAsin,
+                    available: !/unavailable/i.test($el.attr('class') || ''),
+                    price: price ? price.display : '',
+                    selected: /swatchSelect|a-button-selected/.test($el.attr('class') || '') || $el.is('[selected]')
+                });
+            });
+        });
+
+        const dimensions = Array.isArray(displayNames) && displayNames.length ? displayNames : domDimensions;
+        let items;
+
+        if (matrix && Object.keys(matrix).length) {
+            items = Object.entries(matrix).map(([childAsin, values]) => {
+                const option = options.find(o => o.asin === childAsin);
+                return {
+                    asin: childAsin,
+                    values: Object.fromEntries(dimensions.map((dimension, i) => [dimension, (values || [])[i] || ''])),
+                    available: option ? option.available : true,
+                    price: option ? option.price : ''
+                };
+            });
+        } else {
+            items = options.map(option => ({
+                asin: option.asin,
+                values: { [option.dimension]: option.name },
+                available: option.available,
+                price: option.price,
+                selected: option.selected
+            }));
+        }
+
+        items.forEach((item) => {
+            item.selected = Boolean(asin && item.asin === asin) || Boolean(item.selected);
+        });
+
+        return { dimensions: items.length ? dimensions : [], items };
+    }
+
+    extractColors($, variations = { dimensions: [], items: [] }) {
+        // Prefer the color dimension of the twister data
+        const colorDimension = variations.dimensions.find(dimension => /colou?r|farbe|couleur|colore|色/i.test(dimension));
+        if (colorDimension) {
+            return [...new Set(variations.items.map(item => item.values[colorDimension]).filter(Boolean))];
+        }
+
+        const colors = [];
+        
+        const colorSelectors = [
+            '#variation_color_name li',
+            '[data-cy="color-name"]',
+            '#color_name_list li',
+            '.swatches li'
+        ];
+
+        colorSelectors.forEach(selector => {
+            $(selector).each((i, el) => {
+                const $el = $(el);
+                let colorName = '';
+                
                 // Try different ways to get color name
                 colorName = $el.attr('title') || 
                            $el.attr('alt') || 
                            $el.text().trim() ||
                            $el.find('img').attr('alt') ||
                            $el.find('img').attr('title');
+                colorName = colorName && colorName.replace(/^Click to select\s*/i, '');
                 
                 if (colorName && !colors.includes(colorName) && colorName.length > 1) {
                     colors.push(colorName);
@@ -442,32 +1434,53 @@ class AmazonScraper {
         return aboutText ? `• ${aboutText}` : '';
     }
 
-    extractTechnicalData($) {
-        const techData = [];
+    // Key/value specs merged from every spec table; the first value seen for a key wins
+    extractTechnicalSpecs($) {
+        const specs = {};
 
-        // Technical details selectors
-        const techSelectors = [
-            '#tech tbody tr',
-            '#productDetails_detailBullets_sections1 tbody tr',
-            '#productDetails_techSpec_section_1 tbody tr',
-            '.a-keyvalue tbody tr'
-        ];
+        const addSpec = (label, value) => {
+            const key = this.normalizeSpecKey(label);
+            const cleanValue = this.cleanSpecText(value);
+
+            if (!key || !cleanValue || cleanValue === 'N/A' || cleanValue === '-') return;
+            if (SPEC_IGNORED_KEYS.includes(key) || key in specs) return;
+            specs[key] = cleanValue;
+        };
 
-        techSelectors.forEach(selector => {
+        SPEC_SELECTORS.forEach(selector => {
             $(selector).each((i, row) => {
                 const $row = $(row);
-                const label = $row.find('td:first-child, th:first-child').text().trim();
-                const value = $row.find('td:last-child, td:nth-child(2)').text().trim();
-                
-                if (label && value && value !== 'N/A' && value !== '-' && value !== '‎') {
-                    techData.push(`${label}: ${value}`);
-                }
+                addSpec(
+                    $row.find('td:first-child, th:first-child').first().text(),
+                    $row.find('td:last-child, td:nth-child(2)').first().text()
+                );
             });
-            
-            if (techData.length > 0) return false; // Stop after finding data
         });
 
-        return techData.join('\n');
+        // Detail bullets: <span class="a-text-bold">Label : </span><span>Value</span>
+        $('#detailBullets_feature_div li').each((i, item) => {
+            const $label = $(item).find('.a-text-bold').first();
+            addSpec($label.text(), $label.nextAll('span').first().text());
+        });
+
+        return specs;
+    }
+
+    cleanSpecText(text) {
+        return (text || '').replace(SPEC_INVISIBLE_CHARS, '').replace(/\s+/g, ' ').trim();
+    }
+
+    normalizeSpecKey(label) {
+        const key = this.cleanSpecText(label).replace(/\s*:$/, '').trim();
+        if (!key) return '';
+
+        return SPEC_KEY_ALIASES[key.toLowerCase()] ||
+            key.split(' ').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+    }
+
+    // Plain-text "Label: Value" lines, kept for exports and older clients
+    formatTechnicalData(specs) {
+        return Object.entries(specs).map(([key, value]) => `${key}: ${value}`).join('\n');
     }
 
     extractImages($) {
@@ -584,37 +1597,44 @@ class AmazonScraper {
 
 // ===== IMAGE DOWNLOAD SERVICE =====
 class ImageDownloader {
-    constructor() {
+    constructor(options = {}) {
+        this.httpClient = options.httpClient || httpClient;
+        this.allowUrl = options.allowUrl || urlRules.isAllowedImageUrl;
         this.downloadQueue = new Map();
     }
 
-    async downloadImage(imageUrl, productId, imageIndex, productTitle = '') {
+    // Images land in downloads/<owner id>/<product title>/, one folder per user.
+    // `maxBytes` (the owner's remaining quota) aborts a larger download.
+    async downloadImage(imageUrl, productId, imageIndex, productTitle = '', owner = null, { maxBytes = null } = {}) {
+        let filepath = null;
         try {
             // Create product-specific folder
-            const sanitizedTitle = this.sanitizeFileName(productTitle || `product-${productId}`);
-            const productFolder = path.join(DOWNLOADS_DIR, sanitizedTitle);
+            const sanitizedTitle = this.sanitizeFileName(productTitle) || this.sanitizeFileName(`product-${productId}`) || 'product';
+            const ownerFolder = owner ? getUserDownloadsFolder(DOWNLOADS_DIR, owner.id) : path.resolve(DOWNLOADS_DIR);
+            const productFolder = path.join(ownerFolder, sanitizedTitle);
+            if (path.dirname(productFolder) !== ownerFolder) {
+                throw new Error('Invalid product folder name');
+            }
             
             // Ensure product folder exists
             await fs.mkdir(productFolder, { recursive: true });
 
-            const response = await axios({
-                method: 'get',
-                url: imageUrl,
+            const response = await this.httpClient.get(imageUrl, {
+                allowUrl: this.allowUrl,
                 responseType: 'stream',
                 headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-                },
-                timeout: 30000
+                    'Accept': 'image/avif,image/webp,image/apng,image/*,*/*;q=0.8'
+                }
             });
 
             // Generate filename
             const extension = this.getImageExtension(imageUrl, response.headers['content-type']);
-            const filename = `image-${imageIndex + 1}.${extension}`;
-            const filepath = path.join(productFolder, filename);
+            const filename = `image-${Number(imageIndex) + 1}.${extension}`;
+            filepath = path.join(productFolder, filename);
 
             // Download and save the image
             const writer = createWriteStream(filepath);
-            await pipelineAsync(response.data, writer);
+            await pipelineAsync(response.data, this.limitSize(maxBytes), writer);
 
             // Also save product info as JSON in the same folder
             const productInfoPath = path.join(productFolder, 'product-info.json');
@@ -623,7 +1643,8 @@ class ImageDownloader {
                 title: productTitle,
                 downloadedAt: new Date().toISOString(),
                 imageUrl: imageUrl,
-                filename: filename
+                filename: filename,
+                downloadedBy: owner ? owner.username : undefined
             };
             
             try {
@@ -642,18 +1663,39 @@ class ImageDownloader {
 
         } catch (error) {
             console.error('Image download error:', error.message);
+            if (filepath) {
+                await fs.unlink(filepath).catch(() => {});
+            }
             return {
                 success: false,
-                error: error.message
+                error: error.message,
+                code: error.code
             };
         }
     }
 
+    // Passes the stream through, failing it once more than maxBytes have arrived
+    limitSize(maxBytes) {
+        let received = 0;
+        return new Transform({
+            transform(chunk, encoding, callback) {
+                received += chunk.length;
+                if (maxBytes !== null && received > maxBytes) {
+                    const error = new Error('The image is larger than your remaining download quota');
+                    error.code = 'QUOTA_EXCEEDED';
+                    return callback(error);
+                }
+                callback(null, chunk);
+            }
+        });
+    }
+
     sanitizeFileName(fileName) {
         // Remove or replace invalid characters for folder names
-        return fileName
+        return String(fileName || '')
             .replace(/[<>:"/\\|?*]/g, '_') // Replace invalid chars with underscore
             .replace(/\s+/g, '_') // Replace spaces with underscore
+            .replace(/^[._]+/, '') // No leading dots, so never "." or ".."
             .replace(/_+/g, '_') // Replace multiple underscores with single
             .replace(/^_|_$/g, '') // Remove leading/trailing underscores
             .substring(0, 100); // Limit length to 100 characters
@@ -678,137 +1720,2079 @@ class ImageDownloader {
     }
 }
 
-// ===== INITIALIZE SERVICES =====
-const scraper = new AmazonScraper();
-const imageDownloader = new ImageDownloader();
+// ===== WATCH SCHEDULER =====
+// Polls watched products on the server so price checks don't depend on an open browser
+class WatchScheduler {
+    constructor(options = {}) {
+        this.scraper = options.scraper;
+        this.storePath = options.storePath || path.join(DATA_DIR, 'watches.json');
+        this.defaultIntervalMinutes = options.defaultIntervalMinutes || parseFloat(process.env.WATCH_INTERVAL_MINUTES) || 360;
+        this.minIntervalMinutes = options.minIntervalMinutes || parseFloat(process.env.WATCH_MIN_INTERVAL_MINUTES) || 15;
+        this.jitterPercent = options.jitterPercent ?? (parseFloat(process.env.WATCH_JITTER_PERCENT) || 10);
+        this.historyLimit = options.historyLimit || parseInt(process.env.WATCH_HISTORY_LIMIT, 10) || 100;
+
+        this.watches = new Map();
+        this.timers = new Map();
+        this.running = new Set();
+        this.started = false;
+        this.saving = Promise.resolve();
+    }
 
-// ===== API ROUTES =====
+    async start() {
+        await this.load();
+        this.started = true;
+        this.watches.forEach(watch => this.schedule(watch));
+        console.log(`Watch scheduler started with ${this.watches.size} watches`);
+    }
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-    res.json({ 
-        status: 'OK', 
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime()
-    });
-});
+    stop() {
+        this.started = false;
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
 
-// Scrape product endpoint
-app.post('/api/scrape', async (req, res) => {
-    try {
-        const { url } = req.body;
+    async load() {
+        try {
+            const saved = JSON.parse(await fs.readFile(this.storePath, 'utf8'));
+            this.watches = new Map(saved.map(watch => [watch.id, watch]));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Failed to load watches:', error.message);
+            }
+            this.watches = new Map();
+        }
+    }
 
-        if (!url) {
-            return res.status(400).json({ error: 'URL is required' });
+    // Writes are chained so overlapping checks and requests never share the temp file
+    save() {
+        this.saving = this.saving.catch(() => {}).then(() => this.write());
+        return this.saving;
+    }
+
+    async write() {
+        // Write to a temp file first so a crash never leaves a truncated store
+        await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+        const tempPath = `${this.storePath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify([...this.watches.values()], null, 2));
+        await fs.rename(tempPath, this.storePath);
+    }
+
+    // Watches belong to the user who created them. Without a `user` (the scheduler
+    // itself, tests) every watch is visible.
+    isVisible(watch, user) {
+        return !user || watch.owner === user.id;
+    }
+
+    list(user) {
+        return [...this.watches.values()].filter(watch => this.isVisible(watch, user));
+    }
+
+    get(id, user) {
+        const watch = this.watches.get(id);
+        return watch && this.isVisible(watch, user) ? watch : null;
+    }
+
+    validate(input, existing = {}) {
+        const asin = (input.asin ?? existing.asin ?? '').toString().trim().toUpperCase();
+        const url = (input.url ?? existing.url ?? '').toString().trim();
+
+        if (!url && !/^[A-Z0-9]{10}$/.test(asin)) {
+            throw new Error('A valid ASIN or product URL is required');
         }
 
-        // Validate Amazon URL
-        if (!url.includes('amazon.')) {
-            return res.status(400).json({ error: 'Please provide a valid Amazon product URL' });
+        // A storefront URL decides the marketplace; ASIN-only watches (and short links) name it
+        const marketplace = (url && urlRules.getAmazonMarketplace(url)) || input.marketplace || existing.marketplace || DEFAULT_MARKETPLACE;
+        if (!MARKETPLACES[marketplace]) {
+            throw new Error(`Unknown marketplace: ${marketplace}`);
+        }
+
+        const intervalMinutes = parseFloat(input.intervalMinutes ?? existing.intervalMinutes ?? this.defaultIntervalMinutes);
+        if (isNaN(intervalMinutes) || intervalMinutes < this.minIntervalMinutes) {
+            throw new Error(`intervalMinutes must be at least ${this.minIntervalMinutes}`);
         }
 
-        console.log('Received scrape request for:', url);
+        const toOptionalNumber = (value) => (value === null || value === '' || value === undefined ? null : parseFloat(value));
+        const targetPrice = toOptionalNumber(input.targetPrice !== undefined ? input.targetPrice : existing.targetPrice);
+        const dropPercent = toOptionalNumber(input.dropPercent !== undefined ? input.dropPercent : existing.dropPercent);
 
-        const productData = await scraper.scrapeProduct(url);
-        
-        res.json(productData);
+        if ((targetPrice !== null && !(targetPrice > 0)) || (dropPercent !== null && !(dropPercent > 0 && dropPercent < 100))) {
+            throw new Error('targetPrice must be positive and dropPercent between 0 and 100');
+        }
 
-    } catch (error) {
-        console.error('Scrape API error:', error);
-        res.status(500).json({
-            error: error.message || 'Failed to scrape product'
+        return {
+            asin,
+            marketplace,
+            url: url || `https://www.${marketplace}/dp/${asin}`,
+            label: (input.label ?? existing.label ?? '').toString(),
+            intervalMinutes,
+            targetPrice,
+            dropPercent
+        };
+    }
+
+    async create(input, user) {
+        const now = new Date().toISOString();
+        const watch = {
+            id: crypto.randomUUID(),
+            owner: user ? user.id : null,
+            ...this.validate(input),
+            createdAt: now,
+            updatedAt: now,
+            lastCheckedAt: null,
+            nextCheckAt: null,
+            baselineAmount: null,
+            results: []
+        };
+
+        this.watches.set(watch.id, watch);
+        this.schedule(watch, 0);
+        await this.save();
+        return watch;
+    }
+
+    async update(id, input, user) {
+        const watch = this.get(id, user);
+        if (!watch) return null;
+
+        Object.assign(watch, this.validate(input, watch), { updatedAt: new Date().toISOString() });
+        this.schedule(watch);
+        await this.save();
+        return watch;
+    }
+
+    async remove(id, user) {
+        if (!this.get(id, user)) return false;
+
+        clearTimeout(this.timers.get(id));
+        this.timers.delete(id);
+        this.watches.delete(id);
+        await this.save();
+        return true;
+    }
+
+    // Interval +/- jitterPercent so many watches don't hit Amazon in lockstep
+    getNextDelay(watch) {
+        const base = watch.intervalMinutes * 60 * 1000;
+        const jitter = base * (this.jitterPercent / 100) * (Math.random() * 2 - 1);
+        return Math.max(0, Math.round(base + jitter));
+    }
+
+    schedule(watch, delay) {
+        if (!this.started) return;
+
+        clearTimeout(this.timers.get(watch.id));
+
+        if (delay === undefined) {
+            delay = watch.nextCheckAt
+                ? Math.max(0, new Date(watch.nextCheckAt).getTime() - Date.now())
+                : this.getNextDelay(watch);
+        }
+
+        watch.nextCheckAt = new Date(Date.now() + delay).toISOString();
+        const timer = setTimeout(() => {
+            this.check(watch.id).catch(error => console.error('Watch check failed:', error.message));
+        }, delay);
+        timer.unref();
+        this.timers.set(watch.id, timer);
+    }
+
+    async check(id) {
+        const watch = this.watches.get(id);
+        if (!watch || this.running.has(id)) return null;
+
+        this.running.add(id);
+        const result = { checkedAt: new Date().toISOString() };
+
+        try {
+            const product = await this.scraper.scrapeProduct(watch.url);
+            const offer = product.priceDetails && product.priceDetails.offer;
+
+            Object.assign(result, {
+                title: product.title || '',
+                offerPrice: product.offerPrice || '',
+                originalPrice: product.originalPrice || '',
+                amount: offer ? offer.amount : null,
+                currency: offer ? offer.currency : product.currency || ''
+            });
+
+            if (result.amount !== null && watch.baselineAmount === null) {
+                watch.baselineAmount = result.amount;
+            }
+            result.alert = this.isAlert(watch, result.amount);
+        } catch (error) {
+            result.error = error.message;
+            if (error.code) result.errorCode = error.code;
+        } finally {
+            this.running.delete(id);
+        }
+
+        // The watch may have been deleted while the scrape was in flight
+        if (!this.watches.has(id)) return null;
+
+        watch.results = [...watch.results, result].slice(-this.historyLimit);
+        watch.lastCheckedAt = result.checkedAt;
+        watch.nextCheckAt = null;
+        this.schedule(watch);
+        await this.save();
+        return result;
+    }
+
+    isAlert(watch, amount) {
+        if (amount === null || amount === undefined) return false;
+        if (watch.targetPrice !== null && amount <= watch.targetPrice) return true;
+        if (watch.dropPercent !== null && watch.baselineAmount) {
+            return ((watch.baselineAmount - amount) / watch.baselineAmount) * 100 >= watch.dropPercent;
+        }
+        return false;
+    }
+}
+
+// ===== BATCH SCRAPING =====
+// Scrapes many URLs with a concurrency limit, per-host pacing and retries,
+// reporting progress for each URL through an event callback
+class BatchScraper {
+    constructor(options = {}) {
+        this.scraper = options.scraper;
+        // Optional ScrapeCache; products fetched recently are answered from it
+        this.cache = options.cache || null;
+        this.concurrency = options.concurrency || parseInt(process.env.BATCH_CONCURRENCY, 10) || 3;
+        this.hostDelayMs = options.hostDelayMs ?? (parseInt(process.env.BATCH_HOST_DELAY_MS, 10) || 2000);
+        this.retries = options.retries ?? (parseInt(process.env.BATCH_RETRIES, 10) || 2);
+        this.retryDelayMs = options.retryDelayMs ?? 1000;
+        this.maxUrls = options.maxUrls || parseInt(process.env.BATCH_MAX_URLS, 10) || 200;
+
+        // Earliest time the next request to each host may start
+        this.nextSlotByHost = new Map();
+    }
+
+    // Reserve the next start slot for a host and wait for it
+    async waitForHost(url) {
+        const host = new URL(url).hostname;
+        const now = Date.now();
+        const slot = Math.max(now, this.nextSlotByHost.get(host) || 0);
+
+        this.nextSlotByHost.set(host, slot + this.hostDelayMs);
+        if (slot > now) {
+            await sleep(slot - now);
+        }
+    }
+
+    async scrapeWithRetry(item, emit, isCancelled) {
+        // Cached products need no request, so they don't wait for a host slot
+        const cached = this.cache && this.cache.lookup(item.url);
+        if (cached) {
+            emit('progress', { index: item.index, url: item.url, status: 'done', attempt: 0, product: cached });
+            return 'done';
+        }
+
+        for (let attempt = 1; attempt <= this.retries + 1; attempt++) {
+            if (isCancelled()) return;
+
+            await this.waitForHost(item.url);
+            if (isCancelled()) return;
+
+            emit('progress', { index: item.index, url: item.url, status: attempt === 1 ? 'started' : 'retrying', attempt });
+
+            try {
+                const product = this.cache ? await this.cache.scrape(item.url) : await this.scraper.scrapeProduct(item.url);
+                emit('progress', { index: item.index, url: item.url, status: 'done', attempt, product });
+                return 'done';
+            } catch (error) {
+                if (attempt > this.retries || error.retryable === false) {
+                    emit('progress', { index: item.index, url: item.url, status: 'failed', attempt, error: error.message, code: error.code });
+                    return 'failed';
+                }
+                await sleep(this.retryDelayMs * 2 ** (attempt - 1));
+            }
+        }
+    }
+
+    // Splits a batch into the URLs to scrape and the ones skipped, with the reason
+    plan(urls) {
+        const seen = new Set();
+        const queue = [];
+        const skipped = [];
+
+        urls.forEach((url, index) => {
+            const trimmed = typeof url === 'string' ? url.trim() : '';
+            let reason = '';
+
+            // Short links stay as they are; the scraper follows them
+            const canonical = urlRules.canonicalizeAmazonUrl(trimmed) || trimmed;
+
+            if (!isValidScrapeUrl(trimmed)) reason = 'Not a valid Amazon product URL';
+            else if (seen.has(canonical)) reason = 'Duplicate URL';
+            else if (queue.length >= this.maxUrls) reason = `Batch limit of ${this.maxUrls} URLs reached`;
+
+            if (reason) {
+                skipped.push({ index, url: trimmed, error: reason });
+            } else {
+                seen.add(canonical);
+                queue.push({ index, url: canonical });
+            }
         });
+
+        return { queue, skipped };
     }
-});
 
-// Download image endpoint
-app.post('/api/download-image', async (req, res) => {
-    try {
-        const { url, productId, index, productTitle } = req.body;
+    async run(urls, emit, isCancelled = () => false) {
+        const { queue, skipped } = this.plan(urls);
+        const summary = { total: urls.length, succeeded: 0, failed: 0, skipped: skipped.length };
 
-        if (!url || productId === undefined || index === undefined) {
-            return res.status(400).json({ error: 'Missing required parameters' });
+        skipped.forEach(item => emit('progress', { ...item, status: 'skipped' }));
+        emit('start', { total: urls.length, queued: queue.length, skipped: summary.skipped });
+
+        const worker = async () => {
+            while (queue.length && !isCancelled()) {
+                const outcome = await this.scrapeWithRetry(queue.shift(), emit, isCancelled);
+                if (outcome === 'done') summary.succeeded++;
+                if (outcome === 'failed') summary.failed++;
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, queue.length) }, worker));
+
+        summary.cancelled = isCancelled();
+        emit('summary', summary);
+        return summary;
+    }
+}
+
+// ===== SCRAPE CACHE =====
+// Recent scrape results keyed by marketplace + ASIN, so the same product requested
+// by several people within the TTL is only fetched from Amazon once
+class ScrapeCache {
+    constructor(options = {}) {
+        this.scraper = options.scraper;
+        this.ttlMs = options.ttlMs ?? envNumber('SCRAPE_CACHE_TTL_MINUTES', 60) * 60 * 1000;
+        this.maxEntries = options.maxEntries || envNumber('SCRAPE_CACHE_MAX_ENTRIES', 1000);
+
+        // Map insertion order doubles as least-recently-used order
+        this.entries = new Map();
+        // Scrapes in progress, so concurrent requests for one product share a fetch
+        this.inFlight = new Map();
+    }
+
+    getKey(marketplace, asin) {
+        return `${marketplace}:${asin.toUpperCase()}`;
+    }
+
+    get(marketplace, asin) {
+        const key = this.getKey(marketplace, asin);
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (Date.now() - entry.cachedAt >= this.ttlMs) {
+            this.entries.delete(key);
+            return null;
         }
 
-        const result = await imageDownloader.downloadImage(url, productId, index, productTitle);
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry;
+    }
 
-        if (result.success) {
-            // Send the file as response
-            res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
-            res.setHeader('Content-Type', 'image/jpeg');
-            
-            const fileStream = require('fs').createReadStream(result.filepath);
-            fileStream.pipe(res);
-            
-            // Don't delete file immediately - keep it in the product folder
-            // fileStream.on('end', () => {
-            //     fs.unlink(result.filepath).catch(console.error);
-            // });
-        } else {
-            res.status(500).json({ error: result.error });
+    set(product) {
+        if (!product || !product.asin || !product.marketplace) return null;
+
+        const key = this.getKey(product.marketplace, product.asin);
+        const entry = { product, cachedAt: Date.now() };
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
         }
+        return entry;
+    }
 
-    } catch (error) {
-        console.error('Download image API error:', error);
-        res.status(500).json({ error: 'Failed to download image' });
+    clear() {
+        this.entries.clear();
     }
-});
 
-// Serve static files (PWA assets)
-app.get('/manifest.json', (req, res) => {
-    res.sendFile(path.join(__dirname, 'manifest.json'));
-});
+    // The cached product for a URL with cachedAt/fromCache, or null
+    lookup(url) {
+        const asinMatch = url.match(ASIN_IN_URL_PATTERN);
+        if (!asinMatch) return null;
 
-app.get('/sw.js', (req, res) => {
-    res.setHeader('Content-Type', 'application/javascript');
-    res.sendFile(path.join(__dirname, 'sw.js'));
-});
+        const cached = this.get(this.scraper.detectMarketplace(url).host, asinMatch[1]);
+        return cached ? this.withMetadata(cached, true) : null;
+    }
 
-// Serve the main app
-app.get('*', (req, res) => {
-    res.sendFile(path.join(__dirname, 'index.html'));
-});
+    // Resolve with the product plus cachedAt/fromCache. URLs without an ASIN
+    // can't be looked up, but their result is still cached once scraped.
+    async scrape(url, { force = false } = {}) {
+        const asinMatch = url.match(ASIN_IN_URL_PATTERN);
+        const marketplace = this.scraper.detectMarketplace(url).host;
+        const key = asinMatch ? this.getKey(marketplace, asinMatch[1]) : null;
+
+        if (key && !force) {
+            const cached = this.get(marketplace, asinMatch[1]);
+            if (cached) return this.withMetadata(cached, true);
+            if (this.inFlight.has(key)) return this.inFlight.get(key);
+        }
 
-// ===== ERROR HANDLING =====
-app.use((err, req, res, next) => {
-    console.error('Unhandled error:', err);
-    res.status(500).json({
-        error: 'Internal server error',
-        message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
-    });
-});
+        const request = this.scraper.scrapeProduct(url)
+            .then(product => this.withMetadata(this.set(product) || { product, cachedAt: Date.now() }, false))
+            .finally(() => {
+                if (key && this.inFlight.get(key) === request) this.inFlight.delete(key);
+            });
 
-// Handle 404s
-app.use((req, res) => {
-    res.status(404).json({ error: 'Endpoint not found' });
-});
+        if (key) this.inFlight.set(key, request);
+        return request;
+    }
 
-// ===== SERVER STARTUP =====
-const server = app.listen(PORT, () => {
-    console.log(`🚀 Amazon Product Scraper Server running on port ${PORT}`);
-    console.log(`📱 PWA available at: http://localhost:${PORT}`);
-    console.log(`🔍 API endpoint: http://localhost:${PORT}/api/scrape`);
-    console.log(`📥 Downloads directory: ${DOWNLOADS_DIR}`);
-    console.log(`📊 Health check: http://localhost:${PORT}/health`);
-});
-
-// Graceful shutdown
-process.on('SIGINT', () => {
-    console.log('\n🛑 Shutting down server gracefully...');
-    server.close(() => {
-        console.log('✅ Server closed');
-        process.exit(0);
-    });
-});
+    withMetadata(entry, fromCache) {
+        return { ...entry.product, cachedAt: new Date(entry.cachedAt).toISOString(), fromCache };
+    }
+}
 
-process.on('uncaughtException', (err) => {
-    console.error('Uncaught Exception:', err);
-    process.exit(1);
-});
+// ===== PRODUCT CATALOG =====
+// Team-shared saved products, persisted as JSON under DATA_DIR. Ids are chosen by
+// the client (products can be created offline), so PUT also creates.
+//
+// Every write gets the next catalog-wide `revision`. Deletes leave a tombstone
+// ({ id, deleted, deletedAt, deletedBy, revision }) so offline copies learn about them, and
+// writes that pass ?baseRevision=N are refused with a conflict when the stored
+// revision has moved on.
+//
+// Every teammate's app renders what anyone writes here, so fields must have the
+// shapes the scraper and the app produce, as on import (validateImportRecord in script.js).
+const CATALOG_TEXT_FIELDS = [
+    'title', 'brand', 'model', 'asin', 'rating', 'ratingCount', 'originalPrice', 'offerPrice',
+    'offerPercentage', 'amountSaved', 'aboutItem', 'technicalData', 'currency', 'delivery',
+    'extractedAt', 'updatedAt'
+];
+const CATALOG_LIST_FIELDS = ['colors', 'categories', 'tags'];
+const AVAILABILITY_STATUSES = ['in_stock', 'low_stock', 'out_of_stock', 'preorder', 'unknown'];
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
 
-process.on('unhandledRejection', (reason, promise) => {
-    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-    process.exit(1);
-});
+function isOptional(value, check) {
+    return value === undefined || value === null || check(value);
+}
+
+const isText = value => typeof value === 'string';
+const isHttpUrl = value => typeof value === 'string' && /^https?:\/\//i.test(value);
+const isAmount = value => Number.isFinite(value);
+
+class ProductCatalog {
+    constructor(options = {}) {
+        this.storePath = options.storePath || path.join(DATA_DIR, 'products.json');
+        this.products = new Map();
+        this.revision = 0;
+        this.loading = null;
+        this.saving = Promise.resolve();
+    }
+
+    // Loaded on first use so tests can point DATA_DIR elsewhere before requiring the server
+    ready() {
+        if (!this.loading) {
+            this.loading = this.load();
+        }
+        return this.loading;
+    }
+
+    async load() {
+        try {
+            const saved = JSON.parse(await fs.readFile(this.storePath, 'utf8'));
+            this.products = new Map(saved.map(product => [String(product.id), product]));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Failed to load products:', error.message);
+            }
+            this.products = new Map();
+        }
+        this.revision = [...this.products.values()].reduce((max, product) => Math.max(max, product.revision || 0), 0);
+    }
+
+    // Writes are chained so overlapping requests never share the temp file
+    save() {
+        this.saving = this.saving.catch(() => {}).then(() => this.write());
+        return this.saving;
+    }
+
+    async write() {
+        // Write to a temp file first so a crash never leaves a truncated store
+        await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+        const tempPath = `${this.storePath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify([...this.products.values()], null, 2));
+        await fs.rename(tempPath, this.storePath);
+    }
+
+    // Tombstones are only included with includeDeleted=true, and are never filtered
+    async list(query = {}) {
+        await this.ready();
+        return [...this.products.values()].filter(product => (product.deleted
+            ? query.includeDeleted === 'true'
+            : this.matches(product, query)));
+    }
+
+    async get(id) {
+        await this.ready();
+        const product = this.products.get(String(id));
+        return product && !product.deleted ? product : null;
+    }
+
+    // Same ids as the app: millisecond timestamps, bumped past the highest existing one
+    createId() {
+        const lastId = [...this.products.values()].reduce((max, product) => Math.max(max, Number(product.id) || 0), 0);
+        return Math.max(Date.now(), lastId + 1);
+    }
+
+    // Ids are the app's numeric ids; every teammate's client renders them into its
+    // buttons, so nothing else is accepted. Numeric strings (URL params) are converted.
+    parseId(value) {
+        const id = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+        if (!Number.isSafeInteger(id) || id <= 0) {
+            throw new Error('Product id must be a positive whole number');
+        }
+        return id;
+    }
+
+    validate(input) {
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            throw new Error('Product must be a JSON object');
+        }
+        if (!input.title && !input.asin && !input.url) {
+            throw new Error('Product needs at least a title, ASIN or URL');
+        }
+
+        const invalid = this.findInvalidField(input);
+        if (invalid) {
+            throw new Error(`Invalid product field: ${invalid}`);
+        }
+
+        if (input.asin && !/^[A-Z0-9]{10}$/i.test(input.asin)) {
+            throw new Error('ASIN must be 10 letters or digits');
+        }
+    }
+
+    // The name of the first field without the expected shape, or null
+    findInvalidField(input) {
+        const isTextOrNumber = value => typeof value === 'string' || Number.isFinite(value);
+        const isPrice = value => isPlainObject(value) && isAmount(value.amount) && isText(value.currency) && isOptional(value.display, isText);
+        const isReview = value => isPlainObject(value) &&
+            ['title', 'body', 'author', 'date'].every(field => isOptional(value[field], isText)) &&
+            isOptional(value.stars, stars => isAmount(stars) && stars >= 0 && stars <= 5) &&
+            isOptional(value.verified, verified => typeof verified === 'boolean');
+        const isVariant = value => isPlainObject(value) &&
+            isOptional(value.asin, asin => asin === '' || (isText(asin) && /^[A-Z0-9]{10}$/i.test(asin))) &&
+            isPlainObject(value.values) && Object.values(value.values).every(isText) &&
+            isOptional(value.price, isText);
+
+        const checks = {
+            url: isHttpUrl,
+            rating: value => value === '' || (Number(String(value).replace(',', '.')) >= 0 && Number(String(value).replace(',', '.')) <= 5),
+            ratingCount: value => value === '' || /^\d[\d,.\s]*$/.test(String(value)),
+            images: value => Array.isArray(value) && value.every(image => isPlainObject(image) && isHttpUrl(image.url) && isOptional(image.alt, isText)),
+            specs: value => isPlainObject(value) && Object.values(value).every(isText),
+            ratingHistogram: value => isPlainObject(value) && Object.entries(value).every(([stars, percent]) => /^[1-5]$/.test(stars) && isAmount(percent) && percent >= 0 && percent <= 100),
+            topReviews: value => Array.isArray(value) && value.every(isReview),
+            priceDetails: value => isPlainObject(value) && ['offer', 'list', 'savings'].every(kind => isOptional(value[kind], isPrice)),
+            seller: value => isPlainObject(value) && ['soldBy', 'shipsFrom'].every(field => isOptional(value[field], isText)),
+            availability: value => isPlainObject(value) && AVAILABILITY_STATUSES.includes(value.status) &&
+                isOptional(value.text, isText) && isOptional(value.quantity, isAmount),
+            variations: value => isPlainObject(value) && Array.isArray(value.dimensions) && value.dimensions.every(isText) &&
+                Array.isArray(value.items) && value.items.every(isVariant),
+            priceHistory: value => Array.isArray(value) && value.every(entry => isPlainObject(entry) && isText(entry.date) &&
+                isOptional(entry.amount, isAmount) && ['offerPrice', 'originalPrice', 'currency'].every(field => isOptional(entry[field], isText))),
+            prime: value => typeof value === 'boolean'
+        };
+        CATALOG_TEXT_FIELDS.forEach((field) => {
+            const check = checks[field];
+            checks[field] = check ? value => isTextOrNumber(value) && check(value) : isTextOrNumber;
+        });
+        CATALOG_LIST_FIELDS.forEach((field) => {
+            checks[field] = value => Array.isArray(value) && value.every(isText);
+        });
+
+        return Object.keys(checks).find(field => !isOptional(input[field], checks[field])) || null;
+    }
+
+    // Sync metadata and authorship are assigned here, never taken from the request.
+    // `user` is the signed-in user making the change.
+    stamp(input, id, existing, user) {
+        const product = { ...input };
+        // Price alerts (`watch`) are personal and stay in each user's browser
+        ['deleted', 'deletedAt', 'deletedBy', 'createdBy', 'updatedBy', 'watch'].forEach(field => delete product[field]);
+
+        const author = user ? user.username : undefined;
+        const createdBy = existing && !existing.deleted ? existing.createdBy : author;
+        if (createdBy) product.createdBy = createdBy;
+        if (author) product.updatedBy = author;
+
+        return {
+            ...product,
+            id,
+            updatedAt: product.updatedAt || new Date().toISOString(),
+            revision: ++this.revision
+        };
+    }
+
+    // A missing product counts as revision 0, so baseRevision=0 means "create only"
+    isStale(existing, baseRevision) {
+        return baseRevision !== undefined && baseRevision !== (existing ? existing.revision || 0 : 0);
+    }
+
+    async create(input, user) {
+        await this.ready();
+        this.validate(input);
+
+        const id = input.id === undefined ? this.createId() : this.parseId(input.id);
+        const existing = this.products.get(String(id));
+        if (existing && !existing.deleted) {
+            return null;
+        }
+
+        const product = this.stamp(input, id, existing, user);
+        this.products.set(String(id), product);
+        await this.save();
+        return product;
+    }
+
+    // Returns { product, created }, or { conflict: true, current } when baseRevision is stale
+    async put(value, input, baseRevision, user) {
+        await this.ready();
+        this.validate(input);
+        const id = this.parseId(value);
+        if (input.id !== undefined && this.parseId(input.id) !== id) {
+            throw new Error('Product id does not match the URL');
+        }
+
+        const existing = this.products.get(String(id));
+        if (this.isStale(existing, baseRevision)) {
+            return { conflict: true, current: existing };
+        }
+
+        const product = this.stamp(input, id, existing, user);
+        this.products.set(String(id), product);
+        await this.save();
+        return { product, created: !existing || Boolean(existing.deleted) };
+    }
+
+    // Returns { removed }, or { conflict: true, current } when baseRevision is stale
+    async remove(id, baseRevision, user) {
+        await this.ready();
+        const existing = this.products.get(String(id));
+        if (!existing || existing.deleted) {
+            return { removed: false };
+        }
+        if (this.isStale(existing, baseRevision)) {
+            return { conflict: true, current: existing };
+        }
+
+        this.products.set(String(id), {
+            id: existing.id,
+            deleted: true,
+            deletedAt: new Date().toISOString(),
+            ...(user ? { deletedBy: user.username } : {}),
+            revision: ++this.revision
+        });
+        await this.save();
+        return { removed: true };
+    }
+
+    // Query parameters: q (title, brand, model, ASIN, categories, tags), brand, category,
+    // tag, asin, marketplace, inStock, prime, minPrice, maxPrice
+    matches(product, query) {
+        const list = value => (Array.isArray(value) ? value : []);
+
+        if (query.q) {
+            const text = [product.title, product.brand, product.model, product.asin, ...list(product.categories), ...list(product.tags)]
+                .join(' ')
+                .toLowerCase();
+            if (!text.includes(String(query.q).toLowerCase())) return false;
+        }
+
+        if (query.brand && product.brand !== query.brand) return false;
+        if (query.category && !list(product.categories).includes(query.category)) return false;
+        if (query.tag && !list(product.tags).includes(query.tag)) return false;
+        if (query.asin && String(product.asin || '').toUpperCase() !== String(query.asin).toUpperCase()) return false;
+        if (query.marketplace && (product.marketplace || DEFAULT_MARKETPLACE) !== query.marketplace) return false;
+
+        if (query.inStock === 'true' && !(product.availability && ['in_stock', 'low_stock'].includes(product.availability.status))) return false;
+        if (query.prime === 'true' && !product.prime) return false;
+
+        if (query.minPrice || query.maxPrice) {
+            const offer = product.priceDetails && product.priceDetails.offer;
+            const amount = offer ? offer.amount : null;
+            if (amount === null || amount === undefined) return false;
+            if (query.minPrice && amount < parseFloat(query.minPrice)) return false;
+            if (query.maxPrice && amount > parseFloat(query.maxPrice)) return false;
+        }
+
+        return true;
+    }
+}
+
+// ===== USER ACCOUNTS =====
+// Users, login sessions and API keys, persisted as JSON under DATA_DIR. Passwords are
+// scrypt-hashed; session tokens and API keys are random and only their SHA-256 is
+// stored, so the file never holds a usable credential.
+const SESSION_COOKIE = 'sid';
+const API_KEY_PREFIX = 'ask_';
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/i;
+const MIN_PASSWORD_LENGTH = 8;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await promisify(crypto.scrypt)(password, salt, 64);
+    return `${salt}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [salt, hash] = String(stored || '').split(':');
+    if (!salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await promisify(crypto.scrypt)(password, salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+class UserStore {
+    constructor(options = {}) {
+        this.storePath = options.storePath || path.join(DATA_DIR, 'users.json');
+        this.sessionTtlMs = options.sessionTtlMs ?? envNumber('SESSION_TTL_HOURS', 24 * 14) * 60 * 60 * 1000;
+        this.users = new Map();
+        this.sessions = new Map();
+        this.loading = null;
+        this.saving = Promise.resolve();
+    }
+
+    // Loaded on first use so tests can point DATA_DIR elsewhere before requiring the server
+    ready() {
+        if (!this.loading) {
+            this.loading = this.load();
+        }
+        return this.loading;
+    }
+
+    async load() {
+        try {
+            const saved = JSON.parse(await fs.readFile(this.storePath, 'utf8'));
+            this.users = new Map((saved.users || []).map(user => [user.id, user]));
+            this.sessions = new Map((saved.sessions || [])
+                .filter(session => session.expiresAt > Date.now())
+                .map(session => [session.tokenHash, session]));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Failed to load users:', error.message);
+            }
+            this.users = new Map();
+            this.sessions = new Map();
+        }
+    }
+
+    // Writes are chained so overlapping requests never share the temp file
+    save() {
+        this.saving = this.saving.catch(() => {}).then(() => this.write());
+        return this.saving;
+    }
+
+    async write() {
+        await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+        const tempPath = `${this.storePath}.tmp`;
+        const data = { users: [...this.users.values()], sessions: [...this.sessions.values()] };
+        await fs.writeFile(tempPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+        await fs.rename(tempPath, this.storePath);
+    }
+
+    async count() {
+        await this.ready();
+        return this.users.size;
+    }
+
+    // What the API returns for a user: no password hash, API keys without their hash
+    toPublic(user) {
+        return {
+            id: user.id,
+            username: user.username,
+            role: user.role,
+            createdAt: user.createdAt
+        };
+    }
+
+    toPublicKey(apiKey) {
+        const copy = { ...apiKey };
+        delete copy.hash;
+        return copy;
+    }
+
+    findByUsername(username) {
+        const name = String(username || '').toLowerCase();
+        return [...this.users.values()].find(user => user.username.toLowerCase() === name) || null;
+    }
+
+    // The first account is always an admin
+    async createUser({ username, password, role } = {}) {
+        await this.ready();
+
+        if (!USERNAME_PATTERN.test(username || '')) {
+            throw new Error('Username must be 3-32 letters, digits, dots, dashes or underscores');
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+        if (this.findByUsername(username)) {
+            return null;
+        }
+
+        const user = {
+            id: crypto.randomUUID(),
+            username,
+            role: this.users.size === 0 || role === 'admin' ? 'admin' : 'user',
+            passwordHash: await hashPassword(password),
+            apiKeys: [],
+            createdAt: new Date().toISOString()
+        };
+        this.users.set(user.id, user);
+        await this.save();
+        return this.toPublic(user);
+    }
+
+    async list() {
+        await this.ready();
+        return [...this.users.values()].map(user => ({
+            ...this.toPublic(user),
+            apiKeys: user.apiKeys.map(apiKey => this.toPublicKey(apiKey))
+        }));
+    }
+
+    async get(id) {
+        await this.ready();
+        const user = this.users.get(id);
+        return user ? this.toPublic(user) : null;
+    }
+
+    async verifyLogin(username, password) {
+        await this.ready();
+        const user = this.findByUsername(username);
+        if (!user || typeof password !== 'string' || !(await verifyPassword(password, user.passwordHash))) {
+            return null;
+        }
+        return this.toPublic(user);
+    }
+
+    // Returns the token for the cookie; only its hash is kept
+    async createSession(userId) {
+        await this.ready();
+        const token = crypto.randomBytes(32).toString('base64url');
+        const session = { tokenHash: hashToken(token), userId, expiresAt: Date.now() + this.sessionTtlMs };
+
+        this.sessions.set(session.tokenHash, session);
+        await this.save();
+        return { token, expiresAt: session.expiresAt };
+    }
+
+    async getSessionUser(token) {
+        await this.ready();
+        if (!token) return null;
+
+        const session = this.sessions.get(hashToken(token));
+        if (!session) return null;
+        if (session.expiresAt <= Date.now() || !this.users.has(session.userId)) {
+            this.sessions.delete(session.tokenHash);
+            return null;
+        }
+        return this.toPublic(this.users.get(session.userId));
+    }
+
+    async endSession(token) {
+        await this.ready();
+        if (token && this.sessions.delete(hashToken(token))) {
+            await this.save();
+        }
+    }
+
+    // The full key is only returned here, once
+    async createApiKey(userId, name) {
+        await this.ready();
+        const user = this.users.get(userId);
+        if (!user) return null;
+
+        const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+        const apiKey = {
+            id: crypto.randomUUID(),
+            name: String(name || '').trim().slice(0, 100) || 'API key',
+            prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+            hash: hashToken(key),
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null
+        };
+        user.apiKeys.push(apiKey);
+        await this.save();
+        return { ...this.toPublicKey(apiKey), key };
+    }
+
+    async listApiKeys(userId) {
+        await this.ready();
+        const user = this.users.get(userId);
+        return user ? user.apiKeys.map(apiKey => this.toPublicKey(apiKey)) : [];
+    }
+
+    async revokeApiKey(userId, keyId) {
+        await this.ready();
+        const user = this.users.get(userId);
+        const index = user ? user.apiKeys.findIndex(apiKey => apiKey.id === keyId) : -1;
+        if (index === -1) return false;
+
+        user.apiKeys.splice(index, 1);
+        await this.save();
+        return true;
+    }
+
+    // Returns { user, apiKey } for a valid key. lastUsedAt is only kept in memory
+    // until the next write, so authenticating doesn't rewrite the file every request.
+    async getApiKeyUser(key) {
+        await this.ready();
+        if (!key || !key.startsWith(API_KEY_PREFIX)) return null;
+
+        const hash = hashToken(key);
+        for (const user of this.users.values()) {
+            const apiKey = user.apiKeys.find(item => item.hash === hash);
+            if (apiKey) {
+                apiKey.lastUsedAt = new Date().toISOString();
+                return { user: this.toPublic(user), apiKey: this.toPublicKey(apiKey) };
+            }
+        }
+        return null;
+    }
+}
+
+// Sets req.user (and req.apiKey) from an X-API-Key / Bearer header or the session
+// cookie. Requests without credentials pass through; requireUser turns them away.
+async function authenticate(req, res, next) {
+    try {
+        const bearer = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+        const key = req.get('X-API-Key') || (bearer && bearer[1]);
+
+        if (key) {
+            const match = await userStore.getApiKeyUser(key.trim());
+            if (!match) {
+                return res.status(401).json({ error: 'Invalid API key', code: 'AUTH_REQUIRED' });
+            }
+            req.user = match.user;
+            req.apiKey = match.apiKey;
+        } else {
+            req.sessionToken = parseCookies(req.get('Cookie'))[SESSION_COOKIE];
+            req.user = await userStore.getSessionUser(req.sessionToken);
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+function requireUser(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({ error: 'Please sign in to use the API', code: 'AUTH_REQUIRED' });
+    }
+    next();
+}
+
+function requireAdmin(req, res, next) {
+    if (!req.user || req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required', code: 'FORBIDDEN' });
+    }
+    next();
+}
+
+// Anyone may create the first account, which becomes the admin. After that sign-up
+// is closed unless ALLOW_SIGNUP=true, and admins add teammates.
+async function isSignupOpen() {
+    return process.env.ALLOW_SIGNUP === 'true' || (await userStore.count()) === 0;
+}
+
+async function startSession(req, res, user) {
+    const { token } = await userStore.createSession(user.id);
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: req.secure,
+        maxAge: userStore.sessionTtlMs,
+        path: '/'
+    });
+}
+
+// Sign-in attempts are limited per account and per client address, so passwords can't
+// be guessed quickly against one account or across many. Each limit refills over
+// LOGIN_WINDOW_MINUTES; a successful sign-in refills the account's limit.
+class LoginThrottle {
+    constructor(options = {}) {
+        this.accountAttempts = options.accountAttempts ?? envNumber('LOGIN_ACCOUNT_ATTEMPTS', 5);
+        this.addressAttempts = options.addressAttempts ?? envNumber('LOGIN_ADDRESS_ATTEMPTS', 20);
+        this.windowMs = options.windowMs ?? envNumber('LOGIN_WINDOW_MINUTES', 15) * 60 * 1000;
+        this.maxEntries = options.maxEntries || 10000;
+
+        this.accounts = new Map();
+        this.addresses = new Map();
+    }
+
+    getBucket(buckets, key, attempts) {
+        let bucket = buckets.get(key);
+        if (!bucket) {
+            if (buckets.size >= this.maxEntries) this.prune(buckets);
+            bucket = new TokenBucket(attempts / (this.windowMs / 1000), attempts);
+            buckets.set(key, bucket);
+        }
+        return bucket;
+    }
+
+    // Refilled buckets go first, then the oldest
+    prune(buckets) {
+        for (const [key, bucket] of buckets) {
+            bucket.refill();
+            if (bucket.tokens >= bucket.capacity) buckets.delete(key);
+        }
+        while (buckets.size >= this.maxEntries) {
+            buckets.delete(buckets.keys().next().value);
+        }
+    }
+
+    getAccountKey(username) {
+        return String(username || '').toLowerCase();
+    }
+
+    // Count an attempt against both limits. Returns 0 when it may go ahead, otherwise
+    // the seconds until it may be retried.
+    attempt(username, address) {
+        const account = this.getBucket(this.accounts, this.getAccountKey(username), this.accountAttempts);
+        const client = this.getBucket(this.addresses, address || '', this.addressAttempts);
+
+        const wait = Math.max(account.secondsUntilAvailable(), client.secondsUntilAvailable());
+        if (wait) return wait;
+
+        account.tryTake();
+        client.tryTake();
+        return 0;
+    }
+
+    succeeded(username) {
+        this.accounts.delete(this.getAccountKey(username));
+    }
+}
+
+// ===== USAGE METERING =====
+// Per-user quotas on the scrape and download routes. Limits come from the environment,
+// and 0 turns one off:
+//   QUOTA_REQUESTS_PER_MINUTE   scrape/download requests in any 60 seconds (default 30)
+//   QUOTA_REQUESTS_PER_DAY      requests per UTC day; a batch counts each URL (default 1000)
+//   QUOTA_DOWNLOAD_MB_PER_DAY   image data downloaded per UTC day (default 500)
+//   QUOTA_DISK_MB               size of the user's folder under downloads/ (default 2048)
+// Daily counters are kept per user and per API key in DATA_DIR/usage.json.
+const MB = 1024 * 1024;
+
+// The most a single image download may use; it is held against the user's allowance
+// while the download runs
+const MAX_DOWNLOAD_BYTES = 20 * MB;
+
+function loadQuotaLimits() {
+    return {
+        requestsPerMinute: envNumber('QUOTA_REQUESTS_PER_MINUTE', 30),
+        requestsPerDay: envNumber('QUOTA_REQUESTS_PER_DAY', 1000),
+        downloadBytesPerDay: envNumber('QUOTA_DOWNLOAD_MB_PER_DAY', 500) * MB,
+        diskBytes: envNumber('QUOTA_DISK_MB', 2048) * MB
+    };
+}
+
+class UsageMeter {
+    constructor(options = {}) {
+        this.storePath = options.storePath || path.join(DATA_DIR, 'usage.json');
+        this.downloadsDir = options.downloadsDir || DOWNLOADS_DIR;
+        this.limits = { ...loadQuotaLimits(), ...options.limits };
+        this.day = this.today();
+        this.users = {};
+        this.keys = {};
+        // Request times in the last minute, measured folder sizes and bytes held by
+        // running downloads, per user
+        this.recent = new Map();
+        this.disk = new Map();
+        this.held = new Map();
+        this.loading = null;
+        this.saving = Promise.resolve();
+    }
+
+    // Loaded on first use so tests can point DATA_DIR elsewhere before requiring the server
+    ready() {
+        if (!this.loading) {
+            this.loading = this.load();
+        }
+        return this.loading;
+    }
+
+    async load() {
+        try {
+            const saved = JSON.parse(await fs.readFile(this.storePath, 'utf8'));
+            if (saved.day === this.today()) {
+                this.users = saved.users || {};
+                this.keys = saved.keys || {};
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Failed to load usage:', error.message);
+            }
+        }
+    }
+
+    // Writes are chained so overlapping requests never share the temp file
+    save() {
+        this.saving = this.saving.catch(() => {}).then(() => this.write());
+        return this.saving;
+    }
+
+    async write() {
+        await fs.mkdir(path.dirname(this.storePath), { recursive: true });
+        const tempPath = `${this.storePath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify({ day: this.day, users: this.users, keys: this.keys }, null, 2));
+        await fs.rename(tempPath, this.storePath);
+    }
+
+    today() {
+        return new Date().toISOString().slice(0, 10);
+    }
+
+    // Daily counters start over at UTC midnight
+    rollover() {
+        const today = this.today();
+        if (this.day !== today) {
+            this.day = today;
+            this.users = {};
+            this.keys = {};
+        }
+    }
+
+    secondsUntilTomorrow() {
+        const midnight = new Date(`${this.today()}T00:00:00.000Z`).getTime() + 24 * 60 * 60 * 1000;
+        return Math.max(1, Math.ceil((midnight - Date.now()) / 1000));
+    }
+
+    counters(table, id) {
+        if (!table[id]) {
+            table[id] = { requests: 0, downloads: 0, bytes: 0 };
+        }
+        return table[id];
+    }
+
+    recentRequests(userId) {
+        const cutoff = Date.now() - 60 * 1000;
+        const recent = (this.recent.get(userId) || []).filter(time => time > cutoff);
+        this.recent.set(userId, recent);
+        return recent;
+    }
+
+    // Measured once and again after each download into the folder
+    async getDiskUsage(user) {
+        if (!this.disk.has(user.id)) {
+            this.disk.set(user.id, await directorySize(getUserDownloadsFolder(this.downloadsDir, user.id)));
+        }
+        return this.disk.get(user.id);
+    }
+
+    // Returns null when `requests` more requests fit the user's quota, otherwise
+    // { quota, error, retryAfter } with retryAfter in seconds (null when waiting won't help).
+    // Routes go through reserve(), which also counts what it lets through.
+    async check(user, { requests = 1, download = false } = {}) {
+        await this.ready();
+        this.rollover();
+
+        const limits = this.limits;
+        const usage = this.counters(this.users, user.id);
+        const recent = this.recentRequests(user.id);
+
+        if (limits.requestsPerMinute && recent.length >= limits.requestsPerMinute) {
+            return {
+                quota: 'minute',
+                error: `You can make ${limits.requestsPerMinute} requests per minute`,
+                retryAfter: Math.max(1, Math.ceil((recent[0] + 60 * 1000 - Date.now()) / 1000))
+            };
+        }
+        if (limits.requestsPerDay && usage.requests + requests > limits.requestsPerDay) {
+            const left = Math.max(0, limits.requestsPerDay - usage.requests);
+            return {
+                quota: 'day',
+                error: `Daily limit of ${limits.requestsPerDay} requests reached${left ? ` (${left} left, ${requests} needed)` : ''}`,
+                retryAfter: this.secondsUntilTomorrow()
+            };
+        }
+        if (download && limits.downloadBytesPerDay && usage.bytes >= limits.downloadBytesPerDay) {
+            return {
+                quota: 'bytes',
+                error: `Daily download limit of ${Math.round(limits.downloadBytesPerDay / MB)} MB reached`,
+                retryAfter: this.secondsUntilTomorrow()
+            };
+        }
+        if (download && limits.diskBytes && (await this.getDiskUsage(user)) >= limits.diskBytes) {
+            return {
+                quota: 'disk',
+                error: `Your downloads folder is over its ${Math.round(limits.diskBytes / MB)} MB limit. Ask an admin to clean it up.`,
+                retryAfter: null
+            };
+        }
+        return null;
+    }
+
+    // Bytes the user may still download today and keep on disk, less what running
+    // downloads hold; null when unlimited
+    async getDownloadAllowance(user) {
+        await this.ready();
+        this.rollover();
+
+        const limits = this.limits;
+        const allowances = [];
+        if (limits.downloadBytesPerDay) {
+            allowances.push(limits.downloadBytesPerDay - this.counters(this.users, user.id).bytes);
+        }
+        if (limits.diskBytes) {
+            allowances.push(limits.diskBytes - (await this.getDiskUsage(user)));
+        }
+        return allowances.length ? Math.max(0, Math.min(...allowances) - (this.held.get(user.id) || 0)) : null;
+    }
+
+    // Checks the quota and counts the requests in one step on the write chain, so
+    // concurrent requests can't all pass the check before any of them is counted.
+    // Resolves with { exceeded } (see check) or { reservation }; a download's
+    // reservation holds up to MAX_DOWNLOAD_BYTES of the allowance as `maxBytes`.
+    reserve(user, apiKey, { requests = 1, download = false } = {}) {
+        const reserving = this.saving.catch(() => {}).then(async () => {
+            const exceeded = await this.check(user, { requests, download });
+            if (exceeded) return { exceeded };
+
+            const allowance = download ? await this.getDownloadAllowance(user) : null;
+            if (download && allowance === 0) {
+                return {
+                    exceeded: {
+                        quota: 'bytes',
+                        error: 'Your remaining download allowance is in use by downloads still running',
+                        retryAfter: 5
+                    }
+                };
+            }
+
+            const reservation = {
+                userId: user.id,
+                keyId: apiKey ? apiKey.id : null,
+                day: this.day,
+                time: Date.now(),
+                requests,
+                maxBytes: download ? Math.min(allowance ?? MAX_DOWNLOAD_BYTES, MAX_DOWNLOAD_BYTES) : null
+            };
+            this.count(user.id, reservation.keyId, { requests });
+            this.recentRequests(user.id).push(reservation.time);
+            if (reservation.maxBytes) {
+                this.held.set(user.id, (this.held.get(user.id) || 0) + reservation.maxBytes);
+            }
+
+            await this.write();
+            return { reservation };
+        });
+
+        this.saving = reserving;
+        return reserving;
+    }
+
+    // Ends a reservation. A failed request gives its requests back as well as its hold.
+    async release(reservation, { failed = false } = {}) {
+        if (reservation.maxBytes) {
+            const held = (this.held.get(reservation.userId) || 0) - reservation.maxBytes;
+            if (held > 0) this.held.set(reservation.userId, held);
+            else this.held.delete(reservation.userId);
+        }
+        if (!failed) return;
+
+        await this.ready();
+        this.rollover();
+        if (reservation.day === this.day) {
+            this.count(reservation.userId, reservation.keyId, { requests: -reservation.requests });
+        }
+        const recent = this.recentRequests(reservation.userId);
+        const index = recent.indexOf(reservation.time);
+        if (index !== -1) recent.splice(index, 1);
+        await this.save();
+    }
+
+    count(userId, keyId, { requests = 0, downloads = 0, bytes = 0 }) {
+        const tables = [this.counters(this.users, userId)];
+        if (keyId) {
+            tables.push(this.counters(this.keys, keyId));
+        }
+        tables.forEach((usage) => {
+            usage.requests += requests;
+            usage.downloads += downloads;
+            usage.bytes += bytes;
+        });
+    }
+
+    // Counts requests and downloaded bytes for the user and, when used, their API key
+    async record(user, apiKey, { requests = 0, downloads = 0, bytes = 0 } = {}) {
+        await this.ready();
+        this.rollover();
+
+        this.count(user.id, apiKey ? apiKey.id : null, { requests, downloads, bytes });
+
+        if (requests) {
+            this.recentRequests(user.id).push(Date.now());
+        }
+        if (downloads) {
+            this.disk.delete(user.id);
+        }
+        await this.save();
+    }
+
+    // What the user has used today and has left; null means unlimited
+    async getStatus(user, apiKey) {
+        await this.ready();
+        this.rollover();
+
+        const limits = this.limits;
+        const usage = this.counters(this.users, user.id);
+        const used = {
+            minute: this.recentRequests(user.id).length,
+            day: usage.requests,
+            downloads: usage.downloads,
+            bytes: usage.bytes,
+            disk: await this.getDiskUsage(user)
+        };
+        const left = (limit, value) => (limit ? Math.max(0, limit - value) : null);
+
+        return {
+            day: this.day,
+            limits,
+            used,
+            remaining: {
+                minute: left(limits.requestsPerMinute, used.minute),
+                day: left(limits.requestsPerDay, used.day),
+                bytes: left(limits.downloadBytesPerDay, used.bytes),
+                disk: left(limits.diskBytes, used.disk)
+            },
+            apiKey: apiKey ? { id: apiKey.id, name: apiKey.name, ...this.counters(this.keys, apiKey.id) } : null
+        };
+    }
+
+    // Usage of every user and API key today, for admins
+    async report(users) {
+        await this.ready();
+        this.rollover();
+
+        const userRows = await Promise.all(users.map(async user => ({
+            id: user.id,
+            username: user.username,
+            role: user.role,
+            ...this.counters(this.users, user.id),
+            requestsLastMinute: this.recentRequests(user.id).length,
+            diskBytes: await this.getDiskUsage(user)
+        })));
+        const keyRows = users.flatMap(user => user.apiKeys.map(apiKey => ({
+            id: apiKey.id,
+            name: apiKey.name,
+            prefix: apiKey.prefix,
+            username: user.username,
+            lastUsedAt: apiKey.lastUsedAt,
+            ...this.counters(this.keys, apiKey.id)
+        })));
+
+        return { day: this.day, limits: this.limits, users: userRows, apiKeys: keyRows };
+    }
+}
+
+// Route middleware that answers 429 when the request would go over a quota and
+// reserves it otherwise. `cost(req)` is the number of requests it stands for. The
+// reservation is in req.usage and is given back when the route answers with an error.
+function meterUsage({ cost, download = false } = {}) {
+    return async (req, res, next) => {
+        try {
+            const requests = cost ? cost(req) : 1;
+            const { exceeded, reservation } = await usageMeter.reserve(req.user, req.apiKey, { requests, download });
+            if (exceeded) {
+                if (exceeded.retryAfter) res.set('Retry-After', String(exceeded.retryAfter));
+                return res.status(429).json({ error: exceeded.error, code: 'QUOTA_EXCEEDED', quota: exceeded.quota });
+            }
+
+            req.usage = reservation;
+            res.on('close', () => {
+                usageMeter.release(reservation, { failed: res.statusCode >= 400 })
+                    .catch(error => console.error('Failed to release usage:', error.message));
+            });
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+// ===== HELPERS =====
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function envNumber(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : fallback;
+}
+
+// Retry-After is either delta-seconds or an HTTP date; returns milliseconds or null
+function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// cors() options for a CORS_ORIGINS list; no list means same-origin only. Listed
+// origins may send the session cookie, '*' allows any origin but only with API keys.
+function corsOptions(value) {
+    const origins = String(value || '').split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean);
+    if (origins.includes('*')) {
+        return { origin: '*' };
+    }
+    return {
+        origin: (origin, callback) => callback(null, origins.includes(origin)),
+        credentials: true
+    };
+}
+
+function parseCookies(header) {
+    return String(header || '').split(';').reduce((cookies, part) => {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            try {
+                cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+            } catch (error) {
+                // Ignore malformed cookies
+            }
+        }
+        return cookies;
+    }, {});
+}
+
+// Total size of the files under a directory; 0 when it doesn't exist
+// Each user's downloads live in downloads/<user id>/. Ids are generated by the server,
+// so unlike usernames they never collide or clean up to an empty folder name.
+function getUserDownloadsFolder(downloadsDir, userId) {
+    const root = path.resolve(downloadsDir);
+    const folder = path.join(root, String(userId || ''));
+    if (!userId || path.dirname(folder) !== root) {
+        throw new Error('Invalid downloads folder');
+    }
+    return folder;
+}
+
+async function directorySize(dir) {
+    let entries;
+    try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+    }
+
+    const sizes = await Promise.all(entries.map((entry) => {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) return directorySize(entryPath);
+        return entry.isFile() ? fs.stat(entryPath).then(stat => stat.size) : 0;
+    }));
+    return sizes.reduce((total, size) => total + size, 0);
+}
+
+// The same rules the app uses (url-rules.js): a storefront product URL or a short link
+function isValidScrapeUrl(url) {
+    return urlRules.isAmazonProductUrl(url);
+}
+
+// https://www.<marketplace>/dp/<ASIN> for a product URL. Short links are followed
+// one hop at a time, each hop checked, until they land on a product page.
+async function resolveScrapeUrl(value, client = httpClient) {
+    let url = typeof value === 'string' ? value.trim() : '';
+
+    for (let hop = 0; hop <= MAX_SHORT_LINK_HOPS; hop++) {
+        const canonical = urlRules.canonicalizeAmazonUrl(url);
+        if (canonical) return canonical;
+        if (!urlRules.isAmazonShortLink(url)) break;
+
+        const response = await client.get(url, {
+            allowUrl: urlRules.isAllowedAmazonUrl,
+            maxRedirects: 0,
+            responseType: 'stream',
+            validateStatus: status => status >= 200 && status < 400
+        });
+        response.data.destroy();
+
+        const location = response.headers.location;
+        if (!location) break;
+        url = new URL(location, url).href;
+    }
+
+    throw new ScrapeError('INVALID_URL', 'Please provide a valid Amazon product URL');
+}
+
+const MAX_SHORT_LINK_HOPS = 5;
+
+// Typed scrape errors keep their status and `code`; anything else is a plain 500
+function sendScrapeError(res, error) {
+    if (error instanceof ScrapeError) {
+        if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+        return res.status(error.status).json({ error: error.message, code: error.code });
+    }
+
+    res.status(500).json({
+        error: error.message || 'Failed to scrape product',
+        code: 'SCRAPE_FAILED'
+    });
+}
+
+// ?baseRevision=N on catalog writes; absent means an unconditional write
+function parseBaseRevision(value) {
+    const revision = parseInt(value, 10);
+    return Number.isNaN(revision) ? undefined : revision;
+}
+
+// 409 with the stored version (or tombstone) so the client can merge against it
+function sendProductConflict(res, current) {
+    res.status(409).json({
+        error: 'The product was changed by someone else',
+        code: 'CONFLICT',
+        current: current || null
+    });
+}
+
+function buildProductUrl(asin, marketplace) {
+    const host = MARKETPLACES[marketplace] ? marketplace : DEFAULT_MARKETPLACE;
+    return `https://www.${host}/dp/${asin.toUpperCase()}`;
+}
+
+// ===== INITIALIZE SERVICES =====
+const requestProfiles = new RequestProfiles(loadRequestProfileConfig());
+const httpClient = new HttpClient({ profiles: requestProfiles });
+const scraper = new AmazonScraper();
+const imageDownloader = new ImageDownloader();
+const watchScheduler = new WatchScheduler({ scraper });
+const scrapeCache = new ScrapeCache({ scraper });
+const batchScraper = new BatchScraper({ scraper, cache: scrapeCache });
+const productCatalog = new ProductCatalog();
+const userStore = new UserStore();
+const usageMeter = new UsageMeter();
+const loginThrottle = new LoginThrottle();
+
+// ===== API ROUTES =====
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+    res.json({ 
+        status: 'OK', 
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime()
+    });
+});
+
+// Account routes. The PWA signs in with a session cookie, scripts send an API key.
+app.use('/api', authenticate);
+
+app.get('/api/auth/me', async (req, res) => {
+    if (!req.user) {
+        return res.status(401).json({
+            error: 'Not signed in',
+            code: 'AUTH_REQUIRED',
+            setupRequired: (await userStore.count()) === 0,
+            signupOpen: await isSignupOpen()
+        });
+    }
+    res.json({ user: req.user, apiKey: req.apiKey || null });
+});
+
+app.post('/api/auth/register', async (req, res) => {
+    try {
+        const isAdmin = Boolean(req.user && req.user.role === 'admin');
+        if (!isAdmin && !(await isSignupOpen())) {
+            return res.status(403).json({ error: 'Sign-up is closed. Ask an admin to create your account.', code: 'FORBIDDEN' });
+        }
+
+        const { username, password, role } = req.body || {};
+        const user = await userStore.createUser({ username, password, role: isAdmin ? role : undefined });
+        if (!user) {
+            return res.status(409).json({ error: 'That username is already taken' });
+        }
+
+        // An admin adding a teammate stays signed in as themselves
+        if (!isAdmin) {
+            await startSession(req, res, user);
+        }
+        res.status(201).json({ user });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+
+        const retryAfter = loginThrottle.attempt(username, req.ip);
+        if (retryAfter) {
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({ error: 'Too many sign-in attempts. Try again later.', code: 'RATE_LIMITED' });
+        }
+
+        const user = await userStore.verifyLogin(username, password);
+        if (!user) {
+            return res.status(401).json({ error: 'Wrong username or password', code: 'INVALID_LOGIN' });
+        }
+
+        loginThrottle.succeeded(username);
+        await startSession(req, res, user);
+        res.json({ user });
+    } catch (error) {
+        console.error('Login API error:', error);
+        res.status(500).json({ error: 'Failed to sign in' });
+    }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        await userStore.endSession(req.sessionToken);
+        res.clearCookie(SESSION_COOKIE, { path: '/' });
+        res.status(204).end();
+    } catch (error) {
+        console.error('Logout API error:', error);
+        res.status(500).json({ error: 'Failed to sign out' });
+    }
+});
+
+// Everything else under /api needs a signed-in user or an API key
+app.use('/api', requireUser);
+
+// API keys for scripts. The key itself is only returned when it is created.
+app.get('/api/auth/keys', async (req, res) => {
+    res.json(await userStore.listApiKeys(req.user.id));
+});
+
+app.post('/api/auth/keys', async (req, res) => {
+    try {
+        const apiKey = await userStore.createApiKey(req.user.id, (req.body || {}).name);
+        res.status(201).json(apiKey);
+    } catch (error) {
+        console.error('Create API key error:', error);
+        res.status(500).json({ error: 'Failed to create API key' });
+    }
+});
+
+app.delete('/api/auth/keys/:id', async (req, res) => {
+    try {
+        const revoked = await userStore.revokeApiKey(req.user.id, req.params.id);
+        if (!revoked) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Revoke API key error:', error);
+        res.status(500).json({ error: 'Failed to revoke API key' });
+    }
+});
+
+// Proxy health and the header profiles in rotation
+app.get('/api/proxies', requireAdmin, (req, res) => {
+    res.json(requestProfiles.getStatus());
+});
+
+// Scrape product endpoint
+app.post('/api/scrape', meterUsage(), async (req, res) => {
+    try {
+        const { asin, marketplace } = req.body;
+
+        // Variants are re-scraped by ASIN on the parent product's marketplace
+        if (asin && !/^[A-Z0-9]{10}$/i.test(asin)) {
+            return res.status(400).json({ error: 'Please provide a valid 10-character ASIN' });
+        }
+        const url = req.body.url || (asin ? buildProductUrl(asin, marketplace) : '');
+
+        if (!url) {
+            return res.status(400).json({ error: 'URL or ASIN is required' });
+        }
+
+        // Validate Amazon URL
+        if (!isValidScrapeUrl(url)) {
+            return res.status(400).json({ error: 'Please provide a valid Amazon product URL', code: 'INVALID_URL' });
+        }
+
+        console.log(`Received scrape request from ${req.user.username} for:`, url);
+
+        const force = req.body.force === true || req.query.force === 'true';
+        const productData = await scrapeCache.scrape(await resolveScrapeUrl(url), { force });
+        
+        res.json(productData);
+
+    } catch (error) {
+        console.error('Scrape API error:', error);
+        sendScrapeError(res, error);
+    }
+});
+
+// List saved products, filtered by the ProductCatalog query parameters.
+// limit/offset page the results; X-Total-Count has the unpaged count.
+// includeDeleted=true adds tombstones, which the app's sync uses.
+app.get('/api/products', async (req, res) => {
+    try {
+        const products = await productCatalog.list(req.query);
+        const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+        const limit = parseInt(req.query.limit, 10) || products.length;
+
+        res.set('X-Total-Count', String(products.length));
+        res.json(products.slice(offset, offset + limit));
+    } catch (error) {
+        console.error('List products API error:', error);
+        res.status(500).json({ error: 'Failed to list products' });
+    }
+});
+
+app.post('/api/products', async (req, res) => {
+    try {
+        const product = await productCatalog.create(req.body, req.user);
+        if (!product) {
+            return res.status(409).json({ error: 'A product with this id already exists' });
+        }
+        res.status(201).json(product);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Saved products by id. Unknown 10-character ASINs fall through to the scrape route below.
+app.get('/api/products/:id', async (req, res, next) => {
+    try {
+        const product = await productCatalog.get(req.params.id);
+        if (product) {
+            return res.json(product);
+        }
+        if (/^[A-Z0-9]{10}$/i.test(req.params.id)) {
+            return next();
+        }
+        res.status(404).json({ error: 'Product not found' });
+    } catch (error) {
+        console.error('Get product API error:', error);
+        res.status(500).json({ error: 'Failed to read product' });
+    }
+});
+
+app.put('/api/products/:id', async (req, res) => {
+    try {
+        const result = await productCatalog.put(req.params.id, req.body, parseBaseRevision(req.query.baseRevision), req.user);
+        if (result.conflict) {
+            return sendProductConflict(res, result.current);
+        }
+        res.status(result.created ? 201 : 200).json(result.product);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/products/:id', async (req, res) => {
+    try {
+        const result = await productCatalog.remove(req.params.id, parseBaseRevision(req.query.baseRevision), req.user);
+        if (result.conflict) {
+            return sendProductConflict(res, result.current);
+        }
+        if (!result.removed) {
+            return res.status(404).json({ error: 'Product not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Delete product API error:', error);
+        res.status(500).json({ error: 'Failed to delete product' });
+    }
+});
+
+// Cacheable GET for a product by ASIN (?marketplace=amazon.de, ?force=true)
+app.get('/api/products/:asin', meterUsage(), async (req, res) => {
+    try {
+        const { asin } = req.params;
+        const marketplace = req.query.marketplace || DEFAULT_MARKETPLACE;
+
+        if (!/^[A-Z0-9]{10}$/i.test(asin)) {
+            return res.status(400).json({ error: 'Please provide a valid 10-character ASIN' });
+        }
+        if (!MARKETPLACES[marketplace]) {
+            return res.status(400).json({ error: `Unknown marketplace: ${marketplace}` });
+        }
+
+        const productData = await scrapeCache.scrape(buildProductUrl(asin, marketplace), { force: req.query.force === 'true' });
+        res.json(productData);
+
+    } catch (error) {
+        console.error('Product API error:', error);
+        sendScrapeError(res, error);
+    }
+});
+
+// Batch scrape endpoint. Progress is streamed back as Server-Sent Events on the
+// POST response, so clients read it with fetch() rather than EventSource.
+// Each URL that gets scraped counts against the daily request quota; invalid,
+// duplicate and over-limit URLs are skipped and not charged.
+app.post('/api/scrape/batch', meterUsage({ cost: req => (Array.isArray((req.body || {}).urls) ? batchScraper.plan(req.body.urls).queue.length : 1) }), async (req, res) => {
+    const { urls } = req.body || {};
+
+    if (!Array.isArray(urls) || urls.length === 0) {
+        return res.status(400).json({ error: 'A non-empty "urls" array is required' });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+
+    let cancelled = false;
+    res.on('close', () => {
+        cancelled = true;
+    });
+
+    const emit = (event, data) => {
+        if (!cancelled) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+
+    try {
+        await batchScraper.run(urls, emit, () => cancelled);
+    } catch (error) {
+        console.error('Batch scrape API error:', error);
+        emit('error', { error: error.message || 'Batch scrape failed' });
+    }
+
+    res.end();
+});
+
+// Download image endpoint
+app.post('/api/download-image', meterUsage({ download: true }), async (req, res) => {
+    try {
+        const { url, productId, index, productTitle } = req.body;
+
+        if (!url || productId === undefined || index === undefined) {
+            return res.status(400).json({ error: 'Missing required parameters' });
+        }
+        if (!Number.isInteger(index) || index < 0) {
+            return res.status(400).json({ error: 'index must be a whole number' });
+        }
+
+        if (!urlRules.isAllowedImageUrl(url)) {
+            return res.status(400).json({ error: 'Only Amazon product images can be downloaded', code: 'INVALID_URL' });
+        }
+
+        const result = await imageDownloader.downloadImage(url, productId, index, productTitle, req.user, { maxBytes: req.usage.maxBytes });
+
+        if (result.success) {
+            await usageMeter.record(req.user, req.apiKey, { downloads: 1, bytes: result.size });
+
+            // Send the file as response
+            res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+            res.setHeader('Content-Type', 'image/jpeg');
+            
+            const fileStream = require('fs').createReadStream(result.filepath);
+            fileStream.pipe(res);
+            
+            // Don't delete file immediately - keep it in the product folder
+            // fileStream.on('end', () => {
+            //     fs.unlink(result.filepath).catch(console.error);
+            // });
+        } else {
+            const status = { INVALID_URL: 400, QUOTA_EXCEEDED: 429 }[result.code] || 500;
+            res.status(status).json({ error: result.error, code: result.code });
+        }
+
+    } catch (error) {
+        console.error('Download image API error:', error);
+        res.status(500).json({ error: 'Failed to download image' });
+    }
+});
+
+// The signed-in user's quota: what is used today and what is left
+app.get('/api/usage', async (req, res) => {
+    try {
+        res.json(await usageMeter.getStatus(req.user, req.apiKey));
+    } catch (error) {
+        console.error('Usage API error:', error);
+        res.status(500).json({ error: 'Failed to read usage' });
+    }
+});
+
+// Today's usage of every user and API key
+app.get('/api/admin/usage', requireAdmin, async (req, res) => {
+    try {
+        res.json(await usageMeter.report(await userStore.list()));
+    } catch (error) {
+        console.error('Admin usage API error:', error);
+        res.status(500).json({ error: 'Failed to read usage' });
+    }
+});
+
+// Watch routes. Each user only sees and changes their own watches.
+app.get('/api/watches', (req, res) => {
+    res.json(watchScheduler.list(req.user));
+});
+
+// Watches on a URL store its canonical product URL
+async function resolveWatchInput(body) {
+    const input = { ...(body || {}) };
+    if (input.url) input.url = await resolveScrapeUrl(String(input.url));
+    return input;
+}
+
+app.post('/api/watches', async (req, res) => {
+    try {
+        const watch = await watchScheduler.create(await resolveWatchInput(req.body), req.user);
+        res.status(201).json(watch);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.get('/api/watches/:id', (req, res) => {
+    const watch = watchScheduler.get(req.params.id, req.user);
+    if (!watch) {
+        return res.status(404).json({ error: 'Watch not found' });
+    }
+    res.json(watch);
+});
+
+app.put('/api/watches/:id', async (req, res) => {
+    try {
+        const watch = await watchScheduler.update(req.params.id, await resolveWatchInput(req.body), req.user);
+        if (!watch) {
+            return res.status(404).json({ error: 'Watch not found' });
+        }
+        res.json(watch);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/watches/:id', async (req, res) => {
+    try {
+        const removed = await watchScheduler.remove(req.params.id, req.user);
+        if (!removed) {
+            return res.status(404).json({ error: 'Watch not found' });
+        }
+        res.status(204).end();
+    } catch (error) {
+        console.error('Delete watch API error:', error);
+        res.status(500).json({ error: 'Failed to delete watch' });
+    }
+});
+
+// Run a check immediately instead of waiting for the schedule
+app.post('/api/watches/:id/check', async (req, res) => {
+    if (!watchScheduler.get(req.params.id, req.user)) {
+        return res.status(404).json({ error: 'Watch not found' });
+    }
+
+    try {
+        const result = await watchScheduler.check(req.params.id);
+        res.json({ result, watch: watchScheduler.get(req.params.id) });
+    } catch (error) {
+        console.error('Watch check API error:', error);
+        res.status(500).json({ error: 'Failed to check watch' });
+    }
+});
+
+// Serve static files (PWA assets)
+app.get('/manifest.json', (req, res) => {
+    res.sendFile(path.join(__dirname, 'manifest.json'));
+});
+
+app.get('/sw.js', (req, res) => {
+    res.setHeader('Content-Type', 'application/javascript');
+    res.sendFile(path.join(__dirname, 'sw.js'));
+});
+
+// Serve the main app
+app.get('*', (req, res) => {
+    res.sendFile(path.join(__dirname, 'index.html'));
+});
+
+// ===== ERROR HANDLING =====
+app.use((err, req, res, next) => {
+    console.error('Unhandled error:', err);
+    res.status(500).json({
+        error: 'Internal server error',
+        message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
+    });
+});
+
+// Handle 404s
+app.use((req, res) => {
+    res.status(404).json({ error: 'Endpoint not found' });
+});
+
+// ===== SERVER STARTUP =====
+// Only listen when run directly, so tests can require the scraper without starting the server
+if (require.main === module) {
+    const server = app.listen(PORT, () => {
+        console.log(`🚀 Amazon Product Scraper Server running on port ${PORT}`);
+        console.log(`📱 PWA available at: http://localhost:${PORT}`);
+        console.log(`🔍 API endpoint: http://localhost:${PORT}/api/scrape`);
+        console.log(`📥 Downloads directory: ${DOWNLOADS_DIR}`);
+        console.log(`📊 Health check: http://localhost:${PORT}/health`);
+    });
+
+    userStore.count().then((count) => {
+        if (!count) console.log('👤 No accounts yet: the first account created in the app becomes the admin');
+    });
+
+    watchScheduler.start().catch(error => console.error('Failed to start watch scheduler:', error));
+
+    // Graceful shutdown
+    process.on('SIGINT', () => {
+        console.log('\n🛑 Shutting down server gracefully...');
+        watchScheduler.stop();
+        server.close(() => {
+            console.log('✅ Server closed');
+            process.exit(0);
+        });
+    });
+
+    process.on('uncaughtException', (err) => {
+        console.error('Uncaught Exception:', err);
+        process.exit(1);
+    });
+
+    process.on('unhandledRejection', (reason, promise) => {
+        console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+        process.exit(1);
+    });
+}
 
-module.exports = app;
\ No newline at end of file
+module.exports = app;
+module.exports.AmazonScraper = AmazonScraper;
+module.exports.ScrapeError = ScrapeError;
+module.exports.HttpClient = HttpClient;
+module.exports.isPrivateAddress = isPrivateAddress;
+module.exports.resolveScrapeUrl = resolveScrapeUrl;
+module.exports.MARKETPLACES = MARKETPLACES;
+module.exports.httpClient = httpClient;
+module.exports.ProxyPool = ProxyPool;
+module.exports.RequestProfiles = RequestProfiles;
+module.exports.requestProfiles = requestProfiles;
+module.exports.loadRequestProfileConfig = loadRequestProfileConfig;
+module.exports.scraper = scraper;
+module.exports.ImageDownloader = ImageDownloader;
+module.exports.WatchScheduler = WatchScheduler;
+module.exports.watchScheduler = watchScheduler;
+module.exports.BatchScraper = BatchScraper;
+module.exports.batchScraper = batchScraper;
+module.exports.ScrapeCache = ScrapeCache;
+module.exports.scrapeCache = scrapeCache;
+module.exports.ProductCatalog = ProductCatalog;
+module.exports.productCatalog = productCatalog;
+module.exports.UserStore = UserStore;
+module.exports.userStore = userStore;
+module.exports.UsageMeter = UsageMeter;
+module.exports.usageMeter = usageMeter;
+module.exports.LoginThrottle = LoginThrottle;
+module.exports.loginThrottle = loginThrottle;
\ No newline at end of file
@@ -1,6 +1,9 @@
 // ===== SERVICE WORKER FOR AMAZON PRODUCT SCRAPER PWA =====
 
-const CACHE_NAME = 'amazon-scraper-v1.0.0';
+// ProductStore and ProductRepository, shared with the page
+importScripts('/db.js', '/repository.js');
+
+const CACHE_NAME = 'amazon-scraper-v1.8.0';
 const RUNTIME_CACHE = 'amazon-scraper-runtime';
 const API_CACHE = 'amazon-scraper-api';
 
@@ -10,6 +13,9 @@ const STATIC_ASSETS = [
     '/index.html',
     '/styles.css',
     '/script.js',
+    '/db.js',
+    '/repository.js',
+    '/url-rules.js',
     '/manifest.json',
     // Add any additional static assets here
 ];
@@ -17,14 +23,31 @@ const STATIC_ASSETS = [
 // API routes to cache
 const API_ROUTES = [
     '/api/scrape',
+    '/api/products',
     '/health'
 ];
 
 // URLs that should not be cached
 const EXCLUDE_FROM_CACHE = [
-    '/api/download-image' // Images are handled separately
+    '/api/download-image', // Images are handled separately
+    '/api/auth' // Sessions and API keys must never be answered from the cache
+];
+
+// Paths (and everything below them) that must always come from the network: a cached
+// product list or saved product would make ProductRepository treat newer local
+// products as deleted or stale
+const NETWORK_ONLY_PATHS = [
+    '/api/products'
+];
+
+// Scrapes by ASIN share the catalog's path, but are kept for offline use
+const CACHEABLE_API_PATTERNS = [
+    /^\/api\/products\/[A-Z0-9]{10}$/i
 ];
 
+const productStore = new ProductStore();
+const productRepository = new ProductRepository(productStore);
+
 // ===== SERVICE WORKER EVENTS =====
 
 // Install event - cache static resources
@@ -68,6 +91,8 @@ self.addEventListener('activate', (event) => {
                 );
             })
             .then(() => {
+                // Products used to be mirrored into a worker-only database
+                indexedDB.deleteDatabase('amazon-scraper-sw');
                 console.log('Service Worker: Activated successfully');
                 // Claim all clients immediately
                 return self.clients.claim();
@@ -185,21 +210,27 @@ async function handleApiRequest(request) {
     if (shouldExcludeFromCache(url.pathname)) {
         return fetch(request);
     }
+
+    if (isNetworkOnly(url.pathname)) {
+        return fetch(request).catch(() => new Response(JSON.stringify({ error: 'Service unavailable offline', offline: true }), {
+            status: 503,
+            headers: { 'Content-Type': 'application/json' }
+        }));
+    }
     
     try {
         // Network first strategy for API calls
         const response = await fetch(request);
         
-        if (response.ok) {
-            // Cache successful API responses (except POST requests)
-            if (request.method === 'GET') {
-                const cache = await caches.open(API_CACHE);
-                cache.put(request, response.clone());
-            }
-            return response;
+        // Cache successful API responses (except POST requests)
+        if (response.ok && request.method === 'GET') {
+            const cache = await caches.open(API_CACHE);
+            cache.put(request, response.clone());
         }
         
-        throw new Error(`API response not ok: ${response.status}`);
+        // Error responses reached the server, so pass them on (typed scrape errors, 404s)
+        // rather than reporting the app as offline
+        return response;
         
     } catch (error) {
         console.log('Service Worker: API network failed, checking cache');
@@ -266,6 +297,13 @@ function shouldExcludeFromCache(pathname) {
     return EXCLUDE_FROM_CACHE.some(excludePath => pathname.startsWith(excludePath));
 }
 
+function isNetworkOnly(pathname) {
+    if (CACHEABLE_API_PATTERNS.some(pattern => pattern.test(pathname))) {
+        return false;
+    }
+    return NETWORK_ONLY_PATHS.some(networkPath => pathname === networkPath || pathname.startsWith(`${networkPath}/`));
+}
+
 function getOfflinePageHtml() {
     return `
     <!DOCTYPE html>
@@ -375,7 +413,7 @@ function getOfflinePageHtml() {
     `;
 }
 
-// ===== BACKGROUND SYNC (Future Enhancement) =====
+// ===== BACKGROUND SYNC =====
 
 // Handle background sync for offline actions
 self.addEventListener('sync', (event) => {
@@ -386,44 +424,111 @@ self.addEventListener('sync', (event) => {
     }
 });
 
+const MAX_SCRAPE_ATTEMPTS = 3;
+
 async function handleBackgroundScrape() {
-    try {
-        // Get pending scrape requests from IndexedDB
-        const pendingRequests = await getPendingScrapeRequests();
-        
-        for (const request of pendingRequests) {
-            try {
-                const response = await fetch('/api/scrape', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(request)
-                });
+    // Get pending scrape requests from IndexedDB
+    const pendingRequests = await getPendingScrapeRequests();
+    let networkFailed = false;
+    
+    for (const request of pendingRequests) {
+        try {
+            const response = await fetch('/api/scrape', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ url: request.url })
+            });
+            
+            if (response.ok) {
+                const data = await response.json();
                 
-                if (response.ok) {
-                    // Remove from pending requests
-                    await removePendingScrapeRequest(request.id);
-                    
-                    // Notify the client
-                    await notifyClients({
-                        type: 'SCRAPE_COMPLETED',
-                        data: await response.json()
-                    });
-                }
-            } catch (error) {
-                console.error('Background scrape failed:', error);
+                // Remove from pending requests
+                await removePendingScrapeRequest(request.id);
+                await deliverScrapeResult(request, data);
+            } else if (response.status === 503 || response.status === 429) {
+                // Still offline, or Amazon is throttling / showing a robot check; keep it for the next sync
+                networkFailed = true;
+            } else {
+                const body = await response.json().catch(() => ({}));
+                await recordFailedScrape(request, body.error || `Server error: ${response.status}`);
             }
+        } catch (error) {
+            console.error('Background scrape failed:', error);
+            networkFailed = true;
         }
-    } catch (error) {
-        console.error('Background sync failed:', error);
+    }
+    
+    // Rejecting makes the browser retry the sync later
+    if (networkFailed) {
+        throw new Error('Background scrape incomplete, will retry');
     }
 }
 
+// Hand the result to an open window, or save it directly when the app is closed
+async function deliverScrapeResult(request, data) {
+    const windowClients = await self.clients.matchAll({ type: 'window' });
+    
+    if (windowClients.length) {
+        await notifyClients({
+            type: 'SCRAPE_COMPLETED',
+            data: { request, product: data }
+        });
+        return;
+    }
+    
+    const offer = data.priceDetails && data.priceDetails.offer;
+    const extractedAt = new Date().toISOString();
+    await saveCachedProduct({
+        id: request.id,
+        url: request.url,
+        extractedAt,
+        ...data,
+        priceHistory: [{
+            date: extractedAt,
+            offerPrice: data.offerPrice || '',
+            originalPrice: data.originalPrice || '',
+            amount: offer ? offer.amount : null,
+            currency: offer ? offer.currency : (data.currency || '')
+        }]
+    });
+    
+    await showAppNotification({
+        title: 'Product extracted',
+        body: data.title || request.url,
+        tag: String(request.id),
+        actions: [{ action: 'view-product', title: 'View product' }],
+        data: { productId: request.id }
+    });
+}
+
+async function recordFailedScrape(request, reason) {
+    const attempts = (request.attempts || 0) + 1;
+    
+    if (attempts < MAX_SCRAPE_ATTEMPTS) {
+        await productStore.putPendingScrape({ ...request, attempts, lastError: reason });
+        return;
+    }
+    
+    await removePendingScrapeRequest(request.id);
+    await notifyClients({
+        type: 'SCRAPE_FAILED',
+        data: { request, error: reason }
+    });
+}
+
 // ===== PUSH NOTIFICATIONS (Future Enhancement) =====
 
 self.addEventListener('push', (event) => {
     console.log('Service Worker: Push notification received');
     
     const data = event.data ? event.data.json() : {};
+    
+    event.waitUntil(
+        showAppNotification(data)
+    );
+});
+
+function showAppNotification(data) {
     const title = data.title || 'Amazon Product Scraper';
     const options = {
         body: data.body || 'New notification',
@@ -431,13 +536,12 @@ self.addEventListener('push', (event) => {
         badge: '/android-chrome-72x72.png',
         tag: data.tag || 'general',
         requireInteraction: data.requireInteraction || false,
-        actions: data.actions || []
+        actions: data.actions || [],
+        data: data.data || {}
     };
     
-    event.waitUntil(
-        self.registration.showNotification(title, options)
-    );
-});
+    return self.registration.showNotification(title, options);
+}
 
 self.addEventListener('notificationclick', (event) => {
     console.log('Service Worker: Notification click received');
@@ -446,11 +550,12 @@ self.addEventListener('notificationclick', (event) => {
     
     const action = event.action;
     const notification = event.notification;
+    const productId = (notification.data && notification.data.productId) || notification.tag;
     
-    if (action === 'view-product') {
+    if (action === 'view-product' || (notification.data && notification.data.productId)) {
         // Open the app and navigate to product
         event.waitUntil(
-            clients.openWindow(`/?product=${notification.tag}`)
+            openProductInClient(productId)
         );
     } else {
         // Default action - open the app
@@ -460,6 +565,19 @@ self.addEventListener('notificationclick', (event) => {
     }
 });
 
+// Focus an open app window on the product, or open a new one deep-linked to it
+async function openProductInClient(productId) {
+    const windowClients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windowClients.find(c => new URL(c.url).origin === self.location.origin);
+    
+    if (client) {
+        client.postMessage({ type: 'VIEW_PRODUCT', data: { productId } });
+        return client.focus();
+    }
+    
+    return clients.openWindow(`/?product=${encodeURIComponent(productId)}`);
+}
+
 // ===== CLIENT COMMUNICATION =====
 
 // Handle messages from client
@@ -477,6 +595,15 @@ self.addEventListener('message', (event) => {
     if (event.data && event.data.type === 'CLEAR_CACHE') {
         event.waitUntil(clearAllCaches());
     }
+    
+    if (event.data && event.data.type === 'RUN_WATCHER') {
+        event.waitUntil(doPeriodicSync());
+    }
+    
+    // Fallback for browsers without Background Sync
+    if (event.data && event.data.type === 'REPLAY_SCRAPES') {
+        event.waitUntil(handleBackgroundScrape().catch(error => console.log(error.message)));
+    }
 });
 
 // Notify all clients
@@ -503,20 +630,28 @@ async function clearAllCaches() {
     }
 }
 
-// ===== INDEXEDDB HELPERS (Future Enhancement) =====
+// ===== INDEXEDDB HELPERS =====
+
+// Through the repository, so the change is queued for the shared catalog like the page's edits
+async function saveCachedProduct(product) {
+    return productRepository.saveProduct(product);
+}
 
 async function getPendingScrapeRequests() {
-    // Implementation would use IndexedDB to store offline requests
-    // For now, return empty array
-    return [];
+    try {
+        return await productStore.getPendingScrapes();
+    } catch (error) {
+        console.error('Service Worker: Failed to read pending scrapes:', error);
+        return [];
+    }
 }
 
 async function removePendingScrapeRequest(requestId) {
-    // Implementation would remove request from IndexedDB
     console.log('Removing pending request:', requestId);
+    return productStore.deletePendingScrape(requestId);
 }
 
-// ===== PERIODIC BACKGROUND SYNC (Future Enhancement) =====
+// ===== PERIODIC BACKGROUND SYNC =====
 
 self.addEventListener('periodicsync', (event) => {
     if (event.tag === 'content-sync') {
@@ -529,11 +664,17 @@ async function doPeriodicSync() {
         // Sync cached data, update prices, etc.
         console.log('Service Worker: Performing periodic sync');
         
-        // Check for updated product prices
-        const cachedProducts = await getAllCachedProducts();
-        for (const product of cachedProducts) {
-            if (shouldUpdateProduct(product)) {
-                await updateProductData(product);
+        // Check prices of the products this browser's user set alerts on
+        const alerts = await getPriceAlerts();
+        for (const alert of alerts) {
+            const product = await productStore.get(alert.productId);
+            if (!product) {
+                await productStore.deleteAlert(alert.productId);
+                continue;
+            }
+            // Server-side watches are cheap to read, so those are checked every sync
+            if (isWatched(alert) && (alert.serverWatchId || shouldUpdateProduct(product))) {
+                await updateProductData(product, alert);
             }
         }
     } catch (error) {
@@ -541,9 +682,17 @@ async function doPeriodicSync() {
     }
 }
 
-async function getAllCachedProducts() {
-    // Would get products from IndexedDB
-    return [];
+async function getPriceAlerts() {
+    try {
+        return await productStore.getAlerts();
+    } catch (error) {
+        console.error('Service Worker: Failed to read price alerts:', error);
+        return [];
+    }
+}
+
+function isWatched(alert) {
+    return Boolean(alert.targetPrice || alert.dropPercent);
 }
 
 function shouldUpdateProduct(product) {
@@ -553,7 +702,11 @@ function shouldUpdateProduct(product) {
     return Date.now() - lastUpdated.getTime() > dayInMs;
 }
 
-async function updateProductData(product) {
+async function updateProductData(product, alert) {
+    if (alert.serverWatchId) {
+        return updateProductFromServerWatch(product, alert);
+    }
+    
     try {
         const response = await fetch('/api/scrape', {
             method: 'POST',
@@ -563,13 +716,18 @@ async function updateProductData(product) {
         
         if (response.ok) {
             const updatedData = await response.json();
+            const updatedProduct = applyPriceUpdate(product, updatedData);
+            
+            await checkPriceAlert(updatedProduct, alert);
+            
             // Update cached data
+            await saveCachedProduct(updatedProduct);
             console.log('Product updated:', product.title);
             
             // Notify clients of update
             await notifyClients({
                 type: 'PRODUCT_UPDATED',
-                data: { ...product, ...updatedData }
+                data: updatedProduct
             });
         }
     } catch (error) {
@@ -577,6 +735,116 @@ async function updateProductData(product) {
     }
 }
 
+// ===== PRICE WATCHER =====
+
+// Read results the server's watch scheduler already recorded instead of scraping again.
+// A 404 means the watch is gone or belongs to someone else, so the alert is dropped.
+async function updateProductFromServerWatch(product, alert) {
+    try {
+        const response = await fetch(`/api/watches/${encodeURIComponent(alert.serverWatchId)}`);
+        if (response.status === 404) {
+            await productStore.deleteAlert(alert.productId);
+            return;
+        }
+        if (!response.ok) return;
+        
+        const watch = await response.json();
+        const lastResultAt = alert.lastResultAt || '';
+        const results = watch.results.filter(result => !result.error && result.checkedAt > lastResultAt);
+        if (!results.length) return;
+        
+        const latest = results[results.length - 1];
+        const updatedProduct = {
+            ...product,
+            offerPrice: latest.offerPrice || product.offerPrice,
+            originalPrice: latest.originalPrice || product.originalPrice,
+            priceHistory: [...(product.priceHistory || []), ...results.map(result => ({
+                date: result.checkedAt,
+                offerPrice: result.offerPrice,
+                originalPrice: result.originalPrice,
+                amount: result.amount,
+                currency: result.currency
+            }))],
+            updatedAt: new Date().toISOString()
+        };
+        
+        if (latest.amount !== null) {
+            updatedProduct.priceDetails = {
+                ...product.priceDetails,
+                offer: { amount: latest.amount, currency: latest.currency, display: latest.offerPrice }
+            };
+        }
+        
+        await productStore.putAlert({ ...alert, lastResultAt: latest.checkedAt });
+        await checkPriceAlert(updatedProduct, { ...alert, lastResultAt: latest.checkedAt });
+        await saveCachedProduct(updatedProduct);
+        
+        await notifyClients({
+            type: 'PRODUCT_UPDATED',
+            data: updatedProduct
+        });
+    } catch (error) {
+        console.error('Failed to read server watch:', error);
+    }
+}
+
+// Only pricing is refreshed; the rest of the product keeps the user's edits
+function applyPriceUpdate(product, updatedData) {
+    const updated = { ...product };
+    const priceFields = ['offerPrice', 'originalPrice', 'offerPercentage', 'amountSaved', 'priceDetails', 'currency', 'availability', 'seller', 'prime', 'delivery'];
+    
+    priceFields.forEach((field) => {
+        if (updatedData[field] !== undefined) updated[field] = updatedData[field];
+    });
+    
+    const offer = updated.priceDetails && updated.priceDetails.offer;
+    updated.updatedAt = new Date().toISOString();
+    updated.priceHistory = [...(product.priceHistory || []), {
+        date: updated.updatedAt,
+        offerPrice: updated.offerPrice || '',
+        originalPrice: updated.originalPrice || '',
+        amount: offer ? offer.amount : null,
+        currency: offer ? offer.currency : (updated.currency || '')
+    }];
+    
+    return updated;
+}
+
+async function checkPriceAlert(product, alert) {
+    const offer = product.priceDetails && product.priceDetails.offer;
+    if (!offer) return;
+    
+    const amount = offer.amount;
+    const reasons = [];
+    
+    if (alert.targetPrice && amount <= alert.targetPrice) {
+        reasons.push(`at or below your target of ${alert.targetPrice}`);
+    }
+    
+    if (alert.dropPercent && alert.baselineAmount) {
+        const drop = ((alert.baselineAmount - amount) / alert.baselineAmount) * 100;
+        if (drop >= alert.dropPercent) {
+            reasons.push(`down ${Math.round(drop)}% since you started watching`);
+        }
+    }
+    
+    // Alert once per new low so an unchanged price doesn't notify every sync
+    if (!reasons.length || (alert.notifiedAmount !== undefined && amount >= alert.notifiedAmount)) {
+        return;
+    }
+    
+    await productStore.putAlert({ ...alert, notifiedAmount: amount, notifiedAt: new Date().toISOString() });
+    
+    await showAppNotification({
+        title: `Price drop: ${product.title || 'Saved product'}`,
+        body: `Now ${product.offerPrice || amount}, ${reasons.join(' and ')}.`,
+        tag: String(product.id),
+        requireInteraction: true,
+        actions: [{ action: 'view-product', title: 'View product' }],
+        data: { productId: product.id }
+    });
+}
+
 // ===== ERROR HANDLING =====
 
 self.addEventListener('error', (event) => {
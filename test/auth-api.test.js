@@ -0,0 +1,184 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-api-'));
+process.env.DATA_DIR = dataDir;
+process.env.CORS_ORIGINS = 'https://dashboard.example';
+
+const app = require('../server');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function request(method, urlPath, { body, cookie, headers = {} } = {}) {
+    return fetch(`${baseUrl}${urlPath}`, {
+        method,
+        headers: {
+            ...(body ? { 'Content-Type': 'application/json' } : {}),
+            ...(cookie ? { Cookie: cookie } : {}),
+            ...headers
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+}
+
+// The session cookie from a login or registration response
+function sessionCookie(response) {
+    const header = response.headers.get('set-cookie') || '';
+    return header.split(';')[0];
+}
+
+const admin = { username: 'alice', password: 'alice-password' };
+const teammate = { username: 'bob', password: 'bob-password' };
+let adminCookie;
+
+test('the API needs credentials until the first account is created', async () => {
+    const scrape = await request('POST', '/api/scrape', { body: { url: 'https://www.amazon.com/dp/B000000001' } });
+    assert.strictEqual(scrape.status, 401);
+    assert.strictEqual((await scrape.json()).code, 'AUTH_REQUIRED');
+    assert.strictEqual((await request('POST', '/api/download-image', { body: {} })).status, 401);
+    assert.strictEqual((await request('GET', '/health')).status, 200);
+
+    const me = await request('GET', '/api/auth/me');
+    assert.strictEqual(me.status, 401);
+    assert.strictEqual((await me.json()).setupRequired, true);
+
+    const registered = await request('POST', '/api/auth/register', { body: admin });
+    assert.strictEqual(registered.status, 201);
+    assert.strictEqual((await registered.json()).user.role, 'admin');
+    adminCookie = sessionCookie(registered);
+    assert.match(registered.headers.get('set-cookie'), /HttpOnly/);
+
+    const signedIn = await (await request('GET', '/api/auth/me', { cookie: adminCookie })).json();
+    assert.strictEqual(signedIn.user.username, 'alice');
+    assert.strictEqual(signedIn.user.passwordHash, undefined);
+});
+
+test('sign-up is closed after the first account, but admins can add users', async () => {
+    assert.strictEqual((await request('POST', '/api/auth/register', { body: teammate })).status, 403);
+
+    const added = await request('POST', '/api/auth/register', { body: teammate, cookie: adminCookie });
+    assert.strictEqual(added.status, 201);
+    assert.strictEqual((await added.json()).user.role, 'user');
+    assert.strictEqual(added.headers.get('set-cookie'), null);
+
+    assert.strictEqual((await request('POST', '/api/auth/register', { body: teammate, cookie: adminCookie })).status, 409);
+    assert.strictEqual((await request('POST', '/api/auth/register', { body: { username: 'x', password: 'short' }, cookie: adminCookie })).status, 400);
+});
+
+test('login sessions start and end', async () => {
+    const wrong = await request('POST', '/api/auth/login', { body: { ...teammate, password: 'nope-nope' } });
+    assert.strictEqual(wrong.status, 401);
+
+    const login = await request('POST', '/api/auth/login', { body: teammate });
+    assert.strictEqual(login.status, 200);
+    const cookie = sessionCookie(login);
+    assert.strictEqual((await request('GET', '/api/products', { cookie })).status, 200);
+
+    assert.strictEqual((await request('POST', '/api/auth/logout', { cookie })).status, 204);
+    assert.strictEqual((await request('GET', '/api/products', { cookie })).status, 401);
+});
+
+test('API keys authenticate scripts until they are revoked', async () => {
+    const created = await request('POST', '/api/auth/keys', { body: { name: 'price bot' }, cookie: adminCookie });
+    assert.strictEqual(created.status, 201);
+    const { id, key } = await created.json();
+    assert.match(key, /^ask_/);
+
+    const listed = await (await request('GET', '/api/auth/keys', { cookie: adminCookie })).json();
+    assert.deepStrictEqual(listed.map(item => item.name), ['price bot']);
+    assert.strictEqual(listed[0].key, undefined);
+    assert.strictEqual(listed[0].hash, undefined);
+
+    assert.strictEqual((await request('GET', '/api/products', { headers: { 'X-API-Key': key } })).status, 200);
+    assert.strictEqual((await request('GET', '/api/products', { headers: { Authorization: `Bearer ${key}` } })).status, 200);
+    assert.strictEqual((await request('GET', '/api/products', { headers: { 'X-API-Key': 'ask_forged' } })).status, 401);
+
+    // Only hashes are stored
+    const stored = fs.readFileSync(path.join(dataDir, 'users.json'), 'utf8');
+    assert.ok(!stored.includes(key));
+    assert.ok(!stored.includes(admin.password));
+
+    assert.strictEqual((await request('DELETE', `/api/auth/keys/${id}`, { cookie: adminCookie })).status, 204);
+    assert.strictEqual((await request('GET', '/api/products', { headers: { 'X-API-Key': key } })).status, 401);
+});
+
+test('saved products record who created, changed and deleted them', async () => {
+    const bobCookie = sessionCookie(await request('POST', '/api/auth/login', { body: teammate }));
+    const product = { id: 1700000000100, title: 'Standing Desk', createdBy: 'mallory' };
+
+    const created = await (await request('PUT', '/api/products/1700000000100', { body: product, cookie: bobCookie })).json();
+    assert.strictEqual(created.createdBy, 'bob');
+    assert.strictEqual(created.updatedBy, 'bob');
+
+    const updated = await (await request('PUT', '/api/products/1700000000100', { body: { ...product, brand: 'Lift' }, cookie: adminCookie })).json();
+    assert.strictEqual(updated.createdBy, 'bob');
+    assert.strictEqual(updated.updatedBy, 'alice');
+
+    await request('DELETE', '/api/products/1700000000100', { cookie: adminCookie });
+    const all = await (await request('GET', '/api/products?includeDeleted=true', { cookie: adminCookie })).json();
+    assert.strictEqual(all.find(item => item.id === product.id).deletedBy, 'alice');
+});
+
+test('CORS only answers allowlisted origins', async () => {
+    const allowed = await request('GET', '/health', { headers: { Origin: 'https://dashboard.example' } });
+    assert.strictEqual(allowed.headers.get('access-control-allow-origin'), 'https://dashboard.example');
+    assert.strictEqual(allowed.headers.get('access-control-allow-credentials'), 'true');
+
+    const other = await request('GET', '/health', { headers: { Origin: 'https://evil.example' } });
+    assert.strictEqual(other.headers.get('access-control-allow-origin'), null);
+});
+
+test('only the app\'s own files are served from the project folder', async () => {
+    const script = await request('GET', '/script.js');
+    assert.strictEqual(script.status, 200);
+    assert.match(script.headers.get('content-type'), /javascript/);
+
+    // Anything else falls through to the app shell, however the path is encoded
+    for (const urlPath of ['/server.js', '/package.json', '/request-profiles.example.json', '/%72equest-profiles.example.json',
+        '/%64ata/users.json', '/data%2Fusers.json', '/./data/users.json', '/%64ownloads/alice/photo.jpg', '/test/auth-api.test.js']) {
+        const response = await request('GET', urlPath);
+        assert.match(response.headers.get('content-type'), /text\/html/, urlPath);
+        assert.match(await response.text(), /^<!DOCTYPE html>/i, urlPath);
+    }
+});
+
+test('sign-in attempts are limited per account and per address', async () => {
+    const { LoginThrottle } = app;
+    const throttle = new LoginThrottle({ accountAttempts: 2, addressAttempts: 3, windowMs: 60000 });
+
+    assert.strictEqual(throttle.attempt('Carol', '10.0.0.1'), 0);
+    assert.strictEqual(throttle.attempt('carol', '10.0.0.2'), 0);
+    assert.ok(throttle.attempt('CAROL', '10.0.0.3') > 0);
+
+    // A successful sign-in refills the account, but not the address
+    throttle.succeeded('carol');
+    assert.strictEqual(throttle.attempt('carol', '10.0.0.1'), 0);
+    assert.strictEqual(throttle.attempt('dave', '10.0.0.1'), 0);
+    assert.strictEqual(throttle.attempt('erin', '10.0.0.1'), 60 / 3);
+
+    // The route refuses further guesses, even with the right password
+    for (let i = 0; i < app.loginThrottle.accountAttempts; i++) {
+        const wrong = await request('POST', '/api/auth/login', { body: { ...teammate, password: `guess-${i}` } });
+        assert.strictEqual(wrong.status, 401);
+    }
+    const blocked = await request('POST', '/api/auth/login', { body: teammate });
+    assert.strictEqual(blocked.status, 429);
+    assert.strictEqual((await blocked.json()).code, 'RATE_LIMITED');
+    assert.ok(Number(blocked.headers.get('retry-after')) > 0);
+});
@@ -0,0 +1,184 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-scraper-'));
+process.env.DATA_DIR = dataDir;
+
+const app = require('../server');
+const { BatchScraper, ScrapeCache, batchScraper, scrapeCache, userStore } = app;
+
+// Fails each URL a configurable number of times before succeeding
+function createFlakyScraper(failuresByUrl = {}) {
+    const calls = [];
+    let active = 0;
+    let maxActive = 0;
+
+    return {
+        calls,
+        get maxActive() {
+            return maxActive;
+        },
+        async scrapeProduct(url) {
+            calls.push({ url, at: Date.now() });
+            active++;
+            maxActive = Math.max(maxActive, active);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            active--;
+
+            if (failuresByUrl[url] > 0) {
+                failuresByUrl[url]--;
+                throw new Error('Request failed with status code 503');
+            }
+            return { title: `Product at ${url}` };
+        }
+    };
+}
+
+function collectEvents() {
+    const events = [];
+    const emit = (event, data) => events.push({ event, data });
+    return { events, emit };
+}
+
+test('retries failures and reports a summary', async () => {
+    const scraper = createFlakyScraper({ 'https://www.amazon.com/dp/B000000001': 1, 'https://www.amazon.com/dp/B000000002': 5 });
+    const batch = new BatchScraper({ scraper, hostDelayMs: 0, retryDelayMs: 1, retries: 2 });
+    const { events, emit } = collectEvents();
+
+    const summary = await batch.run([
+        'https://www.amazon.com/dp/B000000001',
+        'https://www.amazon.com/dp/B000000002',
+        'https://example.com/not-amazon',
+        'https://www.amazon.com/dp/B000000001'
+    ], emit);
+
+    assert.deepStrictEqual(summary, { total: 4, succeeded: 1, failed: 1, skipped: 2, cancelled: false });
+
+    const finalStatus = (index) => events.filter(e => e.event === 'progress' && e.data.index === index).pop().data;
+    assert.strictEqual(finalStatus(0).status, 'done');
+    assert.strictEqual(finalStatus(0).attempt, 2);
+    assert.strictEqual(finalStatus(1).status, 'failed');
+    assert.strictEqual(finalStatus(1).attempt, 3);
+    assert.strictEqual(finalStatus(2).status, 'skipped');
+    assert.strictEqual(finalStatus(3).error, 'Duplicate URL');
+    assert.strictEqual(events[events.length - 1].event, 'summary');
+});
+
+test('respects the concurrency limit and paces requests per host', async () => {
+    const scraper = createFlakyScraper();
+    const batch = new BatchScraper({ scraper, concurrency: 2, hostDelayMs: 30 });
+    const urls = [1, 2, 3, 4].map(n => `https://www.amazon.com/dp/B00000000${n}`);
+
+    await batch.run(urls, () => {});
+
+    assert.ok(scraper.maxActive <= 2);
+    const starts = scraper.calls.map(call => call.at);
+    for (let i = 1; i < starts.length; i++) {
+        assert.ok(starts[i] - starts[i - 1] >= 25, `requests ${i - 1} and ${i} were ${starts[i] - starts[i - 1]}ms apart`);
+    }
+});
+
+test('stops when cancelled', async () => {
+    const scraper = createFlakyScraper();
+    const batch = new BatchScraper({ scraper, concurrency: 1, hostDelayMs: 0 });
+    let cancelled = false;
+
+    const summary = await batch.run(
+        ['https://www.amazon.com/dp/B000000001', 'https://www.amazon.com/dp/B000000002'],
+        (event, data) => {
+            if (data.status === 'done') cancelled = true;
+        },
+        () => cancelled
+    );
+
+    assert.strictEqual(summary.succeeded, 1);
+    assert.strictEqual(summary.cancelled, true);
+});
+
+test('products in the scrape cache are answered without fetching them again', async () => {
+    const scraper = createFlakyScraper();
+    const scrapeProduct = scraper.scrapeProduct;
+    scraper.scrapeProduct = async url => ({ ...(await scrapeProduct(url)), asin: url.slice(-10), marketplace: 'amazon.com' });
+    scraper.detectMarketplace = () => ({ host: 'amazon.com' });
+
+    const cache = new ScrapeCache({ scraper });
+    const batch = new BatchScraper({ scraper, cache, hostDelayMs: 0 });
+    await batch.run(['https://www.amazon.com/dp/B000000001'], () => {});
+
+    const { events, emit } = collectEvents();
+    const summary = await batch.run(['https://www.amazon.com/dp/B000000001', 'https://www.amazon.com/dp/B000000002'], emit);
+
+    assert.strictEqual(summary.succeeded, 2);
+    assert.deepStrictEqual(scraper.calls.map(call => call.url), ['https://www.amazon.com/dp/B000000001', 'https://www.amazon.com/dp/B000000002']);
+
+    const done = events.filter(e => e.data.status === 'done').map(e => e.data);
+    assert.strictEqual(done.find(d => d.index === 0).product.fromCache, true);
+    assert.strictEqual(done.find(d => d.index === 1).product.fromCache, false);
+});
+
+let server;
+let baseUrl;
+let apiKey;
+
+before(async () => {
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // API routes need credentials; the tests send an API key
+    const user = await userStore.createUser({ username: 'tester', password: 'test-password' });
+    apiKey = (await userStore.createApiKey(user.id, 'tests')).key;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('/api/scrape/batch streams progress as server-sent events', async (t) => {
+    t.mock.method(console, 'log', () => {});
+
+    // Batches fetch through the shared scrape cache
+    const { scraper } = scrapeCache;
+    const { hostDelayMs } = batchScraper;
+    scrapeCache.scraper = Object.assign(createFlakyScraper(), { detectMarketplace: url => scraper.detectMarketplace(url) });
+    scrapeCache.clear();
+    batchScraper.hostDelayMs = 0;
+    t.after(() => {
+        scrapeCache.scraper = scraper;
+        scrapeCache.clear();
+        batchScraper.hostDelayMs = hostDelayMs;
+    });
+
+    const response = await fetch(`${baseUrl}/api/scrape/batch`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': apiKey },
+        body: JSON.stringify({ urls: ['https://www.amazon.com/dp/B000000001', 'nope'] })
+    });
+
+    assert.strictEqual(response.headers.get('content-type'), 'text/event-stream');
+
+    const events = (await response.text()).trim().split('\n\n').map((block) => {
+        const [eventLine, dataLine] = block.split('\n');
+        return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+    });
+
+    assert.deepStrictEqual(events.map(e => e.event), ['progress', 'start', 'progress', 'progress', 'summary']);
+    assert.strictEqual(events[3].data.product.title, 'Product at https://www.amazon.com/dp/B000000001');
+    assert.strictEqual(events[4].data.succeeded, 1);
+    assert.strictEqual(events[4].data.skipped, 1);
+});
+
+test('/api/scrape/batch rejects a missing url list', async () => {
+    const response = await fetch(`${baseUrl}/api/scrape/batch`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': apiKey },
+        body: JSON.stringify({})
+    });
+
+    assert.strictEqual(response.status, 400);
+});
@@ -0,0 +1,79 @@
+// Robot checks and error pages must surface as typed ScrapeErrors instead of
+// being parsed into blank products.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { AmazonScraper, ScrapeError, HttpClient } = require('../server');
+
+const BLOCKED_DIR = path.join(__dirname, 'fixtures', 'blocked');
+const PRODUCT_URL = 'https://www.amazon.com/dp/B0863TXGM3';
+
+function readPage(name) {
+    return fs.readFileSync(path.join(BLOCKED_DIR, `${name}.html`), 'utf8');
+}
+
+const EXPECTED_CODES = {
+    'captcha': 'CAPTCHA_REQUIRED',
+    'dogs-503': 'RATE_LIMITED',
+    'not-found': 'PRODUCT_NOT_FOUND',
+    'sign-in': 'SIGN_IN_REQUIRED'
+};
+
+for (const [page, code] of Object.entries(EXPECTED_CODES)) {
+    test(`blocked page: ${page} throws ${code}`, (t) => {
+        t.mock.method(console, 'log', () => {});
+
+        const scraper = new AmazonScraper();
+        assert.throws(() => scraper.scrapeHtml(readPage(page), PRODUCT_URL), (error) => {
+            assert.ok(error instanceof ScrapeError);
+            assert.strictEqual(error.code, code);
+            return true;
+        });
+    });
+}
+
+test('a page without product details throws PRODUCT_NOT_FOUND', (t) => {
+    t.mock.method(console, 'log', () => {});
+
+    const scraper = new AmazonScraper();
+    assert.throws(
+        () => scraper.scrapeHtml('<html><body><p>Nothing here</p></body></html>', PRODUCT_URL),
+        { code: 'PRODUCT_NOT_FOUND' }
+    );
+});
+
+test('HTTP error responses are classified with their Retry-After header', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+
+    const server = http.createServer((req, res) => {
+        if (req.url === '/dp/DOGS000000') {
+            res.writeHead(503, { 'Content-Type': 'text/html', 'Retry-After': '120' });
+            res.end(readPage('dogs-503'));
+        } else if (req.url === '/dp/CAPTCHA000') {
+            res.writeHead(503, { 'Content-Type': 'text/html' });
+            res.end(readPage('captcha'));
+        } else {
+            res.writeHead(404, { 'Content-Type': 'text/html' });
+            res.end('<html><body>Gone</body></html>');
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // Robot checks are 503s, so keep the retry backoff short. The stub is local, so
+    // it has to be allowed explicitly.
+    t.mock.method(console, 'warn', () => {});
+    const scraper = new AmazonScraper({
+        httpClient: new HttpClient({ retryBaseDelayMs: 1, ratePerSecond: 1000 }),
+        allowUrl: url => url.startsWith(baseUrl)
+    });
+
+    await assert.rejects(scraper.scrapeProduct(`${baseUrl}/dp/DOGS000000`), { code: 'RATE_LIMITED', retryAfter: '120' });
+    await assert.rejects(scraper.scrapeProduct(`${baseUrl}/dp/CAPTCHA000`), { code: 'CAPTCHA_REQUIRED' });
+    await assert.rejects(scraper.scrapeProduct(`${baseUrl}/dp/MISSING000`), { code: 'PRODUCT_NOT_FOUND' });
+});
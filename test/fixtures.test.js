@@ -0,0 +1,81 @@
+// Offline regression tests for the AmazonScraper extractors.
+//
+// Each fixture is a saved product page (test/fixtures/<name>.html) paired with a
+// golden file (<name>.json) holding the page URL and the expected scrape output.
+// Run `npm run test:update-fixtures` to rewrite the goldens after an intended change.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { AmazonScraper } = require('../server');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === '1';
+
+function loadFixtures() {
+    return fs.readdirSync(FIXTURES_DIR)
+        .filter(file => file.endsWith('.html'))
+        .map(file => {
+            const name = path.basename(file, '.html');
+            const goldenPath = path.join(FIXTURES_DIR, `${name}.json`);
+            return {
+                name,
+                html: fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'),
+                goldenPath,
+                golden: JSON.parse(fs.readFileSync(goldenPath, 'utf8'))
+            };
+        });
+}
+
+// Compare field by field so a failure names the extractor that regressed
+function diffFields(actual, expected) {
+    const fields = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+    const diffs = [];
+
+    fields.forEach(field => {
+        try {
+            assert.deepStrictEqual(actual[field], expected[field]);
+        } catch {
+            diffs.push(`  ${field}:\n    expected: ${JSON.stringify(expected[field])}\n    actual:   ${JSON.stringify(actual[field])}`);
+        }
+    });
+
+    return diffs;
+}
+
+for (const fixture of loadFixtures()) {
+    test(`fixture: ${fixture.name}`, (t) => {
+        t.mock.method(console, 'log', () => {});
+
+        const scraper = new AmazonScraper();
+        const actual = scraper.scrapeHtml(fixture.html, fixture.golden.url);
+
+        if (UPDATE_GOLDEN) {
+            const golden = { url: fixture.golden.url, expected: actual };
+            fs.writeFileSync(fixture.goldenPath, JSON.stringify(golden, null, 2) + '\n');
+            return;
+        }
+
+        const diffs = diffFields(actual, fixture.golden.expected);
+        assert.strictEqual(diffs.length, 0, `Extracted fields differ from ${fixture.name}.json:\n${diffs.join('\n')}`);
+    });
+}
+
+test('scrapeProduct uses the injected fetcher', async (t) => {
+    t.mock.method(console, 'log', () => {});
+
+    const [fixture] = loadFixtures();
+    const requested = [];
+    const scraper = new AmazonScraper({
+        fetcher: async (url) => {
+            requested.push(url);
+            return fixture.html;
+        }
+    });
+
+    const product = await scraper.scrapeProduct(fixture.golden.url);
+
+    assert.deepStrictEqual(requested, [fixture.golden.url]);
+    assert.deepStrictEqual(product, scraper.scrapeHtml(fixture.html, fixture.golden.url));
+});
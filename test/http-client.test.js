@@ -0,0 +1,133 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const { HttpClient } = require('../server');
+
+// Local stub that answers each request with the next scripted response.
+// A response of 'reset' drops the connection without replying.
+async function startStub(t, responses) {
+    const hits = [];
+    const server = http.createServer((req, res) => {
+        hits.push({ url: req.url, at: Date.now() });
+        const next = responses.length > 1 ? responses.shift() : responses[0];
+
+        if (next === 'reset') {
+            req.socket.destroy();
+            return;
+        }
+        res.writeHead(next.status, next.headers || {});
+        res.end(next.body || '');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    return { hits, baseUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+function fastClient(options = {}) {
+    return new HttpClient({ retryBaseDelayMs: 1, ratePerSecond: 1000, burst: 10, ...options });
+}
+
+test('retries 5xx responses and connection resets until one succeeds', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const { hits, baseUrl } = await startStub(t, [
+        { status: 500 },
+        'reset',
+        { status: 502 },
+        { status: 200, body: 'ok' }
+    ]);
+
+    const response = await fastClient().get(`${baseUrl}/dp/B000000001`);
+
+    assert.strictEqual(response.data, 'ok');
+    assert.strictEqual(hits.length, 4);
+});
+
+test('gives up after the configured number of retries', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const { hits, baseUrl } = await startStub(t, [{ status: 503 }]);
+
+    await assert.rejects(fastClient({ retries: 2 }).get(`${baseUrl}/dp/B000000002`), (error) => {
+        assert.strictEqual(error.response.status, 503);
+        return true;
+    });
+    assert.strictEqual(hits.length, 3);
+});
+
+test('does not retry client errors', async (t) => {
+    const { hits, baseUrl } = await startStub(t, [{ status: 404 }]);
+
+    await assert.rejects(fastClient().get(`${baseUrl}/dp/B000000003`), error => error.response.status === 404);
+    assert.strictEqual(hits.length, 1);
+});
+
+test('waits for Retry-After and fails fast when it is too long', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const { hits, baseUrl } = await startStub(t, [
+        { status: 429, headers: { 'Retry-After': '1' } },
+        { status: 200, body: 'ok' }
+    ]);
+
+    await fastClient().get(`${baseUrl}/dp/B000000004`);
+    assert.strictEqual(hits.length, 2);
+    assert.ok(hits[1].at - hits[0].at >= 950, `retried after ${hits[1].at - hits[0].at}ms`);
+
+    const slow = await startStub(t, [{ status: 503, headers: { 'Retry-After': '120' } }]);
+    await assert.rejects(fastClient({ maxRetryAfterMs: 5000 }).get(`${slow.baseUrl}/dp/B000000005`), error => error.response.status === 503);
+    assert.strictEqual(slow.hits.length, 1);
+});
+
+test('backoff grows exponentially with jitter and respects the cap', () => {
+    const client = new HttpClient({ retryBaseDelayMs: 100, retryMaxDelayMs: 500 });
+    const error = { response: { status: 503, headers: {} } };
+
+    for (let i = 0; i < 20; i++) {
+        const first = client.getRetryDelay(error, 0);
+        const third = client.getRetryDelay(error, 2);
+        const capped = client.getRetryDelay(error, 10);
+        assert.ok(first >= 50 && first <= 100, `attempt 0 delay ${first}`);
+        assert.ok(third >= 200 && third <= 400, `attempt 2 delay ${third}`);
+        assert.ok(capped >= 250 && capped <= 500, `capped delay ${capped}`);
+    }
+});
+
+test('rate limits requests per host with a token bucket', async (t) => {
+    const first = await startStub(t, [{ status: 200 }]);
+    const second = await startStub(t, [{ status: 200 }]);
+    const client = new HttpClient({ ratePerSecond: 10, burst: 2 });
+
+    const started = Date.now();
+    await Promise.all([1, 2, 3, 4].map(n => client.get(`${first.baseUrl}/dp/B00000000${n}`)));
+    // Two requests fit in the burst, the other two wait 100ms each for tokens
+    assert.ok(Date.now() - started >= 190, `took ${Date.now() - started}ms`);
+
+    const gaps = first.hits.slice(1).map((hit, i) => hit.at - first.hits[i].at);
+    assert.ok(gaps[2] >= 90, `third gap ${gaps[2]}ms`);
+
+    // A different host (port) has its own bucket and is not held up
+    const otherStarted = Date.now();
+    await client.get(`${second.baseUrl}/dp/B000000009`);
+    assert.ok(Date.now() - otherStarted < 90);
+});
+
+test('reads limits and retry counts from the environment', (t) => {
+    const env = {
+        HTTP_RETRIES: '5',
+        HTTP_RETRY_BASE_MS: '250',
+        HTTP_TIMEOUT_MS: '1000',
+        HTTP_RATE_PER_SECOND: '0.5',
+        HTTP_RATE_BURST: '1'
+    };
+    Object.assign(process.env, env);
+    t.after(() => Object.keys(env).forEach(name => delete process.env[name]));
+
+    const client = new HttpClient();
+
+    assert.strictEqual(client.retries, 5);
+    assert.strictEqual(client.retryBaseDelayMs, 250);
+    assert.strictEqual(client.timeout, 1000);
+    assert.strictEqual(client.ratePerSecond, 0.5);
+    assert.strictEqual(client.burst, 1);
+    assert.strictEqual(new HttpClient({ retries: 0 }).retries, 0);
+});
@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { AmazonScraper } = require('../server');
+
+const scraper = new AmazonScraper();
+
+test('detectMarketplace maps storefront hostnames', () => {
+    assert.strictEqual(scraper.detectMarketplace('https://www.amazon.co.uk/dp/B000000000').currency, 'GBP');
+    assert.strictEqual(scraper.detectMarketplace('https://smile.amazon.com/dp/B000000000').host, 'amazon.com');
+    assert.strictEqual(scraper.detectMarketplace('https://www.amazon.com.br/dp/B000000000').currency, 'BRL');
+    assert.strictEqual(scraper.detectMarketplace('not a url').host, 'amazon.com');
+});
+
+test('parsePrice reads locale-specific amounts', () => {
+    const cases = [
+        ['amazon.com', '$1,299.99', 1299.99, 'USD'],
+        ['amazon.de', '1.299,99 €', 1299.99, 'EUR'],
+        ['amazon.fr', '1 299,99 €', 1299.99, 'EUR'],
+        ['amazon.co.uk', '£12.50', 12.5, 'GBP'],
+        ['amazon.in', '₹1,23,456.00', 123456, 'INR'],
+        ['amazon.co.jp', '￥12,800', 12800, 'JPY'],
+        ['amazon.ca', '$24.99', 24.99, 'CAD'],
+        ['amazon.com.br', 'R$ 89,90', 89.9, 'BRL']
+    ];
+
+    cases.forEach(([host, text, amount, currency]) => {
+        const marketplace = scraper.detectMarketplace(`https://www.${host}/dp/B000000000`);
+        const price = scraper.parsePrice(text, marketplace);
+        assert.deepStrictEqual([price.amount, price.currency], [amount, currency], text);
+    });
+});
+
+test('parsePrice returns null without an amount', () => {
+    const marketplace = scraper.detectMarketplace('https://www.amazon.com/dp/B000000000');
+    assert.strictEqual(scraper.parsePrice('Currently unavailable', marketplace), null);
+    assert.strictEqual(scraper.parsePrice(undefined, marketplace), null);
+});
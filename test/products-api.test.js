@@ -0,0 +1,251 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'products-api-'));
+process.env.DATA_DIR = dataDir;
+
+const app = require('../server');
+const { productCatalog, ProductCatalog, scraper, scrapeCache, userStore } = app;
+
+const FIXTURE_HTML = fs.readFileSync(path.join(__dirname, 'fixtures', 'us-tshirt-variants.html'), 'utf8');
+
+let server;
+let baseUrl;
+let apiKey;
+
+before(async () => {
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // API routes need credentials; the tests send an API key
+    const user = await userStore.createUser({ username: 'tester', password: 'test-password' });
+    apiKey = (await userStore.createApiKey(user.id, 'tests')).key;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function request(method, urlPath, body) {
+    return fetch(`${baseUrl}${urlPath}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json', 'X-API-Key': apiKey } : { 'X-API-Key': apiKey },
+        body: body ? JSON.stringify(body) : undefined
+    });
+}
+
+const kettle = {
+    id: 1700000000001,
+    title: 'Stainless Steel Electric Kettle',
+    brand: 'BrewCo',
+    asin: 'B0KETTLE01',
+    marketplace: 'amazon.com',
+    categories: ['Kitchen'],
+    tags: ['gift'],
+    availability: { status: 'in_stock' },
+    prime: true,
+    priceDetails: { offer: { amount: 39.99, currency: 'USD' } }
+};
+
+const drill = {
+    id: 1700000000002,
+    title: 'Cordless Drill',
+    brand: 'ToolMax',
+    asin: 'B0DRILL001',
+    marketplace: 'amazon.de',
+    categories: ['Tools'],
+    availability: { status: 'out_of_stock' },
+    prime: false,
+    priceDetails: { offer: { amount: 89, currency: 'EUR' } }
+};
+
+test('products can be created, read, updated and deleted', async () => {
+    const created = await request('POST', '/api/products', kettle);
+    assert.strictEqual(created.status, 201);
+    const { revision, updatedAt, createdBy, updatedBy, ...stored } = await created.json();
+    assert.deepStrictEqual(stored, kettle);
+    assert.ok(revision > 0);
+    assert.ok(updatedAt);
+    assert.strictEqual(createdBy, 'tester');
+    assert.strictEqual(updatedBy, 'tester');
+
+    assert.strictEqual((await request('POST', '/api/products', kettle)).status, 409);
+
+    const fetched = await request('GET', `/api/products/${kettle.id}`);
+    assert.strictEqual(fetched.status, 200);
+    assert.strictEqual((await fetched.json()).title, kettle.title);
+
+    const updated = await request('PUT', `/api/products/${kettle.id}`, { ...kettle, tags: ['gift', 'sale'] });
+    assert.strictEqual(updated.status, 200);
+    assert.deepStrictEqual((await updated.json()).tags, ['gift', 'sale']);
+
+    // PUT creates products first saved offline, keeping the numeric id
+    const upserted = await request('PUT', `/api/products/${drill.id}`, drill);
+    assert.strictEqual(upserted.status, 201);
+    assert.strictEqual((await upserted.json()).id, drill.id);
+
+    // Written to disk and reloaded by a fresh catalog
+    const reloaded = new ProductCatalog({ storePath: path.join(dataDir, 'products.json') });
+    assert.strictEqual((await reloaded.list()).length, 2);
+    assert.deepStrictEqual((await reloaded.get(kettle.id)).tags, ['gift', 'sale']);
+
+    assert.strictEqual((await request('DELETE', `/api/products/${drill.id}`)).status, 204);
+    assert.strictEqual((await request('DELETE', `/api/products/${drill.id}`)).status, 404);
+    assert.strictEqual((await request('GET', `/api/products/${drill.id}`)).status, 404);
+});
+
+test('invalid products are rejected', async () => {
+    assert.strictEqual((await request('POST', '/api/products', {})).status, 400);
+    assert.strictEqual((await request('POST', '/api/products', { title: 'Bad ASIN', asin: 'nope' })).status, 400);
+    assert.strictEqual((await request('PUT', '/api/products/123', { id: 456, title: 'Mismatched id' })).status, 400);
+
+    // Ids end up in every client's markup, so only the app's numeric ids are stored
+    assert.strictEqual((await request('POST', '/api/products', { id: '1);alert(document.cookie);//', title: 'Injected' })).status, 400);
+    assert.strictEqual((await request('POST', '/api/products', { id: -5, title: 'Negative' })).status, 400);
+    assert.strictEqual((await request('PUT', '/api/products/abc', { title: 'String id' })).status, 400);
+
+    const fromUrl = await request('PUT', '/api/products/1700000000030', { title: 'Id from the URL' });
+    assert.strictEqual((await fromUrl.json()).id, 1700000000030);
+});
+
+test('product fields must have the shapes the scraper produces', async () => {
+    // Every teammate renders these, so markup, script links and odd types are refused
+    const invalid = [
+        { title: ['<img src=x onerror=alert(1)>'] },
+        { title: 'Link', url: 'javascript:alert(1)' },
+        { title: 'Stars', rating: 7 },
+        { title: 'Count', ratingCount: '<img src=x onerror=alert(1)>' },
+        { title: 'Images', images: [{ url: 'javascript:alert(1)' }] },
+        { title: 'Stock', availability: { status: '"><script>alert(1)</script>' } },
+        { title: 'Reviews', topReviews: [{ title: { html: true }, stars: 4 }] },
+        { title: 'Variants', variations: { dimensions: ['Color'], items: [{ asin: 'B0BAD', values: {} }] } }
+    ];
+    for (const product of invalid) {
+        const response = await request('POST', '/api/products', product);
+        assert.strictEqual(response.status, 400, product.title);
+        assert.match((await response.json()).error, /Invalid product field/, product.title);
+    }
+
+    // Price alerts are personal and never reach the shared catalog
+    const withAlert = await request('POST', '/api/products', { title: 'Alert', watch: { targetPrice: 10, serverWatchId: 'abc' } });
+    assert.strictEqual(withAlert.status, 201);
+    assert.strictEqual((await withAlert.json()).watch, undefined);
+
+    // Whatever the scraper extracts from the fixture pages is accepted
+    const fixturesDir = path.join(__dirname, 'fixtures');
+    const goldens = fs.readdirSync(fixturesDir).filter(file => file.endsWith('.json'));
+    for (const [index, file] of goldens.entries()) {
+        const { url, expected } = JSON.parse(fs.readFileSync(path.join(fixturesDir, file), 'utf8'));
+        const response = await request('POST', '/api/products', { ...expected, url, id: 1700000000200 + index });
+        assert.strictEqual(response.status, 201, file);
+    }
+});
+
+test('GET /api/products searches and filters the catalog', async (t) => {
+    await productCatalog.ready();
+    const saved = productCatalog.products;
+    productCatalog.products = new Map([[String(kettle.id), kettle], [String(drill.id), drill]]);
+    t.after(() => {
+        productCatalog.products = saved;
+    });
+
+    const ids = async (query) => (await (await request('GET', `/api/products${query}`)).json()).map(product => product.id);
+
+    assert.deepStrictEqual(await ids(''), [kettle.id, drill.id]);
+    assert.deepStrictEqual(await ids('?q=kettle'), [kettle.id]);
+    assert.deepStrictEqual(await ids('?q=gift'), [kettle.id]);
+    assert.deepStrictEqual(await ids('?brand=ToolMax'), [drill.id]);
+    assert.deepStrictEqual(await ids('?category=Kitchen'), [kettle.id]);
+    assert.deepStrictEqual(await ids('?marketplace=amazon.de'), [drill.id]);
+    assert.deepStrictEqual(await ids('?asin=b0drill001'), [drill.id]);
+    assert.deepStrictEqual(await ids('?inStock=true'), [kettle.id]);
+    assert.deepStrictEqual(await ids('?prime=true'), [kettle.id]);
+    assert.deepStrictEqual(await ids('?minPrice=50'), [drill.id]);
+    assert.deepStrictEqual(await ids('?maxPrice=50'), [kettle.id]);
+
+    const page = await request('GET', '/api/products?limit=1&offset=1');
+    assert.strictEqual(page.headers.get('x-total-count'), '2');
+    assert.deepStrictEqual((await page.json()).map(product => product.id), [drill.id]);
+});
+
+test('an unknown ASIN on /api/products/:id still scrapes by ASIN', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    scrapeCache.clear();
+    const originalFetcher = scraper.fetcher;
+    scraper.fetcher = async () => FIXTURE_HTML;
+    t.after(() => {
+        scraper.fetcher = originalFetcher;
+        scrapeCache.clear();
+    });
+
+    const response = await request('GET', '/api/products/B07ZPKN6YR');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual((await response.json()).fromCache, false);
+});
+
+test('writes get increasing revisions and stale baseRevisions are refused', async () => {
+    const product = { id: 1700000000010, title: 'Desk Lamp', brand: 'Lumen' };
+
+    const created = await (await request('PUT', `/api/products/${product.id}?baseRevision=0`, product)).json();
+    const updated = await (await request('PUT', `/api/products/${product.id}?baseRevision=${created.revision}`, { ...product, brand: 'Lumen Co' })).json();
+    assert.ok(updated.revision > created.revision);
+
+    // Client-sent sync metadata is ignored
+    const ignored = await (await request('PUT', `/api/products/${product.id}`, { ...product, revision: 1, brand: 'Lumen Co' })).json();
+    assert.ok(ignored.revision > updated.revision);
+
+    const stale = await request('PUT', `/api/products/${product.id}?baseRevision=${created.revision}`, { ...product, title: 'Old edit' });
+    assert.strictEqual(stale.status, 409);
+    const conflict = await stale.json();
+    assert.strictEqual(conflict.code, 'CONFLICT');
+    assert.strictEqual(conflict.current.revision, ignored.revision);
+    assert.strictEqual(conflict.current.brand, 'Lumen Co');
+
+    // baseRevision=0 only creates
+    assert.strictEqual((await request('PUT', `/api/products/${product.id}?baseRevision=0`, product)).status, 409);
+
+    assert.strictEqual((await request('DELETE', `/api/products/${product.id}?baseRevision=${created.revision}`)).status, 409);
+    assert.strictEqual((await request('DELETE', `/api/products/${product.id}?baseRevision=${ignored.revision}`)).status, 204);
+});
+
+test('deletes leave tombstones that sync can list and that a PUT can replace', async () => {
+    const product = { id: 1700000000020, title: 'Bookshelf' };
+    const created = await (await request('POST', '/api/products', product)).json();
+    assert.strictEqual((await request('DELETE', `/api/products/${product.id}`)).status, 204);
+
+    const visible = await (await request('GET', '/api/products')).json();
+    assert.ok(!visible.some(item => item.id === product.id));
+
+    const all = await (await request('GET', '/api/products?includeDeleted=true')).json();
+    const tombstone = all.find(item => item.id === product.id);
+    assert.strictEqual(tombstone.deleted, true);
+    assert.ok(tombstone.deletedAt);
+    assert.ok(tombstone.revision > created.revision);
+    assert.strictEqual(tombstone.title, undefined);
+
+    // Editing against the pre-delete revision is a conflict that carries the tombstone
+    const stale = await request('PUT', `/api/products/${product.id}?baseRevision=${created.revision}`, product);
+    assert.strictEqual(stale.status, 409);
+    assert.strictEqual((await stale.json()).current.deleted, true);
+
+    const restored = await request('PUT', `/api/products/${product.id}?baseRevision=${tombstone.revision}`, product);
+    assert.strictEqual(restored.status, 201);
+    assert.strictEqual((await request('GET', `/api/products/${product.id}`)).status, 200);
+});
+
+test('a catalog read error answers 500 instead of failing the request', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(productCatalog, 'get', async () => {
+        throw new Error('disk unavailable');
+    });
+
+    const response = await request('GET', '/api/products/1700000000001');
+    assert.strictEqual(response.status, 500);
+    assert.strictEqual((await response.json()).error, 'Failed to read product');
+});
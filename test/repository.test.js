@@ -0,0 +1,111 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+// repository.js is a browser script; load it with a stand-in fetch
+function loadRepository(fetch) {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'repository.js'), 'utf8');
+    return new Function('fetch', `${source}\nreturn ProductRepository;`)(fetch);
+}
+
+// ProductStore's interface, kept in memory
+class MemoryStore {
+    constructor(products = []) {
+        this.products = new Map(products.map(product => [product.id, product]));
+        this.states = new Map();
+    }
+
+    async getAll() {
+        return [...this.products.values()];
+    }
+
+    async get(id) {
+        return this.products.get(id);
+    }
+
+    async put(product) {
+        this.products.set(product.id, product);
+    }
+
+    async delete(id) {
+        this.products.delete(id);
+    }
+
+    async applyChanges(products, deletedIds) {
+        products.forEach(product => this.products.set(product.id, product));
+        deletedIds.forEach(id => this.products.delete(id));
+    }
+
+    async replaceAll(products) {
+        this.products = new Map(products.map(product => [product.id, product]));
+    }
+
+    async getSyncStates() {
+        return [...this.states.values()];
+    }
+
+    async putSyncStates(states) {
+        states.forEach(state => this.states.set(state.id, state));
+    }
+
+    async deleteSyncStates(ids) {
+        ids.forEach(id => this.states.delete(id));
+    }
+}
+
+function jsonResponse(status, body) {
+    return { status, ok: status < 400, json: async () => body };
+}
+
+test('price alerts are never sent to or taken from the shared catalog', async () => {
+    const requests = [];
+    const ProductRepository = loadRepository(async (url, options = {}) => {
+        if (!options.method) {
+            return jsonResponse(200, [{ id: 2, title: 'Teammate product', revision: 3, watch: { targetPrice: 5, serverWatchId: 'theirs' } }]);
+        }
+        const product = JSON.parse(options.body);
+        requests.push(product);
+        return jsonResponse(200, { ...product, revision: 4 });
+    });
+
+    const store = new MemoryStore([{ id: 1, title: 'Mine', watch: { targetPrice: 10 } }]);
+    const repository = new ProductRepository(store);
+    await repository.sync();
+
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].watch, undefined);
+    assert.strictEqual((await store.get(2)).watch, undefined);
+});
+
+test('page saves leave products the service worker wrote meanwhile alone', async () => {
+    const sent = [];
+    const ProductRepository = loadRepository(async (url, options = {}) => {
+        const product = options.body ? JSON.parse(options.body) : null;
+        sent.push(`${options.method} ${product ? product.title : url}`);
+        return jsonResponse(200, product ? { ...product, revision: 1 } : null);
+    });
+
+    const store = new MemoryStore([{ id: 1, title: 'Kettle', offerPrice: '$40' }, { id: 2, title: 'Drill' }]);
+    const page = new ProductRepository(store);
+    const worker = new ProductRepository(store);
+    const products = await page.loadLocal();
+
+    // A background price check and a background scrape, before the page hears of either
+    await worker.saveProduct({ id: 1, title: 'Kettle', offerPrice: '$35' });
+    await worker.saveProduct({ id: 3, title: 'Blender' });
+
+    await page.saveAll([products[0], { ...products[1], title: 'Cordless Drill' }]);
+    await page.flush();
+
+    assert.strictEqual((await store.get(1)).offerPrice, '$35');
+    assert.strictEqual((await store.get(2)).title, 'Cordless Drill');
+    assert.strictEqual((await store.get(3)).title, 'Blender');
+    assert.ok(!sent.some(request => request.startsWith('DELETE')), sent.join(', '));
+
+    // Reloading picks up the worker's writes without queueing anything
+    const reloaded = await page.loadLocal();
+    assert.strictEqual(reloaded.length, 3);
+    await page.saveAll(reloaded);
+    assert.strictEqual(await page.countPending(), 0);
+});
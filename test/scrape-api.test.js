@@ -0,0 +1,174 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scrape-api-'));
+process.env.DATA_DIR = dataDir;
+
+const app = require('../server');
+const { scraper, scrapeCache, ScrapeCache, userStore } = app;
+
+const FIXTURE_HTML = fs.readFileSync(path.join(__dirname, 'fixtures', 'us-tshirt-variants.html'), 'utf8');
+
+let apiServer;
+let apiBaseUrl;
+let apiKey;
+
+before(async () => {
+    apiServer = http.createServer(app);
+    await new Promise(resolve => apiServer.listen(0, '127.0.0.1', resolve));
+    apiBaseUrl = `http://127.0.0.1:${apiServer.address().port}`;
+
+    // API routes need credentials; the tests send an API key
+    const user = await userStore.createUser({ username: 'tester', password: 'test-password' });
+    apiKey = (await userStore.createApiKey(user.id, 'tests')).key;
+});
+
+after(() => {
+    apiServer.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function stubFetcher(t) {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+
+    // Each test starts with an empty cache so the stub is always consulted
+    scrapeCache.clear();
+    t.after(() => scrapeCache.clear());
+
+    const requested = [];
+    const originalFetcher = scraper.fetcher;
+    scraper.fetcher = async (url) => {
+        requested.push(url);
+        return FIXTURE_HTML;
+    };
+    t.after(() => {
+        scraper.fetcher = originalFetcher;
+    });
+    return requested;
+}
+
+function postScrape(body) {
+    return fetch(`${apiBaseUrl}/api/scrape`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': apiKey },
+        body: JSON.stringify(body)
+    });
+}
+
+test('POST /api/scrape scrapes a variant by ASIN on its marketplace', async (t) => {
+    const requested = stubFetcher(t);
+
+    const response = await postScrape({ asin: 'b07zpkn6yr', marketplace: 'amazon.de' });
+    const product = await response.json();
+
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(requested, ['https://www.amazon.de/dp/B07ZPKN6YR']);
+    assert.deepStrictEqual(product.variations.dimensions, ['Color', 'Size']);
+    assert.strictEqual(product.variations.items.length, 4);
+});
+
+test('POST /api/scrape falls back to the default marketplace and rejects bad ASINs', async (t) => {
+    const requested = stubFetcher(t);
+
+    const response = await postScrape({ asin: 'B07ZPKN6YR', marketplace: 'example.com' });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(requested, ['https://www.amazon.com/dp/B07ZPKN6YR']);
+
+    const invalid = await postScrape({ asin: 'not-an-asin' });
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual(requested.length, 1);
+});
+
+test('POST /api/scrape returns typed errors with distinct status codes', async (t) => {
+    stubFetcher(t);
+    const blockedDir = path.join(__dirname, 'fixtures', 'blocked');
+    const cases = [
+        ['captcha', 503, 'CAPTCHA_REQUIRED'],
+        ['dogs-503', 429, 'RATE_LIMITED'],
+        ['not-found', 404, 'PRODUCT_NOT_FOUND'],
+        ['sign-in', 403, 'SIGN_IN_REQUIRED']
+    ];
+
+    for (const [page, status, code] of cases) {
+        const html = fs.readFileSync(path.join(blockedDir, `${page}.html`), 'utf8');
+        scraper.fetcher = async () => html;
+
+        const response = await postScrape({ url: 'https://www.amazon.com/dp/B07ZPKN6YR' });
+        const body = await response.json();
+
+        assert.strictEqual(response.status, status, page);
+        assert.strictEqual(body.code, code, page);
+        assert.ok(body.error);
+    }
+});
+
+test('POST /api/scrape serves repeat requests from the cache until forced', async (t) => {
+    const requested = stubFetcher(t);
+
+    const first = await (await postScrape({ url: 'https://www.amazon.com/Some-Shirt/dp/B07ZPKN6YR?th=1' })).json();
+    assert.strictEqual(first.fromCache, false);
+    assert.ok(first.cachedAt);
+
+    // Same marketplace + ASIN, different URL shape
+    const second = await (await postScrape({ asin: 'B07ZPKN6YR', marketplace: 'amazon.com' })).json();
+    assert.strictEqual(second.fromCache, true);
+    assert.strictEqual(second.cachedAt, first.cachedAt);
+    assert.strictEqual(requested.length, 1);
+
+    // Another marketplace is a separate entry
+    await postScrape({ asin: 'B07ZPKN6YR', marketplace: 'amazon.de' });
+    assert.strictEqual(requested.length, 2);
+
+    const forced = await (await postScrape({ url: 'https://www.amazon.com/dp/B07ZPKN6YR', force: true })).json();
+    assert.strictEqual(forced.fromCache, false);
+    assert.strictEqual(requested.length, 3);
+});
+
+test('GET /api/products/:asin scrapes by ASIN and shares the cache', async (t) => {
+    const requested = stubFetcher(t);
+
+    const response = await fetch(`${apiBaseUrl}/api/products/b07zpkn6yr?marketplace=amazon.de`, { headers: { 'X-API-Key': apiKey } });
+    const product = await response.json();
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(product.fromCache, false);
+    assert.deepStrictEqual(requested, ['https://www.amazon.de/dp/B07ZPKN6YR']);
+
+    const cached = await (await postScrape({ url: 'https://www.amazon.de/dp/B07ZPKN6YR' })).json();
+    assert.strictEqual(cached.fromCache, true);
+
+    const forced = await (await fetch(`${apiBaseUrl}/api/products/B07ZPKN6YR?marketplace=amazon.de&force=true`, { headers: { 'X-API-Key': apiKey } })).json();
+    assert.strictEqual(forced.fromCache, false);
+    assert.strictEqual(requested.length, 2);
+
+    // Anything that isn't an ASIN is looked up as a saved product id
+    assert.strictEqual((await fetch(`${apiBaseUrl}/api/products/short`, { headers: { 'X-API-Key': apiKey } })).status, 404);
+    assert.strictEqual((await fetch(`${apiBaseUrl}/api/products/B07ZPKN6YR?marketplace=example.com`, { headers: { 'X-API-Key': apiKey } })).status, 400);
+});
+
+test('scrape cache expires entries after the TTL and shares in-flight scrapes', async (t) => {
+    let calls = 0;
+    const cache = new ScrapeCache({
+        ttlMs: 1000,
+        scraper: {
+            detectMarketplace: () => ({ host: 'amazon.com' }),
+            scrapeProduct: async () => {
+                calls++;
+                await new Promise(resolve => setTimeout(resolve, 10));
+                return { asin: 'B07ZPKN6YR', marketplace: 'amazon.com', title: `Call ${calls}` };
+            }
+        }
+    });
+    const url = 'https://www.amazon.com/dp/B07ZPKN6YR';
+
+    const [a, b] = await Promise.all([cache.scrape(url), cache.scrape(url)]);
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(a.title, b.title);
+
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 1000 });
+    assert.strictEqual(cache.get('amazon.com', 'B07ZPKN6YR'), null);
+});
@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Runs sw.js in a bare context; its function declarations end up on the context
+function loadServiceWorker() {
+    const context = {
+        console: { log() {}, error() {} },
+        self: { addEventListener() {} },
+        importScripts() {},
+        ProductStore: class {},
+        ProductRepository: class {}
+    };
+    vm.runInNewContext(fs.readFileSync(path.join(__dirname, '..', 'sw.js'), 'utf8'), context);
+    return context;
+}
+
+test('the product catalog is network-only, but scrapes by ASIN can be cached', () => {
+    const sw = loadServiceWorker();
+
+    ['/api/products', '/api/products/', '/api/products/1700000000001'].forEach((pathname) => {
+        assert.strictEqual(sw.isNetworkOnly(pathname), true, pathname);
+    });
+    ['/api/products/B07ZPKN6YR', '/api/products/b07zpkn6yr', '/api/usage'].forEach((pathname) => {
+        assert.strictEqual(sw.isNetworkOnly(pathname), false, pathname);
+    });
+});
@@ -0,0 +1,248 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { Readable } = require('stream');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-quota-'));
+process.env.DATA_DIR = dataDir;
+process.env.DOWNLOADS_DIR = path.join(dataDir, 'downloads');
+
+const app = require('../server');
+const { ImageDownloader, UsageMeter, usageMeter, userStore, scraper, scrapeCache } = app;
+
+const FIXTURE_HTML = fs.readFileSync(path.join(__dirname, 'fixtures', 'us-tshirt-variants.html'), 'utf8');
+
+let server;
+let baseUrl;
+let admin;
+let adminKey;
+let memberKey;
+
+before(async () => {
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    admin = await userStore.createUser({ username: 'admin', password: 'admin-password' });
+    adminKey = (await userStore.createApiKey(admin.id, 'admin script')).key;
+    const member = await userStore.createUser({ username: 'member', password: 'member-password' });
+    memberKey = (await userStore.createApiKey(member.id, 'price bot')).key;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function request(method, urlPath, key, body) {
+    return fetch(`${baseUrl}${urlPath}`, {
+        method,
+        headers: { 'X-API-Key': key, ...(body ? { 'Content-Type': 'application/json' } : {}) },
+        body: body ? JSON.stringify(body) : undefined
+    });
+}
+
+function createMeter(t, limits) {
+    return new UsageMeter({
+        storePath: path.join(dataDir, `${t.name.replace(/\W+/g, '-')}.json`),
+        downloadsDir: path.join(dataDir, 'meter-downloads'),
+        limits: { requestsPerMinute: 0, requestsPerDay: 0, downloadBytesPerDay: 0, diskBytes: 0, ...limits }
+    });
+}
+
+const alice = { id: 'user-alice', username: 'alice' };
+
+test('the per-minute limit frees up as requests age out of the window', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-03-02T10:00:00Z') });
+    const meter = createMeter(t, { requestsPerMinute: 2 });
+
+    for (let i = 0; i < 2; i++) {
+        assert.strictEqual(await meter.check(alice), null);
+        await meter.record(alice, null, { requests: 1 });
+        t.mock.timers.tick(10 * 1000);
+    }
+
+    const exceeded = await meter.check(alice);
+    assert.strictEqual(exceeded.quota, 'minute');
+    assert.strictEqual(exceeded.retryAfter, 40);
+
+    t.mock.timers.tick(40 * 1000);
+    assert.strictEqual(await meter.check(alice), null);
+});
+
+test('daily limits count every request and reset at UTC midnight', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-03-02T23:00:00Z') });
+    const meter = createMeter(t, { requestsPerDay: 5, downloadBytesPerDay: 1000 });
+
+    await meter.record(alice, null, { requests: 3 });
+    assert.strictEqual((await meter.check(alice, { requests: 3 })).quota, 'day');
+    assert.strictEqual(await meter.check(alice, { requests: 2 }), null);
+
+    await meter.record(alice, null, { downloads: 1, bytes: 1200 });
+    const bytes = await meter.check(alice, { download: true });
+    assert.strictEqual(bytes.quota, 'bytes');
+    assert.strictEqual(bytes.retryAfter, 60 * 60);
+
+    t.mock.timers.tick(60 * 60 * 1000);
+    assert.strictEqual(await meter.check(alice, { requests: 5, download: true }), null);
+    assert.strictEqual((await meter.getStatus(alice)).used.day, 0);
+});
+
+test('the disk quota counts files in the user\'s downloads folder', async (t) => {
+    const meter = createMeter(t, { diskBytes: 100 });
+    const folder = path.join(meter.downloadsDir, alice.id, 'Some_Product');
+    fs.mkdirSync(folder, { recursive: true });
+    fs.writeFileSync(path.join(folder, 'image-1.jpg'), Buffer.alloc(60));
+
+    assert.strictEqual(await meter.check(alice, { download: true }), null);
+    assert.strictEqual(await meter.getDownloadAllowance(alice), 40);
+
+    fs.writeFileSync(path.join(folder, 'image-2.jpg'), Buffer.alloc(60));
+    await meter.record(alice, null, { downloads: 1, bytes: 60 });
+
+    const exceeded = await meter.check(alice, { download: true });
+    assert.strictEqual(exceeded.quota, 'disk');
+    assert.strictEqual(exceeded.retryAfter, null);
+    // Scraping is still allowed
+    assert.strictEqual(await meter.check(alice), null);
+});
+
+test('concurrent requests reserve their quota one at a time', async (t) => {
+    const meter = createMeter(t, { requestsPerDay: 3 });
+
+    const results = await Promise.all(Array.from({ length: 6 }, () => meter.reserve(alice, null)));
+    assert.strictEqual(results.filter(result => result.reservation).length, 3);
+    assert.strictEqual(results.filter(result => result.exceeded).length, 3);
+
+    await meter.release(results[0].reservation, { failed: true });
+    assert.strictEqual((await meter.getStatus(alice)).used.day, 2);
+    assert.ok((await meter.reserve(alice, null)).reservation);
+});
+
+test('running downloads hold part of the download allowance', async (t) => {
+    const meter = createMeter(t, { downloadBytesPerDay: 30 * 1024 * 1024 });
+
+    const [first, second, third] = await Promise.all([1, 2, 3].map(() => meter.reserve(alice, null, { download: true })));
+    assert.strictEqual(first.reservation.maxBytes, 20 * 1024 * 1024);
+    assert.strictEqual(second.reservation.maxBytes, 10 * 1024 * 1024);
+    assert.strictEqual(third.exceeded.quota, 'bytes');
+
+    await meter.record(alice, null, { downloads: 1, bytes: 1024 * 1024 });
+    await meter.release(first.reservation);
+    assert.strictEqual(await meter.getDownloadAllowance(alice), 19 * 1024 * 1024);
+});
+
+test('downloads stay inside the user\'s folder and stop at the remaining quota', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const image = Buffer.alloc(4096, 1);
+    const downloader = new ImageDownloader({
+        allowUrl: () => true,
+        httpClient: { get: async () => ({ headers: { 'content-type': 'image/jpeg' }, data: Readable.from([image.subarray(0, 2048), image.subarray(2048)]) }) }
+    });
+    const downloadsDir = process.env.DOWNLOADS_DIR;
+
+    for (const title of ['..', '../../escaped', '.', '.hidden/../..']) {
+        const result = await downloader.downloadImage('https://m.media-amazon.com/images/I/a.jpg', 1, 0, title, alice);
+        assert.ok(result.success, title);
+        assert.strictEqual(path.dirname(result.productFolder), path.join(downloadsDir, alice.id), title);
+    }
+
+    // Folders are keyed by user id, so usernames that clean up alike stay apart
+    for (const owner of [{ id: 'user-dots', username: '...' }, { id: 'user-bob', username: 'bob' }, { id: 'user-dot-bob', username: '.bob' }]) {
+        const result = await downloader.downloadImage('https://m.media-amazon.com/images/I/a.jpg', 1, 0, 'Shared', owner);
+        assert.strictEqual(path.dirname(result.productFolder), path.join(downloadsDir, owner.id), owner.username);
+    }
+    assert.ok(!fs.existsSync(path.join(path.dirname(downloadsDir), 'escaped')));
+
+    const tooLarge = await downloader.downloadImage('https://m.media-amazon.com/images/I/a.jpg', 1, 1, 'Big Image', alice, { maxBytes: 3000 });
+    assert.strictEqual(tooLarge.code, 'QUOTA_EXCEEDED');
+    assert.ok(!fs.existsSync(path.join(downloadsDir, alice.id, 'Big_Image', 'image-2.jpg')));
+
+    const fits = await downloader.downloadImage('https://m.media-amazon.com/images/I/a.jpg', 1, 1, 'Big Image', alice, { maxBytes: 4096 });
+    assert.strictEqual(fits.size, 4096);
+});
+
+test('scrape routes answer 429 with Retry-After once the quota is used up', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const originalFetcher = scraper.fetcher;
+    const originalLimits = usageMeter.limits;
+    scraper.fetcher = async () => FIXTURE_HTML;
+    usageMeter.limits = { ...originalLimits, requestsPerMinute: 0, requestsPerDay: 3 };
+    t.after(() => {
+        scraper.fetcher = originalFetcher;
+        usageMeter.limits = originalLimits;
+        scrapeCache.clear();
+    });
+
+    for (let i = 0; i < 2; i++) {
+        assert.strictEqual((await request('POST', '/api/scrape', memberKey, { asin: 'B07ZPKN6YR' })).status, 200);
+    }
+
+    // Requests that fail give their reservation back
+    assert.strictEqual((await request('POST', '/api/scrape', memberKey, { url: 'https://evil.example/dp/B000000001' })).status, 400);
+
+    // A batch counts each URL, so two don't fit into the one request left
+    const batch = await request('POST', '/api/scrape/batch', memberKey, { urls: ['https://www.amazon.com/dp/B000000001', 'https://www.amazon.com/dp/B000000002'] });
+    assert.strictEqual(batch.status, 429);
+
+    assert.strictEqual((await request('GET', '/api/products/B07ZPKN6YR', memberKey)).status, 200);
+
+    const limited = await request('POST', '/api/scrape', memberKey, { asin: 'B07ZPKN6YR' });
+    assert.strictEqual(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    const body = await limited.json();
+    assert.strictEqual(body.code, 'QUOTA_EXCEEDED');
+    assert.strictEqual(body.quota, 'day');
+
+    // Other users have their own quota
+    assert.strictEqual((await request('POST', '/api/scrape', adminKey, { asin: 'B07ZPKN6YR' })).status, 200);
+
+    const status = await (await request('GET', '/api/usage', memberKey)).json();
+    assert.strictEqual(status.used.day, 3);
+    assert.strictEqual(status.remaining.day, 0);
+    assert.strictEqual(status.remaining.minute, null);
+    assert.strictEqual(status.apiKey.requests, 3);
+});
+
+test('a batch is charged only for the URLs it scrapes', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const originalFetcher = scraper.fetcher;
+    const originalLimits = usageMeter.limits;
+    scraper.fetcher = async () => FIXTURE_HTML;
+    usageMeter.limits = { ...originalLimits, requestsPerMinute: 0, requestsPerDay: 1 };
+    t.after(() => {
+        scraper.fetcher = originalFetcher;
+        usageMeter.limits = originalLimits;
+        scrapeCache.clear();
+    });
+
+    const batcher = await userStore.createUser({ username: 'batcher', password: 'batcher-password' });
+    const batcherKey = (await userStore.createApiKey(batcher.id, 'batch script')).key;
+
+    // A duplicate and an invalid URL ride along with the one URL that fits the quota
+    const batch = await request('POST', '/api/scrape/batch', batcherKey, {
+        urls: ['https://www.amazon.com/dp/B07ZPKN6YR', 'https://www.amazon.com/dp/B07ZPKN6YR?th=1', 'https://evil.example/dp/B000000001']
+    });
+    assert.strictEqual(batch.status, 200);
+    assert.match(await batch.text(), /"skipped":2/);
+
+    const status = await (await request('GET', '/api/usage', batcherKey)).json();
+    assert.strictEqual(status.used.day, 1);
+});
+
+test('admins see usage per user and per API key', async () => {
+    assert.strictEqual((await request('GET', '/api/admin/usage', memberKey)).status, 403);
+
+    const report = await (await request('GET', '/api/admin/usage', adminKey)).json();
+    const member = report.users.find(user => user.username === 'member');
+    const bot = report.apiKeys.find(apiKey => apiKey.name === 'price bot');
+
+    assert.strictEqual(member.requests, 3);
+    assert.strictEqual(member.diskBytes, 0);
+    assert.strictEqual(bot.username, 'member');
+    assert.strictEqual(bot.requests, 3);
+    assert.strictEqual(bot.hash, undefined);
+});
@@ -0,0 +1,197 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+// Keep persisted watches out of the project directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-scheduler-'));
+process.env.DATA_DIR = dataDir;
+
+const app = require('../server');
+const { AmazonScraper, WatchScheduler, userStore } = app;
+
+const FIXTURE_HTML = fs.readFileSync(path.join(__dirname, 'fixtures', 'us-headphones-deal.html'), 'utf8');
+
+let mockAmazon;
+let mockBaseUrl;
+let apiServer;
+let apiBaseUrl;
+let apiKey;
+
+function listen(server) {
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+}
+
+before(async () => {
+    // Stands in for Amazon: one known product page, 404 for everything else
+    mockAmazon = http.createServer((req, res) => {
+        if (req.url.startsWith('/dp/B0863TXGM3')) {
+            res.writeHead(200, { 'Content-Type': 'text/html' });
+            res.end(FIXTURE_HTML);
+        } else {
+            res.writeHead(404);
+            res.end('Not found');
+        }
+    });
+    mockBaseUrl = await listen(mockAmazon);
+
+    apiServer = http.createServer(app);
+    apiBaseUrl = await listen(apiServer);
+
+    // API routes need credentials; the tests send an API key
+    const user = await userStore.createUser({ username: 'tester', password: 'test-password' });
+    apiKey = (await userStore.createApiKey(user.id, 'tests')).key;
+});
+
+after(() => {
+    mockAmazon.close();
+    apiServer.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+function createScheduler(t, options = {}) {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+
+    // The mock Amazon runs locally, outside the scraper's host allowlist
+    return new WatchScheduler({
+        scraper: new AmazonScraper({ allowUrl: () => true }),
+        storePath: path.join(dataDir, `${t.name.replace(/\W+/g, '-')}.json`),
+        ...options
+    });
+}
+
+test('check scrapes the mock page and records an alert', async (t) => {
+    const scheduler = createScheduler(t);
+    const watch = await scheduler.create({ url: `${mockBaseUrl}/dp/B0863TXGM3/`, targetPrice: 250 });
+
+    const result = await scheduler.check(watch.id);
+
+    assert.strictEqual(result.amount, 248);
+    assert.strictEqual(result.currency, 'USD');
+    assert.strictEqual(result.alert, true);
+    assert.strictEqual(scheduler.get(watch.id).baselineAmount, 248);
+    assert.strictEqual(scheduler.get(watch.id).results.length, 1);
+});
+
+test('check records scrape failures without throwing', async (t) => {
+    const scheduler = createScheduler(t);
+    const watch = await scheduler.create({ url: `${mockBaseUrl}/dp/B000MISSING/` });
+
+    const result = await scheduler.check(watch.id);
+
+    assert.strictEqual(result.errorCode, 'PRODUCT_NOT_FOUND');
+    assert.ok(result.error);
+    assert.strictEqual(scheduler.get(watch.id).lastCheckedAt, result.checkedAt);
+});
+
+test('watches persist across scheduler instances', async (t) => {
+    const scheduler = createScheduler(t);
+    const watch = await scheduler.create({ asin: 'b0863txgm3', marketplace: 'amazon.de', dropPercent: 10 });
+
+    const reloaded = createScheduler(t);
+    await reloaded.load();
+
+    assert.deepStrictEqual(reloaded.get(watch.id), watch);
+    assert.strictEqual(watch.url, 'https://www.amazon.de/dp/B0863TXGM3');
+});
+
+test('watches created from a URL take the marketplace from its host', async (t) => {
+    const scheduler = createScheduler(t);
+
+    const fromUrl = await scheduler.create({ url: 'https://www.amazon.de/dp/B0863TXGM3' });
+    assert.strictEqual(fromUrl.marketplace, 'amazon.de');
+
+    const asinOnly = await scheduler.create({ asin: 'B0863TXGM3' });
+    assert.strictEqual(asinOnly.marketplace, 'amazon.com');
+});
+
+test('overlapping saves all reach the store', async (t) => {
+    const scheduler = createScheduler(t);
+    const watches = await Promise.all(Array.from({ length: 10 }, () => scheduler.create({ asin: 'B0863TXGM3' })));
+
+    const reloaded = createScheduler(t);
+    await reloaded.load();
+    assert.deepStrictEqual(reloaded.list().map(watch => watch.id).sort(), watches.map(watch => watch.id).sort());
+});
+
+test('validation rejects bad watches', async (t) => {
+    const scheduler = createScheduler(t, { minIntervalMinutes: 30 });
+
+    await assert.rejects(scheduler.create({ asin: 'nope' }), /ASIN/);
+    await assert.rejects(scheduler.create({ asin: 'B0863TXGM3', marketplace: 'amazon.xyz' }), /marketplace/);
+    await assert.rejects(scheduler.create({ asin: 'B0863TXGM3', intervalMinutes: 5 }), /at least 30/);
+    await assert.rejects(scheduler.create({ asin: 'B0863TXGM3', dropPercent: 150 }), /dropPercent/);
+});
+
+test('next delay stays within the jitter window', (t) => {
+    const scheduler = createScheduler(t, { jitterPercent: 20 });
+    const watch = { intervalMinutes: 60 };
+
+    for (let i = 0; i < 50; i++) {
+        const delay = scheduler.getNextDelay(watch);
+        assert.ok(delay >= 48 * 60 * 1000 && delay <= 72 * 60 * 1000, `delay ${delay} out of range`);
+    }
+});
+
+test('/api/watches supports create, read, update and delete', async (t) => {
+    t.mock.method(console, 'log', () => {});
+
+    const created = await fetch(`${apiBaseUrl}/api/watches`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': apiKey },
+        body: JSON.stringify({ asin: 'B0863TXGM3', targetPrice: 200 })
+    });
+    assert.strictEqual(created.status, 201);
+    const watch = await created.json();
+
+    const list = await (await fetch(`${apiBaseUrl}/api/watches`, { headers: { 'X-API-Key': apiKey } })).json();
+    assert.deepStrictEqual(list.map(w => w.id), [watch.id]);
+
+    const updated = await fetch(`${apiBaseUrl}/api/watches/${watch.id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': apiKey },
+        body: JSON.stringify({ targetPrice: 180 })
+    });
+    assert.strictEqual((await updated.json()).targetPrice, 180);
+
+    const invalid = await fetch(`${apiBaseUrl}/api/watches`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': apiKey },
+        body: JSON.stringify({ asin: 'bad' })
+    });
+    assert.strictEqual(invalid.status, 400);
+
+    const removed = await fetch(`${apiBaseUrl}/api/watches/${watch.id}`, { method: 'DELETE', headers: { 'X-API-Key': apiKey } });
+    assert.strictEqual(removed.status, 204);
+
+    const missing = await fetch(`${apiBaseUrl}/api/watches/${watch.id}`, { headers: { 'X-API-Key': apiKey } });
+    assert.strictEqual(missing.status, 404);
+});
+
+test('users only see and change their own watches', async (t) => {
+    t.mock.method(console, 'log', () => {});
+
+    const other = await userStore.createUser({ username: 'other', password: 'other-password' });
+    const otherKey = (await userStore.createApiKey(other.id, 'tests')).key;
+    const call = (method, urlPath, key, body) => fetch(`${apiBaseUrl}${urlPath}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': key },
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    const watch = await (await call('POST', '/api/watches', apiKey, { asin: 'B0863TXGM3' })).json();
+    t.after(() => call('DELETE', `/api/watches/${watch.id}`, apiKey));
+
+    assert.deepStrictEqual(await (await call('GET', '/api/watches', otherKey)).json(), []);
+    assert.strictEqual((await call('GET', `/api/watches/${watch.id}`, otherKey)).status, 404);
+    assert.strictEqual((await call('PUT', `/api/watches/${watch.id}`, otherKey, { targetPrice: 1 })).status, 404);
+    assert.strictEqual((await call('POST', `/api/watches/${watch.id}/check`, otherKey)).status, 404);
+    assert.strictEqual((await call('DELETE', `/api/watches/${watch.id}`, otherKey)).status, 404);
+
+    const own = await (await call('GET', '/api/watches', apiKey)).json();
+    assert.deepStrictEqual(own.map(item => item.id), [watch.id]);
+    assert.strictEqual(own[0].targetPrice, null);
+});
@@ -0,0 +1,110 @@
+// ===== AMAZON URL RULES =====
+// Which URLs the app may scrape or download from, and their canonical form. Shared by
+// the page (script.js, as a plain script) and the server (require), so both accept
+// exactly the same URLs.
+
+// Amazon storefronts, the same hosts as the server's MARKETPLACES
+const AMAZON_MARKETPLACE_HOSTS = [
+    'amazon.com', 'amazon.ca', 'amazon.com.mx', 'amazon.com.br', 'amazon.co.uk',
+    'amazon.de', 'amazon.fr', 'amazon.it', 'amazon.es', 'amazon.nl', 'amazon.se',
+    'amazon.pl', 'amazon.com.tr', 'amazon.ae', 'amazon.sa', 'amazon.in',
+    'amazon.co.jp', 'amazon.sg', 'amazon.com.au'
+];
+
+// Subdomains a storefront serves product pages from
+const AMAZON_HOST_PREFIXES = ['', 'www.', 'smile.', 'm.'];
+
+// Amazon's link shorteners; they redirect to a product page
+const AMAZON_SHORT_LINK_HOSTS = ['amzn.to', 'amzn.eu', 'amzn.asia', 'amzn.com', 'a.co'];
+
+// CDNs product images are served from
+const AMAZON_IMAGE_HOSTS = [
+    'm.media-amazon.com',
+    'images-na.ssl-images-amazon.com',
+    'images-eu.ssl-images-amazon.com',
+    'images-fe.ssl-images-amazon.com',
+    'images.amazon.com',
+    'ecx.images-amazon.com',
+    'g-ecx.images-amazon.com'
+];
+
+// /dp/<ASIN>, /gp/product/<ASIN> and the mobile /gp/aw/d/<ASIN>, anywhere in the path
+// (product links often start with a title slug: /Some-Title/dp/<ASIN>)
+const AMAZON_PRODUCT_PATH_PATTERN = /\/(?:dp|gp\/product|gp\/aw\/d)\/([A-Z0-9]{10})(?:[/?#]|$)/i;
+
+// Only plain http(s) URLs on the default port and without credentials; null otherwise
+function parseSafeUrl(value) {
+    let url;
+    try {
+        url = new URL(String(value || '').trim());
+    } catch {
+        return null;
+    }
+
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+    if (url.username || url.password || url.port) return null;
+    return url;
+}
+
+function getHostname(url) {
+    return url.hostname.toLowerCase().replace(/\.$/, '');
+}
+
+// The storefront ('amazon.de') a URL belongs to, or null for any other host
+function getAmazonMarketplace(value) {
+    const url = parseSafeUrl(value);
+    if (!url) return null;
+
+    const hostname = getHostname(url);
+    return AMAZON_MARKETPLACE_HOSTS.find(host => AMAZON_HOST_PREFIXES.some(prefix => hostname === `${prefix}${host}`)) || null;
+}
+
+function isAmazonShortLink(value) {
+    const url = parseSafeUrl(value);
+    return Boolean(url) && AMAZON_SHORT_LINK_HOSTS.includes(getHostname(url)) && url.pathname.length > 1;
+}
+
+// Any page on a storefront or short link host; what the scraper may fetch or be redirected to
+function isAllowedAmazonUrl(value) {
+    return Boolean(getAmazonMarketplace(value)) || isAmazonShortLink(value);
+}
+
+function isAllowedImageUrl(value) {
+    const url = parseSafeUrl(value);
+    return Boolean(url) && AMAZON_IMAGE_HOSTS.includes(getHostname(url));
+}
+
+// ASIN from a product path; accepts a full URL or just the path
+function extractAmazonAsin(value) {
+    const match = String(value || '').match(AMAZON_PRODUCT_PATH_PATTERN);
+    return match ? match[1].toUpperCase() : '';
+}
+
+// https://www.<marketplace>/dp/<ASIN> for a storefront product URL, null for anything
+// else. Short links can't be canonicalized without following them (the server does).
+function canonicalizeAmazonUrl(value) {
+    const marketplace = getAmazonMarketplace(value);
+    const asin = marketplace ? extractAmazonAsin(parseSafeUrl(value).pathname) : '';
+    return asin ? `https://www.${marketplace}/dp/${asin}` : null;
+}
+
+// What the app accepts as a product link: a storefront product URL or a short link
+function isAmazonProductUrl(value) {
+    return Boolean(canonicalizeAmazonUrl(value)) || isAmazonShortLink(value);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AMAZON_MARKETPLACE_HOSTS,
+        AMAZON_SHORT_LINK_HOSTS,
+        AMAZON_IMAGE_HOSTS,
+        parseSafeUrl,
+        getAmazonMarketplace,
+        isAmazonShortLink,
+        isAllowedAmazonUrl,
+        isAllowedImageUrl,
+        extractAmazonAsin,
+        canonicalizeAmazonUrl,
+        isAmazonProductUrl
+    };
+}